@@ -0,0 +1,665 @@
+// capture.js - Playwright capture shared by the Electron main process and the CLI
+const { READINESS_CHECKS, normalizeWaitOptions } = require('./readiness-checks');
+const { userAgentOverrideParams } = require('./user-agents');
+const { normalizeLocaleSettings, acceptLanguageFor, playwrightContextOptions } = require('./locale-settings');
+const { getActionLocators, toPlaywrightLocator } = require('./selector-engine');
+
+const BROWSER_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-web-security',
+  '--allow-running-insecure-content',
+  '--disable-features=IsolateOrigins,site-per-process',
+  '--disable-blink-features=AutomationControlled',
+  '--disable-site-isolation-trials',
+  '--allow-file-access-from-files',
+  '--allow-cross-origin-auth-prompt'
+];
+
+// How often a step's locators are retried while its element hasn't appeared yet (ms)
+const LOCATE_POLL_INTERVAL = 250;
+
+// Launch Chromium (visible for debugging unless running headless for the CLI or batches)
+function launchBrowser({ headless = false } = {}) {
+  const { chromium } = require('playwright');
+  return chromium.launch({
+    headless: headless,
+    slowMo: headless ? 0 : 500, // Slow down actions so you can see them
+    args: BROWSER_ARGS
+  });
+}
+
+// Launch Playwright, replay recorded actions and return the PNG buffer plus any marker screenshots
+async function capturePlaywrightScreenshot(options) {
+  console.log(`IPC: Launching Playwright for ${options.width}x${options.height} @ ${options.deviceScaleFactor}x`);
+  const browser = await launchBrowser({ headless: options.headless });
+  
+  try {
+    return await captureInBrowser(browser, options);
+  } catch (error) {
+    console.error('IPC: Error in Playwright screenshot:', error);
+    throw error;
+  } finally {
+    await browser.close();
+  }
+}
+
+// Capture several devices with one shared browser, one context per device,
+// running up to `concurrency` at a time. Results keep the order of `jobs`.
+async function captureBatch(jobs, { concurrency = 3, headless = true, retries = 0, onProgress = () => {}, onResult } = {}) {
+  const results = new Array(jobs.length);
+  let nextIndex = 0;
+  
+  jobs.forEach((_, index) => onProgress({ index, status: 'queued' }));
+  const browser = await launchBrowser({ headless });
+  
+  async function worker() {
+    while (nextIndex < jobs.length) {
+      const index = nextIndex++;
+      let result;
+      for (let attempt = 0; attempt <= retries; attempt++) {
+        onProgress({ index, status: attempt === 0 ? 'running' : 'retrying', attempt });
+        try {
+          result = { success: true, ...await captureInBrowser(browser, jobs[index]) };
+          break;
+        } catch (error) {
+          console.error(`IPC: Batch capture ${index + 1}/${jobs.length} failed (attempt ${attempt + 1}/${retries + 1}):`, error.message);
+          result = { success: false, error: error.message, attempts: attempt + 1 };
+        }
+      }
+      
+      // Callers can persist each result as it lands instead of holding every buffer until the end.
+      // A throwing callback fails this job only; the other workers still have pages open.
+      if (onResult) {
+        try {
+          results[index] = await onResult(index, result);
+        } catch (error) {
+          console.error(`IPC: Handling batch capture ${index + 1}/${jobs.length} failed:`, error.message);
+          result = { success: false, error: error.message };
+          results[index] = result;
+        }
+      } else {
+        results[index] = result;
+      }
+      onProgress(result.success
+        ? { index, status: 'done' }
+        : { index, status: 'failed', error: result.error });
+    }
+  }
+  
+  try {
+    const workerCount = Math.max(1, Math.min(concurrency, jobs.length));
+    await Promise.all(Array.from({ length: workerCount }, worker));
+  } finally {
+    await browser.close();
+  }
+  
+  return results;
+}
+
+// Per-page emulation applied before the first navigation: the full identity over CDP (the
+// userAgent option leaves Sec-CH-UA-* and navigator.platform at the host's values), network
+// throttling over CDP, and emulated media features through Playwright. The identity override
+// repeats the locale's Accept-Language, which it would otherwise reset.
+async function applyPageEmulation(context, page, { userAgent, clientHints, network, media, locale }) {
+  if (userAgent || network) {
+    const cdp = await context.newCDPSession(page);
+    if (userAgent) {
+      const { locale: language } = normalizeLocaleSettings(locale);
+      await cdp.send('Emulation.setUserAgentOverride',
+        userAgentOverrideParams(userAgent, clientHints, language && acceptLanguageFor(language)));
+    }
+    if (network) {
+      await cdp.send('Network.enable');
+      await cdp.send('Network.emulateNetworkConditions', network);
+    }
+  }
+  if (media && Object.keys(media).length > 0) {
+    await page.emulateMedia(media);
+  }
+}
+
+// Context options for a locale: Playwright's locale, timezone and geolocation settings, and
+// the Accept-Language header (en-US unless a locale is emulated)
+function localeContextOptions(locale) {
+  const settings = normalizeLocaleSettings(locale);
+  return {
+    options: playwrightContextOptions(settings),
+    acceptLanguage: settings.locale ? acceptLanguageFor(settings.locale) : 'en-US,en;q=0.9'
+  };
+}
+
+// Capture one device in its own context of an already running browser
+async function captureInBrowser(browser, options) {
+  const { url, width, height, deviceScaleFactor, userAgent, clientHints, touch, network, media, locale, appState, recordedActions, cookies, fullPage, selectorOptions } = options;
+  const waits = normalizeWaitOptions(options.waitOptions);
+  const localeContext = localeContextOptions(locale);
+  let context = null;
+  
+  try {
+    // Extract origin from URL for proper headers
+    const urlObj = new URL(url);
+    const origin = `${urlObj.protocol}//${urlObj.host}`;
+    
+    // Create context with cookies if provided
+    const contextOptions = {
+      viewport: {
+        width: width,
+        height: height
+      },
+      deviceScaleFactor: deviceScaleFactor,
+      userAgent: userAgent,
+      // Phones and tablets get touch events and meta viewport handling like the preview
+      hasTouch: Boolean(touch),
+      isMobile: Boolean(touch),
+      // Locale, timezone and geolocation from the preview's settings
+      ...localeContext.options,
+      // Add extra HTTP headers to prevent Origin issues
+      extraHTTPHeaders: {
+        'Origin': origin,
+        'Referer': url,
+        'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
+        'Accept-Language': localeContext.acceptLanguage,
+        'Cache-Control': 'no-cache',
+        'Pragma': 'no-cache'
+      },
+      // Bypass CSP to allow all resources to load
+      bypassCSP: true,
+      // Accept downloads
+      acceptDownloads: true,
+      // Ignore HTTPS errors
+      ignoreHTTPSErrors: true
+    };
+
+    context = await browser.newContext(contextOptions);
+    
+    // Add cookies to the context if provided
+    if (cookies && cookies.length > 0) {
+      console.log(`IPC: Adding ${cookies.length} cookies to Playwright context`);
+      
+      // Convert Electron cookies to Playwright format
+      const playwrightCookies = cookies.map(cookie => ({
+        name: cookie.name,
+        value: cookie.value,
+        domain: cookie.domain,
+        path: cookie.path || '/',
+        expires: cookie.expirationDate || undefined,
+        httpOnly: cookie.httpOnly || false,
+        secure: cookie.secure || false,
+        sameSite: cookie.sameSite === 'no_restriction' ? 'None' : 
+                  cookie.sameSite === 'lax' ? 'Lax' : 
+                  cookie.sameSite === 'strict' ? 'Strict' : 'None'
+      }));
+      
+      await context.addCookies(playwrightCookies);
+      console.log('IPC: Cookies added successfully');
+    }
+    
+    const page = await context.newPage();
+    await applyPageEmulation(context, page, { userAgent, clientHints, network, media, locale });
+    
+    // Inject app state if provided
+    if (appState) {
+      console.log('IPC: Injecting app state into browser context...');
+      
+      await page.addInitScript((injectedState) => {
+        // Restore localStorage
+        if (injectedState.localStorage) {
+          for (const [key, value] of Object.entries(injectedState.localStorage)) {
+            try {
+              localStorage.setItem(key, value);
+            } catch (e) {
+              console.warn('Failed to set localStorage item:', key, e);
+            }
+          }
+        }
+        
+        // Restore sessionStorage
+        if (injectedState.sessionStorage) {
+          for (const [key, value] of Object.entries(injectedState.sessionStorage)) {
+            try {
+              sessionStorage.setItem(key, value);
+            } catch (e) {
+              console.warn('Failed to set sessionStorage item:', key, e);
+            }
+          }
+        }
+        
+        // Note: IndexedDB restoration would be more complex
+        // For now, we just inject the basic storage
+        console.log('App state injected:', 
+          Object.keys(injectedState.localStorage || {}).length, 'localStorage items,',
+          Object.keys(injectedState.sessionStorage || {}).length, 'sessionStorage items');
+      }, appState);
+    }
+    
+    console.log(`IPC: Loading ${url}`);
+    
+    // Navigate to URL
+    await page.goto(url, {
+      waitUntil: 'networkidle',
+      timeout: waits.timeout
+    });
+    
+    // Wait for the app to initialize with injected state
+    await waitForPageReady(page, waits);
+    
+    // Screenshots taken at marker steps inserted in the step editor
+    const markers = [];
+    
+    // Replay recorded actions if provided
+    if (recordedActions && recordedActions.length > 0) {
+      console.log(`IPC: Replaying ${recordedActions.length} recorded actions...`);
+      
+      for (let i = 0; i < recordedActions.length; i++) {
+        const action = recordedActions[i];
+        try {
+          console.log(`IPC: Replaying ${i + 1}/${recordedActions.length} - ${action.type}:`, action);
+          
+          // Editor-inserted steps don't touch the page, so skip the settle wait after them
+          if (action.type === 'wait') {
+            await waitForStepCondition(page, action, waits);
+            continue;
+          } else if (action.type === 'screenshot') {
+            const name = action.name || `step-${i + 1}`;
+            markers.push({ name, step: i, buffer: await captureViewport(page, width, height) });
+            console.log(`IPC: Captured marker screenshot "${name}"`);
+            continue;
+          }
+          
+          // Find the target through its recorded locators, then give it a chance to become visible
+          const target = ['click', 'input', 'focus'].includes(action.type)
+            ? await locateAction(page, action, waits.stepTimeout, selectorOptions)
+            : null;
+          if (target) {
+            try {
+              await target.waitFor({ state: 'visible', timeout: waits.stepTimeout });
+            } catch (e) {
+              console.log(`IPC: Target of action ${i + 1} not visible after ${waits.stepTimeout}ms - trying anyway`);
+            }
+          }
+          
+          if (action.type === 'click') {
+            if (target) {
+              try {
+                await target.click({ timeout: 1000 });
+                console.log(`IPC: ✅ Clicked element`);
+              } catch (e) {
+                console.log(`IPC: Locator click failed: ${e.message}`);
+                // Covered or animating; click the element's center instead
+                const box = await target.boundingBox();
+                if (box) {
+                  await page.mouse.click(box.x + box.width / 2, box.y + box.height / 2);
+                  console.log(`IPC: ✅ Manual click at element center: (${box.x + box.width / 2}, ${box.y + box.height / 2})`);
+                }
+              }
+            } else if (action.coordinates) {
+              await page.mouse.click(action.coordinates.x, action.coordinates.y);
+              console.log(`IPC: Element not found - clicked at recorded coordinates: ${action.coordinates.x}, ${action.coordinates.y}`);
+            }
+            
+          } else if (action.type === 'input') {
+            if (!target) {
+              console.warn(`IPC: Input field not found: ${action.selector || action.id}`);
+            } else {
+              try {
+                if (action.kind === 'checked') {
+                  await target.setChecked(Boolean(action.checked));
+                } else if (action.kind === 'select') {
+                  await target.selectOption(action.values && action.values.length > 0 ? action.values : { index: action.selectedIndex });
+                } else {
+                  // fill() also replaces the text of contenteditable editors
+                  await target.fill(action.value || '');
+                }
+                console.log(`IPC: Set input: ${action.selector || action.id} = ${action.kind === 'checked' ? action.checked : action.value}`);
+              } catch (e) {
+                console.warn(`IPC: Failed to set input: ${action.selector || action.id}`, e.message);
+              }
+            }
+          } else if (action.type === 'focus') {
+            if (target) {
+              await target.focus();
+              console.log(`IPC: Focused: ${action.selector}`);
+            }
+          } else if (action.type === 'key') {
+            // Recorded as a combo like "Shift+Tab", which page.keyboard.press takes as is
+            if (action.key) {
+              await page.keyboard.press(action.key);
+              console.log(`IPC: Pressed: ${action.key}`);
+            }
+          } else if (action.type === 'scroll') {
+            if (action.x !== undefined && action.y !== undefined) {
+              await page.evaluate(({ x, y }) => {
+                window.scrollTo(x, y);
+              }, { x: action.x, y: action.y });
+              console.log(`IPC: Scrolled to: ${action.x}, ${action.y}`);
+            }
+          }
+          
+          // Wait for the page to settle (network idle, DOM quiet) before the next action
+          await waitForSettled(page, waits);
+          console.log(`IPC: Page settled after action ${i + 1}`);
+          
+        } catch (error) {
+          console.warn(`IPC: Failed to replay action ${i + 1} (${action.type}):`, error.message);
+        }
+      }
+      
+      console.log('IPC: Waiting for actions to settle...');
+      await waitForSettled(page, waits);
+    }
+    
+    let screenshot;
+    
+    if (fullPage) {
+      screenshot = await captureFullPage(page, { width, height, deviceScaleFactor });
+    } else {
+      console.log(`IPC: Taking screenshot at exact device dimensions ${width}x${height} @ ${deviceScaleFactor}x`);
+      
+      // Take screenshot at exact device viewport dimensions (not full page)
+      // This gives us the exact App Store screenshot dimensions
+      screenshot = await captureViewport(page, width, height);
+    }
+    
+    console.log(`IPC: Screenshot captured, size: ${screenshot.length} bytes`);
+    return { buffer: screenshot, markers };
+  } finally {
+    if (context) {
+      await context.close();
+    }
+  }
+}
+
+// Run the configured readiness checks plus the optional selector / predicate
+async function waitForPageReady(page, waits) {
+  for (const name of waits.readiness) {
+    try {
+      await page.waitForFunction(READINESS_CHECKS[name].predicate, null, { timeout: waits.timeout });
+      console.log(`IPC: Readiness check "${name}" passed`);
+    } catch (e) {
+      console.log(`IPC: Readiness check "${name}" did not pass within ${waits.timeout}ms - continuing`);
+    }
+  }
+
+  // Explicit conditions are required: fail the capture rather than shoot an unready page
+  if (waits.readySelector) {
+    try {
+      await page.waitForSelector(waits.readySelector, { state: 'visible', timeout: waits.timeout });
+    } catch (e) {
+      throw new Error(`Ready selector "${waits.readySelector}" was not visible within ${waits.timeout}ms`);
+    }
+    console.log(`IPC: Ready selector ${waits.readySelector} is visible`);
+  }
+  if (waits.readyPredicate) {
+    try {
+      await page.waitForFunction(waits.readyPredicate, null, { timeout: waits.timeout });
+    } catch (e) {
+      throw new Error(`Ready predicate did not pass within ${waits.timeout}ms: ${e.message}`);
+    }
+    console.log('IPC: Ready predicate passed');
+  }
+
+  await waitForSettled(page, waits);
+}
+
+// Network idle followed by a quiet period without DOM mutations
+async function waitForSettled(page, waits) {
+  try {
+    await page.waitForLoadState('networkidle', { timeout: waits.settleTimeout });
+  } catch (e) {
+    console.log(`IPC: Network still busy after ${waits.settleTimeout}ms - continuing`);
+  }
+  await waitForDomQuiet(page, waits.domQuietMs, waits.settleTimeout);
+}
+
+function waitForDomQuiet(page, quietMs, timeout) {
+  if (!quietMs) return Promise.resolve();
+
+  return page.evaluate(({ quietMs, timeout }) => new Promise(resolve => {
+    let quietTimer = setTimeout(finish, quietMs);
+    const deadline = setTimeout(finish, timeout);
+    const observer = new MutationObserver(() => {
+      clearTimeout(quietTimer);
+      quietTimer = setTimeout(finish, quietMs);
+    });
+    observer.observe(document, { subtree: true, childList: true, attributes: true, characterData: true });
+
+    function finish() {
+      observer.disconnect();
+      clearTimeout(quietTimer);
+      clearTimeout(deadline);
+      resolve();
+    }
+  }), { quietMs, timeout }).catch(() => {});
+}
+
+// Recorded candidate locators (or the selector, id, label and text of older recordings) in priority
+// order, polled until the step timeout. The first unique match wins; several matches only count
+// when no candidate is unique.
+async function locateAction(page, action, timeout, selectorOptions) {
+  const candidates = getActionLocators(action, selectorOptions);
+  if (candidates.length === 0) return null;
+
+  const deadline = Date.now() + timeout;
+  while (true) {
+    let fallback = null;
+    for (const candidate of candidates) {
+      try {
+        const locator = toPlaywrightLocator(page, candidate, action.frames);
+        const count = await locator.count();
+        if (count === 1) {
+          console.log(`IPC: Located by ${candidate.type}: ${candidate.type === 'role' ? `${candidate.role} "${candidate.name}"` : candidate.value}`);
+          return locator;
+        }
+        if (count > 1 && !fallback) fallback = locator.first();
+      } catch (e) {
+        // Invalid selector or detached frame in this page; try the next candidate
+      }
+    }
+    if (fallback || Date.now() >= deadline) {
+      if (!fallback) console.log(`IPC: No locator matched after ${timeout}ms: ${action.selector || action.id}`);
+      return fallback;
+    }
+    await page.waitForTimeout(LOCATE_POLL_INTERVAL);
+  }
+}
+
+// Wait steps can wait for a selector, a JS predicate, or a fixed duration
+async function waitForStepCondition(page, step, waits) {
+  const timeout = step.timeout || waits.stepTimeout;
+  try {
+    if (step.selector) {
+      await page.waitForSelector(step.selector, { state: 'visible', timeout });
+      console.log(`IPC: Waited for ${step.selector}`);
+    } else if (step.predicate) {
+      await page.waitForFunction(step.predicate, null, { timeout });
+      console.log('IPC: Waited for predicate');
+    } else {
+      await page.waitForTimeout(step.duration || 1000);
+      console.log(`IPC: Waited ${step.duration || 1000}ms`);
+    }
+  } catch (e) {
+    console.log(`IPC: Wait step timed out after ${timeout}ms - continuing`);
+  }
+}
+
+function captureViewport(page, width, height) {
+  return page.screenshot({
+    type: 'png',
+    clip: {
+      x: 0,
+      y: 0,
+      width: width,
+      height: height
+    }
+  });
+}
+
+// Largest canvas edge cairo can allocate
+const MAX_CANVAS_SIZE = 32767;
+
+// Stitch viewport-sized PNG chunks into one image at the device scale factor
+function stitchImages({ chunks, finalWidth, finalHeight, deviceScaleFactor }) {
+  console.log(`IPC: Stitching ${chunks.length} chunks into ${finalWidth}x${finalHeight} image @ ${deviceScaleFactor}x`);
+  
+  const { createCanvas, Image } = require('canvas');
+  
+  try {
+    // Calculate final dimensions with device scale factor
+    const canvasWidth = Math.ceil(finalWidth * deviceScaleFactor);
+    const canvasHeight = Math.ceil(finalHeight * deviceScaleFactor);
+    
+    console.log(`IPC: Creating canvas ${canvasWidth}x${canvasHeight}`);
+    
+    // Create canvas for stitching
+    const canvas = createCanvas(canvasWidth, canvasHeight);
+    const ctx = canvas.getContext('2d');
+    
+    // Set white background
+    ctx.fillStyle = 'white';
+    ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+    
+    // Draw each chunk at its position
+    for (const chunk of chunks) {
+      const img = new Image();
+      img.src = Buffer.from(chunk.buffer);
+      
+      // Calculate position with device scale factor
+      const x = Math.round(chunk.x * deviceScaleFactor);
+      const y = Math.round(chunk.y * deviceScaleFactor);
+      
+      console.log(`IPC: Drawing chunk at ${x},${y}`);
+      ctx.drawImage(img, x, y);
+    }
+    
+    // Convert canvas to PNG buffer
+    const buffer = canvas.toBuffer('image/png');
+    console.log(`IPC: Stitching complete, buffer size: ${buffer.length}`);
+    
+    return buffer;
+    
+  } catch (error) {
+    console.error('IPC: Error stitching images:', error);
+    
+    // Fallback: return the first chunk
+    if (chunks.length > 0) {
+      console.log('IPC: Falling back to first chunk');
+      return chunks[0].buffer;
+    }
+    
+    throw error;
+  }
+}
+
+// Scroll through the page in viewport steps and stitch the chunks together
+async function captureFullPage(page, { width, height, deviceScaleFactor }) {
+  console.log('IPC: Preparing full-page capture...');
+
+  // Force lazy images to load and walk the page once so scroll-triggered content appears
+  await page.evaluate(async (step) => {
+    document.querySelectorAll('img[loading="lazy"]').forEach(img => { img.loading = 'eager'; });
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+    for (let y = 0; y < document.documentElement.scrollHeight; y += step) {
+      window.scrollTo(0, y);
+      await delay(150);
+    }
+    window.scrollTo(0, 0);
+  }, height);
+
+  try {
+    await page.waitForLoadState('networkidle', { timeout: 5000 });
+  } catch (e) {
+    console.log('IPC: Network still busy after lazy-load pass - continuing');
+  }
+
+  await waitForImages(page);
+
+  const scrollHeight = await page.evaluate(() =>
+    Math.max(document.documentElement.scrollHeight, document.body ? document.body.scrollHeight : 0));
+  const maxHeight = Math.floor(MAX_CANVAS_SIZE / deviceScaleFactor);
+  const pageHeight = Math.min(scrollHeight, maxHeight);
+
+  if (scrollHeight > maxHeight) {
+    console.log(`IPC: Page is ${scrollHeight}px tall, truncating to ${maxHeight}px`);
+  }
+
+  const chunks = [];
+  let targetY = 0;
+  let lastY = -1;
+
+  try {
+    while (targetY < pageHeight) {
+      const actualY = await page.evaluate((top) => {
+        window.scrollTo(0, top);
+        return Math.round(window.scrollY);
+      }, targetY);
+
+      // Page refused to scroll any further (e.g. inner scroll container)
+      if (actualY <= lastY) break;
+      lastY = actualY;
+
+      await waitForImages(page);
+      await page.waitForTimeout(100);
+
+      const buffer = await page.screenshot({ type: 'png' });
+      chunks.push({ buffer, x: 0, y: actualY });
+      console.log(`IPC: Captured chunk ${chunks.length} at y=${actualY}`);
+
+      // Fixed and sticky elements should only appear once, in the first chunk
+      if (chunks.length === 1) {
+        await page.evaluate(() => {
+          document.querySelectorAll('body *').forEach(el => {
+            const position = getComputedStyle(el).position;
+            if (position === 'fixed' || position === 'sticky') {
+              el.setAttribute('data-freepanes-hidden', el.style.visibility || '');
+              el.style.setProperty('visibility', 'hidden', 'important');
+            }
+          });
+        });
+      }
+
+      targetY = actualY + height;
+    }
+  } finally {
+    // Restore hidden elements and scroll position
+    await page.evaluate(() => {
+      document.querySelectorAll('[data-freepanes-hidden]').forEach(el => {
+        el.style.visibility = el.getAttribute('data-freepanes-hidden');
+        el.removeAttribute('data-freepanes-hidden');
+      });
+      window.scrollTo(0, 0);
+    }).catch(() => {});
+  }
+
+  return stitchImages({
+    chunks,
+    finalWidth: width,
+    finalHeight: Math.max(pageHeight, height),
+    deviceScaleFactor
+  });
+}
+
+// Resolve once every image on the page has loaded or failed
+async function waitForImages(page, timeout = 3000) {
+  await page.evaluate((maxWait) => Promise.all(
+    Array.from(document.images)
+      .filter(img => !img.complete)
+      .map(img => new Promise(resolve => {
+        img.addEventListener('load', resolve, { once: true });
+        img.addEventListener('error', resolve, { once: true });
+        setTimeout(resolve, maxWait);
+      }))
+  ), timeout).catch(() => {});
+}
+
+module.exports = {
+  BROWSER_ARGS,
+  MAX_CANVAS_SIZE,
+  capturePlaywrightScreenshot,
+  captureBatch,
+  applyPageEmulation,
+  localeContextOptions,
+  captureFullPage,
+  stitchImages
+};
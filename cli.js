@@ -0,0 +1,355 @@
+#!/usr/bin/env node
+// cli.js - Headless captures without opening the Electron window
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const deviceLibrary = require("./device-library");
+const { captureBatch } = require("./capture");
+const { READINESS_CHECKS, DEFAULT_WAIT_OPTIONS } = require("./readiness-checks");
+const outputPaths = require("./output-paths");
+const storeValidator = require("./store-validator");
+const networkProfiles = require("./network-profiles");
+const localeSettings = require("./locale-settings");
+const packageInfo = require("./package.json");
+
+// Custom throttling values only exist in the app's settings
+const CLI_NETWORK_PROFILES = Object.keys(networkProfiles.NETWORK_PROFILES).filter(id => id !== "custom");
+
+const USAGE = `Usage: freepanes capture --url <url> (--preset <name> | --devices <a,b,...>) [options]
+
+Options:
+  --url <url>            Page to capture
+  --preset <name>        Preset from presets.json or the user library (e.g. app-store)
+  --devices <list>       Comma separated device names instead of a preset
+  --out <dir>            Output directory (default: ./screenshots)
+  --name <template>      File name template (default: ${outputPaths.DEFAULT_OUTPUT_SETTINGS.filenameTemplate})
+                         Tokens: ${Object.keys(outputPaths.TEMPLATE_TOKENS).map(name => `{${name}}`).join(" ")}
+  --full-page            Capture the whole scrollable page
+  --validate-store       Check store preset captures against App Store / Play Store sizes
+  --wait-for <selector>  Fail unless this selector is visible before capturing
+  --ready <checks>       Comma separated readiness checks (${Object.keys(READINESS_CHECKS).join(", ")})
+  --timeout <ms>         Page load and readiness timeout (default: ${DEFAULT_WAIT_OPTIONS.timeout})
+  --concurrency <n>      Devices captured in parallel (default: 3)
+  --network <profile>    Throttle every device (${CLI_NETWORK_PROFILES.join(", ")});
+                         default: the preset's per-category defaults from the user library
+  --locale <tag>         Locale for Accept-Language, navigator.languages and Intl (e.g. de-DE)
+  --locales <list>       Comma separated locales; captures one set per locale (overrides --locale)
+  --timezone <id>        IANA timezone (e.g. Europe/Berlin)
+  --geolocation <lat,lon[,accuracy]>
+                         Coordinates reported by the Geolocation API (permission granted)
+  --user-data <dir>      Directory holding device-library.json (default: the app's userData folder)
+  --help                 Show this message
+
+Writes a JSON summary to stdout. Exits 1 if any capture fails (or fails store validation), 2 on bad arguments.`;
+
+class UsageError extends Error {}
+
+// Same folder Electron resolves for app.getPath('userData'): named after package.json's
+// productName, else its name (case matters on Linux)
+function getDefaultUserDataDir() {
+  const home = os.homedir();
+  let appData;
+  if (process.platform === "darwin") {
+    appData = path.join(home, "Library", "Application Support");
+  } else if (process.platform === "win32") {
+    appData = process.env.APPDATA || path.join(home, "AppData", "Roaming");
+  } else {
+    appData = process.env.XDG_CONFIG_HOME || path.join(home, ".config");
+  }
+  return path.join(appData, packageInfo.productName || packageInfo.name);
+}
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv[0] && argv[0].startsWith("-") ? [undefined, ...argv] : argv;
+  const options = { command, out: path.join(process.cwd(), "screenshots"), fullPage: false, concurrency: 3 };
+  const valueFlags = {
+    "--url": "url",
+    "--preset": "preset",
+    "--devices": "devices",
+    "--out": "out",
+    "--name": "name",
+    "--user-data": "userData",
+    "--wait-for": "waitFor",
+    "--ready": "ready",
+    "--timeout": "timeout",
+    "--concurrency": "concurrency",
+    "--network": "network",
+    "--locale": "locale",
+    "--locales": "locales",
+    "--timezone": "timezone",
+    "--geolocation": "geolocation"
+  };
+
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (arg === "--help" || arg === "-h") {
+      options.help = true;
+    } else if (arg === "--full-page") {
+      options.fullPage = true;
+    } else if (arg === "--validate-store") {
+      options.validateStore = true;
+    } else if (valueFlags[arg]) {
+      const value = rest[++i];
+      if (value === undefined || value.startsWith("--")) {
+        throw new UsageError(`Missing value for ${arg}`);
+      }
+      options[valueFlags[arg]] = value;
+    } else {
+      throw new UsageError(`Unknown option: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+function buildWaitOptions(options) {
+  const waitOptions = {};
+
+  if (options.timeout !== undefined) {
+    // Number() rejects trailing garbage ("10abc") that parseInt would read as 10
+    const timeout = Number(options.timeout);
+    if (!Number.isInteger(timeout) || timeout <= 0) {
+      throw new UsageError(`Invalid --timeout: ${options.timeout}`);
+    }
+    waitOptions.timeout = timeout;
+  }
+  if (options.ready !== undefined) {
+    const checks = options.ready.split(",").map(name => name.trim()).filter(Boolean);
+    const unknown = checks.filter(name => !READINESS_CHECKS[name]);
+    if (unknown.length > 0) {
+      throw new UsageError(`Unknown readiness checks: ${unknown.join(", ")}`);
+    }
+    waitOptions.readiness = checks;
+  }
+  if (options.waitFor) {
+    waitOptions.readySelector = options.waitFor;
+  }
+
+  return waitOptions;
+}
+
+// One locale settings object per capture set: every --locales entry, else the single --locale
+function buildLocaleVariants(options) {
+  let geolocation = null;
+  if (options.geolocation !== undefined) {
+    const [latitude, longitude, accuracy] = options.geolocation.split(",").map(part => part.trim());
+    geolocation = { latitude: latitude || NaN, longitude: longitude || NaN, accuracy };
+  }
+  const base = { locale: options.locale, timezoneId: options.timezone, geolocation };
+  const errors = localeSettings.validateLocaleSettings(base);
+  if (errors.length > 0) {
+    throw new UsageError(errors.join("\n"));
+  }
+
+  if (options.locales === undefined) {
+    return [{ name: "", locale: localeSettings.normalizeLocaleSettings(base) }];
+  }
+  const { locales, invalid } = localeSettings.parseLocaleList(options.locales);
+  if (invalid.length > 0 || locales.length === 0) {
+    throw new UsageError(`Invalid --locales: ${invalid.join(", ") || options.locales}`);
+  }
+  return locales.map(locale => ({ name: locale, locale: localeSettings.normalizeLocaleSettings({ ...base, locale }) }));
+}
+
+function resolveDeviceNames(options, library) {
+  if (options.preset && options.devices) {
+    throw new UsageError("Use either --preset or --devices, not both");
+  }
+
+  let names;
+  if (options.preset) {
+    names = library.presets[options.preset];
+    if (!names) {
+      throw new UsageError(`Unknown preset "${options.preset}". Available: ${Object.keys(library.presets).join(", ")}`);
+    }
+  } else if (options.devices) {
+    names = options.devices.split(",").map(name => name.trim()).filter(Boolean);
+  } else {
+    throw new UsageError("Either --preset or --devices is required");
+  }
+
+  const unknown = names.filter(name => !library.devices[name]);
+  if (unknown.length > 0) {
+    throw new UsageError(`Unknown devices: ${unknown.join(", ")}`);
+  }
+  return names;
+}
+
+async function runCapture(options) {
+  if (!options.url) {
+    throw new UsageError("--url is required");
+  }
+  try {
+    new URL(options.url);
+  } catch (e) {
+    throw new UsageError(`Invalid URL: ${options.url}`);
+  }
+
+  const bundled = deviceLibrary.loadBundledLibrary(__dirname);
+  const user = deviceLibrary.loadUserLibrary(options.userData || getDefaultUserDataDir());
+  const library = deviceLibrary.mergeLibraries(bundled, user);
+  const deviceNames = resolveDeviceNames(options, library);
+  const waitOptions = buildWaitOptions(options);
+  options.concurrency = Number(options.concurrency);
+  if (!Number.isInteger(options.concurrency) || options.concurrency < 1) {
+    throw new UsageError("--concurrency must be a positive whole number");
+  }
+
+  if (options.network !== undefined && !CLI_NETWORK_PROFILES.includes(options.network)) {
+    throw new UsageError(`Unknown --network profile "${options.network}". Available: ${CLI_NETWORK_PROFILES.join(", ")}`);
+  }
+  const presetNetworkDefaults = (options.preset && library.networkDefaults[options.preset]) || {};
+  const localeVariants = buildLocaleVariants(options);
+
+  const unknownTokens = outputPaths.findUnknownTokens(options.name);
+  if (unknownTokens.length > 0) {
+    throw new UsageError(`Unknown tokens in --name: ${unknownTokens.join(", ")}`);
+  }
+  const run = outputPaths.createCaptureRun({ outputDir: options.out, filenameTemplate: options.name }, {
+    mode: "capture",
+    url: options.url,
+    defaultDir: options.out
+  });
+
+  const targets = deviceNames.flatMap(deviceName => localeVariants.map(variant => ({ deviceName, variant: variant.name || undefined })));
+  const jobs = deviceNames.flatMap(deviceName => localeVariants.map(variant => {
+    const device = library.devices[deviceName];
+    const identity = deviceLibrary.resolveDeviceIdentity(deviceName, device);
+    return {
+      url: options.url,
+      width: device.width,
+      height: device.height,
+      deviceScaleFactor: device.deviceScaleFactor || 1,
+      userAgent: identity ? identity.userAgent : undefined,
+      clientHints: identity ? identity.clientHints : undefined,
+      touch: deviceLibrary.isTouchDevice(deviceName, device),
+      network: networkProfiles.getNetworkConditions(networkProfiles.resolveNetworkProfile(
+        deviceName,
+        deviceLibrary.getDeviceCategory(deviceName, device),
+        { selections: options.network ? { [deviceName]: options.network } : {}, presetDefaults: presetNetworkDefaults }
+      )),
+      locale: variant.locale,
+      fullPage: options.fullPage,
+      waitOptions
+    };
+  }));
+
+  const batch = await captureBatch(jobs, {
+    concurrency: options.concurrency,
+    onProgress: ({ index, status, error }) => {
+      const job = jobs[index];
+      const { deviceName, variant } = targets[index];
+      const label = variant ? `${deviceName} (${variant})` : deviceName;
+      if (status === "running") {
+        console.error(`Capturing ${label} (${job.width}x${job.height} @ ${job.deviceScaleFactor}x)...`);
+      } else if (status === "failed") {
+        console.error(`Failed to capture ${label}: ${error}`);
+      }
+    }
+  });
+
+  const results = batch.map((result, index) => {
+    const { deviceName, variant } = targets[index];
+    const job = jobs[index];
+    if (!result.success) {
+      return { device: deviceName, variant, status: "error", error: result.error };
+    }
+
+    const filepath = outputPaths.captureFilePath(run, {
+      device: deviceName,
+      width: job.width,
+      height: job.height,
+      dpr: job.deviceScaleFactor,
+      url: options.url,
+      fullPage: options.fullPage,
+      variant
+    });
+
+    try {
+      fs.writeFileSync(filepath, result.buffer);
+    } catch (error) {
+      console.error(`Failed to write ${filepath}: ${error.message}`);
+      return { device: deviceName, variant, status: "error", error: error.message, file: filepath };
+    }
+    return {
+      device: deviceName,
+      variant,
+      status: "ok",
+      file: filepath,
+      width: job.width,
+      height: job.height,
+      deviceScaleFactor: job.deviceScaleFactor,
+      bytes: result.buffer.length
+    };
+  });
+
+  let invalid = 0;
+  if (options.validateStore) {
+    results.filter(result => result.status === "ok").forEach(result => {
+      const [report] = storeValidator.validateStoreImages([{
+        filepath: result.file,
+        deviceName: result.device,
+        fullPage: options.fullPage
+      }], library.devices);
+      if (report.status === "skipped") return;
+      result.storeValidation = { status: report.status, errors: report.errors, warnings: report.warnings, suggestions: report.suggestions };
+      if (report.status === "fail") {
+        invalid++;
+        console.error(`${result.device} failed store validation: ${report.errors.join("; ")}`);
+      }
+    });
+  }
+
+  const failed = results.filter(result => result.status !== "ok").length;
+  return {
+    success: failed === 0 && invalid === 0,
+    url: options.url,
+    preset: options.preset || null,
+    fullPage: options.fullPage,
+    outDir: run.dir,
+    captured: results.length - failed,
+    failed,
+    invalid,
+    results
+  };
+}
+
+async function main() {
+  // Capture logging goes to stderr so stdout stays machine readable
+  console.log = console.error;
+
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help || !options.command) {
+    console.error(USAGE);
+    return options.help ? 0 : 2;
+  }
+  if (options.command !== "capture") {
+    console.error(`Unknown command: ${options.command}\n\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    const summary = await runCapture(options);
+    process.stdout.write(JSON.stringify(summary, null, 2) + "\n");
+    return summary.success ? 0 : 1;
+  } catch (error) {
+    if (error instanceof UsageError) {
+      console.error(`${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+    console.error(`Capture failed: ${error.message}`);
+    process.stdout.write(JSON.stringify({ success: false, error: error.message, results: [] }, null, 2) + "\n");
+    return 1;
+  }
+}
+
+main().then(code => {
+  process.exitCode = code;
+});
@@ -0,0 +1,224 @@
+// device-library.js - Bundled device/preset JSON merged with the user's library file
+const fs = require("fs");
+const path = require("path");
+const userAgents = require("./user-agents");
+
+const LIBRARY_FILENAME = "device-library.json";
+const LIBRARY_VERSION = 1;
+
+const DEVICE_CATEGORIES = ['Mobile Phones', 'Tablets', 'Desktops', 'App Store Sizes'];
+
+// Limits used when validating user-defined devices
+const MIN_DIMENSION = 50;
+const MAX_DIMENSION = 10000;
+const MIN_SCALE_FACTOR = 0.5;
+const MAX_SCALE_FACTOR = 10;
+
+function emptyUserLibrary() {
+  return {
+    version: LIBRARY_VERSION,
+    devices: {},
+    presets: {},
+    networkDefaults: {}, // Preset name -> { category: network profile id }
+    removedDevices: [] // Bundled devices the user deleted
+  };
+}
+
+// Load devices.json and presets.json shipped next to the app
+function loadBundledLibrary(baseDir) {
+  const devices = JSON.parse(fs.readFileSync(path.join(baseDir, "devices.json"), "utf8"));
+  const presets = JSON.parse(fs.readFileSync(path.join(baseDir, "presets.json"), "utf8"));
+  return { devices, presets };
+}
+
+function getUserLibraryPath(userDataDir) {
+  return path.join(userDataDir, LIBRARY_FILENAME);
+}
+
+// Renames a file to "<name>.bak" (or "<name>.<timestamp>.bak" if that exists) and returns the new path
+function moveAside(filePath) {
+  let backupPath = filePath + ".bak";
+  if (fs.existsSync(backupPath)) {
+    backupPath = `${filePath}.${Date.now()}.bak`;
+  }
+  fs.renameSync(filePath, backupPath);
+  return backupPath;
+}
+
+// moveAsideCorrupt is only for the app's own load: the library it returns is saved back on the
+// next edit, so invalid JSON must be out of the way first. Other readers just report the error.
+function loadUserLibrary(userDataDir, { moveAsideCorrupt = false } = {}) {
+  const libraryPath = getUserLibraryPath(userDataDir);
+  if (!fs.existsSync(libraryPath)) {
+    return emptyUserLibrary();
+  }
+
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(libraryPath, "utf8"));
+  } catch (error) {
+    if (moveAsideCorrupt && error instanceof SyntaxError) {
+      const backupPath = moveAside(libraryPath);
+      throw new Error(`${LIBRARY_FILENAME} could not be read (${error.message}). It was moved to ${backupPath}; fix it and move it back to restore your devices and presets.`);
+    }
+    throw new Error(`${LIBRARY_FILENAME} could not be read (${error.message})`);
+  }
+  return {
+    ...emptyUserLibrary(),
+    devices: data.devices || {},
+    presets: data.presets || {},
+    networkDefaults: data.networkDefaults || {},
+    removedDevices: Array.isArray(data.removedDevices) ? data.removedDevices : []
+  };
+}
+
+function saveUserLibrary(userDataDir, library) {
+  const libraryPath = getUserLibraryPath(userDataDir);
+  const data = {
+    version: LIBRARY_VERSION,
+    devices: library.devices || {},
+    presets: library.presets || {},
+    networkDefaults: library.networkDefaults || {},
+    removedDevices: library.removedDevices || []
+  };
+
+  if (!fs.existsSync(userDataDir)) {
+    fs.mkdirSync(userDataDir, { recursive: true });
+  }
+
+  // Write to a temp file first so a crash never leaves a half-written library
+  const tempPath = libraryPath + ".tmp";
+  fs.writeFileSync(tempPath, JSON.stringify(data, null, 2));
+  fs.renameSync(tempPath, libraryPath);
+  return libraryPath;
+}
+
+// User entries win over bundled ones; removed bundled devices are dropped
+function mergeLibraries(bundled, user) {
+  const removed = new Set(user.removedDevices || []);
+  const devices = {};
+
+  Object.keys(bundled.devices).forEach(name => {
+    if (!removed.has(name)) {
+      devices[name] = bundled.devices[name];
+    }
+  });
+  Object.assign(devices, user.devices || {});
+
+  return {
+    devices,
+    presets: { ...bundled.presets, ...(user.presets || {}) },
+    networkDefaults: { ...(bundled.networkDefaults || {}), ...(user.networkDefaults || {}) }
+  };
+}
+
+// Fallback category for entries that don't specify one
+function inferDeviceCategory(deviceName) {
+  if (deviceName.includes('iPad') || deviceName.includes('Tab')) {
+    return 'Tablets';
+  } else if (deviceName.includes('MacBook') || deviceName.includes('Desktop') || deviceName.includes('Mac App Store')) {
+    return 'Desktops';
+  } else if (deviceName.includes('App Store') || deviceName.includes('Play Store')) {
+    return 'App Store Sizes';
+  }
+  return 'Mobile Phones';
+}
+
+function getDeviceCategory(deviceName, device) {
+  return (device && device.category) || inferDeviceCategory(deviceName);
+}
+
+// User agent and client hints for a library entry (see user-agents.js).
+// Returns null when the caller's default identity should be used.
+function resolveDeviceIdentity(deviceName, device) {
+  const entry = device || {};
+  return userAgents.resolveDeviceIdentity(deviceName, entry, {
+    tablet: getDeviceCategory(deviceName, entry) === 'Tablets'
+  });
+}
+
+// Phones, tablets and watches emulate touch unless the entry sets `touch` explicitly
+function isTouchDevice(deviceName, device) {
+  const entry = device || {};
+  if (typeof entry.touch === 'boolean') {
+    return entry.touch;
+  }
+  const platform = userAgents.inferPlatform(deviceName, entry);
+  if (platform) {
+    return !userAgents.PLATFORMS[platform].desktop;
+  }
+  const category = getDeviceCategory(deviceName, entry);
+  return category === 'Mobile Phones' || category === 'Tablets';
+}
+
+function resolveUserAgent(deviceName, device) {
+  const identity = resolveDeviceIdentity(deviceName, device);
+  return identity ? identity.userAgent : null;
+}
+
+// Returns a list of human readable problems, empty when the device is valid
+function validateDevice(name, device, { existingNames = [], originalName = null } = {}) {
+  const errors = [];
+  const trimmedName = (name || '').trim();
+
+  if (!trimmedName) {
+    errors.push('Device name is required.');
+  } else if (trimmedName !== originalName && existingNames.includes(trimmedName)) {
+    errors.push(`A device named "${trimmedName}" already exists.`);
+  }
+
+  ['width', 'height'].forEach(key => {
+    const value = device[key];
+    if (!Number.isInteger(value) || value < MIN_DIMENSION || value > MAX_DIMENSION) {
+      errors.push(`${key === 'width' ? 'Width' : 'Height'} must be a whole number between ${MIN_DIMENSION} and ${MAX_DIMENSION}.`);
+    }
+  });
+
+  const scale = device.deviceScaleFactor;
+  if (typeof scale !== 'number' || !isFinite(scale) || scale < MIN_SCALE_FACTOR || scale > MAX_SCALE_FACTOR) {
+    errors.push(`Scale factor must be between ${MIN_SCALE_FACTOR} and ${MAX_SCALE_FACTOR}.`);
+  }
+
+  return errors;
+}
+
+function validatePreset(name, deviceNames, { existingNames = [], knownDevices = [] } = {}) {
+  const errors = [];
+  const trimmedName = (name || '').trim();
+
+  if (!trimmedName) {
+    errors.push('Preset name is required.');
+  } else if (trimmedName === 'custom') {
+    errors.push('"custom" is reserved for the unsaved custom preset.');
+  } else if (existingNames.includes(trimmedName)) {
+    errors.push(`A preset named "${trimmedName}" already exists.`);
+  }
+
+  if (!deviceNames || deviceNames.length === 0) {
+    errors.push('Select at least one device for the preset.');
+  } else {
+    const unknown = deviceNames.filter(deviceName => !knownDevices.includes(deviceName));
+    if (unknown.length > 0) {
+      errors.push(`Unknown devices: ${unknown.join(', ')}`);
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  DEVICE_CATEGORIES,
+  emptyUserLibrary,
+  loadBundledLibrary,
+  getUserLibraryPath,
+  loadUserLibrary,
+  saveUserLibrary,
+  mergeLibraries,
+  inferDeviceCategory,
+  getDeviceCategory,
+  resolveDeviceIdentity,
+  resolveUserAgent,
+  isTouchDevice,
+  validateDevice,
+  validatePreset
+};
@@ -0,0 +1,122 @@
+// locale-settings.js - Locale, timezone and geolocation emulation shared by previews and captures
+
+// Canonical BCP 47 tag ("de-de" -> "de-DE"), or null when it isn't one
+function canonicalLocale(locale) {
+  try {
+    return Intl.getCanonicalLocales(String(locale).trim())[0] || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+function isValidTimezone(timezoneId) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: timezoneId });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+function normalizeGeolocation(geolocation) {
+  if (!geolocation) return null;
+  const latitude = Number(geolocation.latitude);
+  const longitude = Number(geolocation.longitude);
+  const accuracy = Number(geolocation.accuracy);
+  if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90 ||
+      !Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+    return null;
+  }
+  return { latitude, longitude, accuracy: Number.isFinite(accuracy) && accuracy >= 0 ? accuracy : 100 };
+}
+
+// Drop anything invalid; missing keys mean "use the browser's own value"
+function normalizeLocaleSettings(settings = {}) {
+  const normalized = {};
+  const locale = settings.locale && canonicalLocale(settings.locale);
+  if (locale) normalized.locale = locale;
+  if (settings.timezoneId && isValidTimezone(settings.timezoneId)) normalized.timezoneId = settings.timezoneId;
+  const geolocation = normalizeGeolocation(settings.geolocation);
+  if (geolocation) normalized.geolocation = geolocation;
+  return normalized;
+}
+
+// Problems with user input, in the same terms the panel and CLI show them
+function validateLocaleSettings(settings = {}) {
+  const errors = [];
+  if (settings.locale && !canonicalLocale(settings.locale)) {
+    errors.push(`"${settings.locale}" is not a valid locale (e.g. de-DE)`);
+  }
+  if (settings.timezoneId && !isValidTimezone(settings.timezoneId)) {
+    errors.push(`"${settings.timezoneId}" is not a valid timezone (e.g. Europe/Berlin)`);
+  }
+  if (settings.geolocation && !normalizeGeolocation(settings.geolocation)) {
+    errors.push("Latitude must be between -90 and 90 and longitude between -180 and 180");
+  }
+  return errors;
+}
+
+// Accept-Language header for a locale: "de-DE" -> "de-DE,de;q=0.9"
+function acceptLanguageFor(locale) {
+  const language = locale.split("-")[0];
+  return language === locale ? locale : `${locale},${language};q=0.9`;
+}
+
+// Comma or newline separated locales for a locale matrix; returns { locales, invalid }
+function parseLocaleList(text) {
+  const locales = [];
+  const invalid = [];
+  (text || "").split(/[\s,]+/).filter(Boolean).forEach(entry => {
+    const locale = canonicalLocale(entry);
+    if (!locale) {
+      invalid.push(entry);
+    } else if (!locales.includes(locale)) {
+      locales.push(locale);
+    }
+  });
+  return { locales, invalid };
+}
+
+// "de-DE, Europe/Berlin, 52.52,13.40" style summary
+function describeLocaleSettings(settings = {}) {
+  const parts = [];
+  if (settings.locale) parts.push(settings.locale);
+  if (settings.timezoneId) parts.push(settings.timezoneId);
+  if (settings.geolocation) parts.push(`${settings.geolocation.latitude},${settings.geolocation.longitude}`);
+  return parts.join(", ");
+}
+
+// CDP commands that apply (or clear) the settings in a webview
+function getLocaleCommands(settings = {}) {
+  return [
+    // Clear the previous locale before applying a new one
+    { method: "Emulation.setLocaleOverride", params: {} },
+    ...(settings.locale ? [{ method: "Emulation.setLocaleOverride", params: { locale: settings.locale } }] : []),
+    { method: "Emulation.setTimezoneOverride", params: { timezoneId: settings.timezoneId || "" } },
+    settings.geolocation
+      ? { method: "Emulation.setGeolocationOverride", params: settings.geolocation }
+      : { method: "Emulation.clearGeolocationOverride" }
+  ];
+}
+
+// Playwright context options for the settings
+function playwrightContextOptions(settings = {}) {
+  const options = {};
+  if (settings.locale) options.locale = settings.locale;
+  if (settings.timezoneId) options.timezoneId = settings.timezoneId;
+  if (settings.geolocation) {
+    options.geolocation = settings.geolocation;
+    options.permissions = ["geolocation"];
+  }
+  return options;
+}
+
+module.exports = {
+  normalizeLocaleSettings,
+  validateLocaleSettings,
+  acceptLanguageFor,
+  parseLocaleList,
+  describeLocaleSettings,
+  getLocaleCommands,
+  playwrightContextOptions
+};
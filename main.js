@@ -1,7 +1,17 @@
 // main.js - Electron Main Process
-const { app, BrowserWindow, ipcMain, session } = require("electron");
+const { app, BrowserWindow, dialog, ipcMain, session, shell, webContents } = require("electron");
 const path = require("path");
+const { fileURLToPath } = require("url");
 const fs = require("fs");
+const deviceLibrary = require("./device-library");
+const { BROWSER_ARGS, capturePlaywrightScreenshot, captureBatch, applyPageEmulation, localeContextOptions, stitchImages } = require("./capture");
+const playwrightExport = require("./playwright-export");
+const recordings = require("./recordings");
+const outputPaths = require("./output-paths");
+const storeComposer = require("./store-composer");
+const storeValidator = require("./store-validator");
+const urlList = require("./url-list");
+const captureReport = require("./report");
 
 let mainWindow;
 
@@ -77,6 +87,45 @@ function createMainWindow() {
   // mainWindow.webContents.openDevTools();
 }
 
+// A report that fails to write shouldn't fail the capture run that produced it
+async function writeReportSafely(report) {
+  try {
+    const reportPath = await captureReport.writeRunReport(report);
+    console.log(`IPC: Wrote capture report ${reportPath}`);
+    return reportPath;
+  } catch (error) {
+    console.error('IPC: Error writing capture report:', error);
+    return null;
+  }
+}
+
+// Capture reports open in their own window; links to PNGs and pages open outside the app
+function openReportWindow(reportPath) {
+  const reportWindow = new BrowserWindow({
+    width: 1400,
+    height: 900,
+    title: 'Capture Report',
+    backgroundColor: "#1a1a1a",
+  });
+  reportWindow.webContents.setWindowOpenHandler(({ url }) => {
+    openReportLink(url);
+    return { action: 'deny' };
+  });
+  reportWindow.webContents.on('will-navigate', (event, url) => {
+    event.preventDefault();
+    openReportLink(url);
+  });
+  reportWindow.loadFile(reportPath);
+}
+
+function openReportLink(url) {
+  if (url.startsWith('file:')) {
+    shell.openPath(fileURLToPath(url));
+  } else {
+    shell.openExternal(url);
+  }
+}
+
 function setupIPCHandlers() {
   // Handle temporary window resize for full-page capture
   ipcMain.handle('resize-window-temporarily', async (event, { width, height }) => {
@@ -118,60 +167,294 @@ function setupIPCHandlers() {
     }
   });
   
+  // Handle resolving the default capture folder (used when no output folder is configured)
+  ipcMain.handle('get-default-output-dir', async () => {
+    return getDefaultOutputDir();
+  });
+  
+  // Handle picking the capture output folder
+  ipcMain.handle('choose-output-dir', async (event, currentDir) => {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Choose a folder for screenshots',
+      defaultPath: currentDir || getDefaultOutputDir(),
+      properties: ['openDirectory', 'createDirectory']
+    });
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+    return { success: true, path: filePaths[0] };
+  });
+  
   // Handle image stitching
-  ipcMain.handle('stitch-images', async (event, { chunks, finalWidth, finalHeight, deviceScaleFactor }) => {
-    console.log(`IPC: Stitching ${chunks.length} chunks into ${finalWidth}x${finalHeight} image @ ${deviceScaleFactor}x`);
-    
-    const { nativeImage } = require('electron');
-    const { createCanvas, Image } = require('canvas');
+  ipcMain.handle('stitch-images', async (event, options) => {
+    return stitchImages(options);
+  });
+  
+  // Handle marking a set of captures as the baseline for their URL + device
+  ipcMain.handle('save-baselines', async (event, { captures }) => {
+    console.log(`IPC: Saving ${captures.length} captures as baselines`);
     
     try {
-      // Calculate final dimensions with device scale factor
-      const canvasWidth = Math.ceil(finalWidth * deviceScaleFactor);
-      const canvasHeight = Math.ceil(finalHeight * deviceScaleFactor);
+      const manifest = loadBaselineManifest();
       
-      console.log(`IPC: Creating canvas ${canvasWidth}x${canvasHeight}`);
-      
-      // Create canvas for stitching
-      const canvas = createCanvas(canvasWidth, canvasHeight);
-      const ctx = canvas.getContext('2d');
+      for (const capture of captures) {
+        const key = getBaselineKey(capture);
+        const baselinePath = getBaselinePath(capture);
+        fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+        fs.copyFileSync(capture.filepath, baselinePath);
+        
+        manifest[key] = {
+          url: capture.url,
+          deviceName: capture.deviceName,
+          variant: capture.variant,
+          file: path.relative(getBaselinesDir(), baselinePath),
+          sourceFile: capture.filepath,
+          savedAt: new Date().toISOString()
+        };
+        console.log(`IPC: Baseline saved for ${key}`);
+      }
       
-      // Set white background
-      ctx.fillStyle = 'white';
-      ctx.fillRect(0, 0, canvasWidth, canvasHeight);
+      fs.writeFileSync(path.join(getBaselinesDir(), 'index.json'), JSON.stringify(manifest, null, 2));
+      return { success: true, count: captures.length };
+    } catch (error) {
+      console.error('IPC: Error saving baselines:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  // Handle comparing captures against their baselines pixel by pixel
+  ipcMain.handle('compare-with-baselines', async (event, { captures, threshold, pixelTolerance }) => {
+    console.log(`IPC: Comparing ${captures.length} captures (threshold ${threshold}%, tolerance ${pixelTolerance})`);
+    const results = [];
+    
+    for (const capture of captures) {
+      const result = {
+        url: capture.url,
+        deviceName: capture.deviceName,
+        variant: capture.variant,
+        filepath: capture.filepath
+      };
       
-      // Draw each chunk at its position
-      for (const chunk of chunks) {
-        const img = new Image();
-        img.src = Buffer.from(chunk.buffer);
+      try {
+        const baselinePath = getBaselinePath(capture);
+        if (!fs.existsSync(baselinePath)) {
+          results.push({ ...result, status: 'missing' });
+          continue;
+        }
+        
+        const comparison = await compareImages(
+          fs.readFileSync(baselinePath),
+          fs.readFileSync(capture.filepath),
+          { pixelTolerance }
+        );
         
-        // Calculate position with device scale factor
-        const x = Math.round(chunk.x * deviceScaleFactor);
-        const y = Math.round(chunk.y * deviceScaleFactor);
+        const diffPath = path.join(path.dirname(capture.filepath), `diff_${path.basename(capture.filepath)}`);
+        fs.writeFileSync(diffPath, comparison.diffBuffer);
         
-        console.log(`IPC: Drawing chunk at ${x},${y}`);
-        ctx.drawImage(img, x, y);
+        results.push({
+          ...result,
+          status: comparison.mismatchPercent <= threshold && !comparison.sizeMismatch ? 'pass' : 'fail',
+          mismatchPercent: comparison.mismatchPercent,
+          mismatchedPixels: comparison.mismatchedPixels,
+          sizeMismatch: comparison.sizeMismatch,
+          baselinePath,
+          diffPath
+        });
+        console.log(`IPC: ${capture.deviceName}: ${comparison.mismatchPercent.toFixed(3)}% mismatch`);
+      } catch (error) {
+        console.error(`IPC: Error comparing ${capture.deviceName}:`, error);
+        results.push({ ...result, status: 'error', error: error.message });
+      }
+    }
+    
+    return results;
+  });
+  
+  // Handle composing store-ready images (background, frame, text) from store preset captures
+  ipcMain.handle('compose-store-images', async (event, { captures, template, headline, subtitle }) => {
+    const results = [];
+    
+    for (const capture of captures) {
+      const target = storeComposer.getStoreTarget(capture.deviceName, capture.orientation);
+      if (!target) {
+        results.push({ deviceName: capture.deviceName, status: 'skipped' });
+        continue;
       }
       
-      // Convert canvas to PNG buffer
-      const buffer = canvas.toBuffer('image/png');
-      console.log(`IPC: Stitching complete, buffer size: ${buffer.length}`);
-      
-      return buffer;
-      
+      try {
+        const { buffer } = await storeComposer.composeStoreImage({
+          ...capture,
+          buffer: fs.readFileSync(capture.filepath),
+          template,
+          headline,
+          subtitle
+        });
+        
+        const storeDir = path.join(path.dirname(capture.filepath), 'store');
+        fs.mkdirSync(storeDir, { recursive: true });
+        const filepath = path.join(storeDir, `${path.basename(capture.filepath, '.png')}_${target.width}x${target.height}.png`);
+        fs.writeFileSync(filepath, buffer);
+        
+        console.log(`IPC: Composed ${target.store} image for ${capture.deviceName}: ${filepath}`);
+        results.push({ deviceName: capture.deviceName, status: 'ok', filepath, target });
+      } catch (error) {
+        console.error(`IPC: Error composing store image for ${capture.deviceName}:`, error);
+        results.push({ deviceName: capture.deviceName, status: 'error', error: error.message });
+      }
+    }
+    
+    return results;
+  });
+  
+  // Handle checking captures against the App Store / Play Store size tables
+  ipcMain.handle('validate-store-screenshots', async (event, { captures }) => {
+    try {
+      const library = deviceLibrary.mergeLibraries(
+        deviceLibrary.loadBundledLibrary(__dirname),
+        deviceLibrary.loadUserLibrary(app.getPath('userData'))
+      );
+      const reports = storeValidator.validateStoreImages(captures, library.devices);
+      reports.filter(report => report.status === 'fail').forEach(report => {
+        console.log(`IPC: ${report.filename} failed store validation: ${report.errors.join('; ')}`);
+      });
+      return { success: true, reports };
     } catch (error) {
-      console.error('IPC: Error stitching images:', error);
+      console.error('IPC: Error validating store screenshots:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  // Handle exporting recorded actions as Playwright test specs
+  ipcMain.handle('export-playwright-tests', async (event, recording) => {
+    const { response } = await dialog.showMessageBox(mainWindow, {
+      type: 'question',
+      title: 'Export as Playwright Test',
+      message: 'How should the recording be exported?',
+      detail: `${recording.devices.length} device(s) recorded on ${recording.url}`,
+      buttons: ['One spec per device', 'Single parameterized spec', 'Cancel'],
+      defaultId: 0,
+      cancelId: 2
+    });
+    if (response === 2) {
+      return { success: false, canceled: true };
+    }
+    
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Choose a folder for the Playwright specs',
+      properties: ['openDirectory', 'createDirectory']
+    });
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+    
+    try {
+      const specs = response === 0
+        ? playwrightExport.generateDeviceSpecs(recording)
+        : [playwrightExport.generateParameterizedSpec(recording)];
       
-      // Fallback: return the first chunk
-      if (chunks.length > 0) {
-        console.log('IPC: Falling back to first chunk');
-        return chunks[0].buffer;
-      }
+      const files = specs.map(spec => {
+        const filepath = path.join(filePaths[0], spec.filename);
+        fs.writeFileSync(filepath, spec.content);
+        console.log(`IPC: Wrote Playwright spec ${filepath} (${spec.steps} steps)`);
+        return filepath;
+      });
       
-      throw error;
+      return { success: true, files };
+    } catch (error) {
+      console.error('IPC: Error exporting Playwright tests:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  // Handle saving a recording to a versioned JSON file
+  ipcMain.handle('save-recording', async (event, recording) => {
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Save Recording',
+      defaultPath: `recording.${recordings.RECORDING_EXTENSION}`,
+      filters: [{ name: 'freePanes Recording', extensions: ['json'] }]
+    });
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+    
+    try {
+      recordings.saveRecording(filePath, recordings.createRecording(recording));
+      console.log(`IPC: Saved recording to ${filePath}`);
+      return { success: true, path: filePath };
+    } catch (error) {
+      console.error('IPC: Error saving recording:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  // Handle loading a recording, migrating older formats
+  ipcMain.handle('load-recording', async () => {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Load Recording',
+      filters: [{ name: 'freePanes Recording', extensions: ['json'] }],
+      properties: ['openFile']
+    });
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+    
+    try {
+      const recording = recordings.loadRecording(filePaths[0]);
+      console.log(`IPC: Loaded recording v${recording.version} from ${filePaths[0]}`);
+      return { success: true, recording, path: filePaths[0] };
+    } catch (error) {
+      console.error('IPC: Error loading recording:', error);
+      return { success: false, error: error.message };
     }
   });
   
+  // Handle loading the user's device library from the userData directory
+  ipcMain.handle('load-device-library', async () => {
+    try {
+      const library = deviceLibrary.loadUserLibrary(app.getPath('userData'), { moveAsideCorrupt: true });
+      console.log(`IPC: Loaded user library with ${Object.keys(library.devices).length} devices, ${Object.keys(library.presets).length} presets`);
+      return { success: true, library };
+    } catch (error) {
+      console.error('IPC: Error loading device library:', error);
+      return { success: false, error: error.message, library: deviceLibrary.emptyUserLibrary() };
+    }
+  });
+
+  // Handle saving the user's device library
+  ipcMain.handle('save-device-library', async (event, library) => {
+    try {
+      const libraryPath = deviceLibrary.saveUserLibrary(app.getPath('userData'), library);
+      console.log(`IPC: Saved device library to ${libraryPath}`);
+      return { success: true, path: libraryPath };
+    } catch (error) {
+      console.error('IPC: Error saving device library:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
+  // Handle DevTools protocol commands for preview webviews (emulation overrides)
+  ipcMain.handle('send-webview-cdp', async (event, { webContentsId, commands }) => {
+    const contents = webContents.fromId(webContentsId);
+    if (!contents || contents.isDestroyed()) {
+      return { success: false, error: `No webContents with id ${webContentsId}` };
+    }
+
+    try {
+      if (!contents.debugger.isAttached()) {
+        contents.debugger.attach('1.3');
+      }
+
+      const results = [];
+      for (const { method, params } of commands) {
+        results.push(await contents.debugger.sendCommand(method, params || {}));
+      }
+      return { success: true, results };
+    } catch (error) {
+      console.error('IPC: Error sending CDP commands to webview:', error);
+      return { success: false, error: error.message };
+    }
+  });
+
   // Handle getting cookies from the shared session
   ipcMain.handle('get-session-cookies', async (event, url) => {
     console.log('IPC: Getting cookies for URL:', url);
@@ -188,429 +471,156 @@ function setupIPCHandlers() {
   // Handle Playwright-based screenshot (better than Puppeteer for this use case)
   ipcMain.handle('capture-playwright-screenshot', async (event, options) => {
     console.log('IPC: capture-playwright-screenshot called');
-    const { url, width, height, deviceScaleFactor, userAgent, appState, recordedActions, cookies } = options;
-    
-    const { chromium } = require('playwright');
-    let browser = null;
+    return capturePlaywrightScreenshot(options);
+  });
+  
+  // Handle capturing several devices in one shared headless browser, reporting progress per device
+  ipcMain.handle('capture-batch', async (event, { jobs, concurrency }) => {
+    console.log(`IPC: capture-batch called for ${jobs.length} devices (concurrency ${concurrency})`);
+    return captureBatch(jobs, {
+      concurrency,
+      onProgress: (progress) => {
+        if (!event.sender.isDestroyed()) {
+          event.sender.send('capture-progress', progress);
+        }
+      }
+    });
+  });
+  
+  // Handle writing the HTML report for a capture run
+  ipcMain.handle('write-capture-report', async (event, report) => {
+    return writeReportSafely(report);
+  });
+  
+  // Handle opening a capture report inside the app
+  ipcMain.handle('open-report', async (event, reportPath) => {
+    if (!reportPath || !fs.existsSync(reportPath)) {
+      return { success: false, error: 'The report file no longer exists.' };
+    }
+    openReportWindow(reportPath);
+    return { success: true };
+  });
+  
+  // Handle reading a URL list or sitemap.xml for batch capture
+  ipcMain.handle('open-url-list', async () => {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Load URL List',
+      filters: [
+        { name: 'URL lists and sitemaps', extensions: ['txt', 'xml', 'csv'] },
+        { name: 'All Files', extensions: ['*'] }
+      ],
+      properties: ['openFile']
+    });
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
     
     try {
-      console.log(`IPC: Launching Playwright for ${width}x${height} @ ${deviceScaleFactor}x`);
-      
-      // Launch browser (visible for debugging)
-      browser = await chromium.launch({
-        headless: false, // Make browser visible!
-        slowMo: 500, // Slow down actions so you can see them
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-web-security',
-          '--allow-running-insecure-content',
-          '--disable-features=IsolateOrigins,site-per-process',
-          '--disable-blink-features=AutomationControlled',
-          '--disable-site-isolation-trials',
-          '--allow-file-access-from-files',
-          '--allow-cross-origin-auth-prompt'
-        ]
-      });
-      
-      // Extract origin from URL for proper headers
-      const urlObj = new URL(url);
-      const origin = `${urlObj.protocol}//${urlObj.host}`;
-      
-      // Create context with cookies if provided
-      const contextOptions = {
-        viewport: {
-          width: width,
-          height: height
-        },
-        deviceScaleFactor: deviceScaleFactor,
-        userAgent: userAgent,
-        // Add extra HTTP headers to prevent Origin issues
-        extraHTTPHeaders: {
-          'Origin': origin,
-          'Referer': url,
-          'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.9',
-          'Cache-Control': 'no-cache',
-          'Pragma': 'no-cache'
-        },
-        // Bypass CSP to allow all resources to load
-        bypassCSP: true,
-        // Accept downloads
-        acceptDownloads: true,
-        // Ignore HTTPS errors
-        ignoreHTTPSErrors: true
-      };
-
-      const context = await browser.newContext(contextOptions);
-      
-      // Add cookies to the context if provided
-      if (cookies && cookies.length > 0) {
-        console.log(`IPC: Adding ${cookies.length} cookies to Playwright context`);
-        
-        // Convert Electron cookies to Playwright format
-        const playwrightCookies = cookies.map(cookie => ({
-          name: cookie.name,
-          value: cookie.value,
-          domain: cookie.domain,
-          path: cookie.path || '/',
-          expires: cookie.expirationDate || undefined,
-          httpOnly: cookie.httpOnly || false,
-          secure: cookie.secure || false,
-          sameSite: cookie.sameSite === 'no_restriction' ? 'None' : 
-                    cookie.sameSite === 'lax' ? 'Lax' : 
-                    cookie.sameSite === 'strict' ? 'Strict' : 'None'
-        }));
-        
-        await context.addCookies(playwrightCookies);
-        console.log('IPC: Cookies added successfully');
+      const { urls, invalid } = urlList.parseUrlList(fs.readFileSync(filePaths[0], 'utf8'));
+      console.log(`IPC: Loaded ${urls.length} URLs from ${filePaths[0]} (${invalid.length} invalid)`);
+      return { success: true, urls, invalid, path: filePaths[0] };
+    } catch (error) {
+      console.error('IPC: Error loading URL list:', error);
+      return { success: false, error: error.message };
+    }
+  });
+  
+  // Handle capturing every URL on every device; files are written as each capture finishes
+  ipcMain.handle('capture-url-batch', async (event, { urls, devices, outputSettings, fullPage, concurrency, retries }) => {
+    console.log(`IPC: capture-url-batch called for ${urls.length} URLs x ${devices.length} devices (concurrency ${concurrency}, retries ${retries})`);
+    const startedAt = new Date().toISOString();
+    
+    // Batch runs always get their own folder with one subfolder per URL
+    const run = outputPaths.createCaptureRun({ ...outputSettings, subfolderPerRun: true }, {
+      mode: 'batch',
+      url: urls[0],
+      defaultDir: getDefaultOutputDir()
+    });
+    const urlRuns = {};
+    const cookieJar = session.fromPartition('persist:shared').cookies;
+    
+    const jobs = [];
+    for (const url of urls) {
+      urlRuns[url] = outputPaths.createUrlRun(run, url);
+      const cookies = await cookieJar.get({ url }).catch(() => []);
+      devices.forEach(device => jobs.push({
+        url,
+        device,
+        width: device.width,
+        height: device.height,
+        deviceScaleFactor: device.deviceScaleFactor,
+        userAgent: device.userAgent,
+        clientHints: device.clientHints,
+        touch: device.touch,
+        network: device.network,
+        media: device.media,
+        locale: device.locale,
+        cookies,
+        fullPage
+      }));
+    }
+    
+    const send = (progress) => {
+      if (!event.sender.isDestroyed()) {
+        const { url, device } = jobs[progress.index];
+        event.sender.send('url-batch-progress', { ...progress, url, deviceName: device.name });
       }
-      
-      const page = await context.newPage();
-      
-      // Inject app state if provided
-      if (appState) {
-        console.log('IPC: Injecting app state into browser context...');
-        
-        await page.addInitScript((injectedState) => {
-          // Restore localStorage
-          if (injectedState.localStorage) {
-            for (const [key, value] of Object.entries(injectedState.localStorage)) {
-              try {
-                localStorage.setItem(key, value);
-              } catch (e) {
-                console.warn('Failed to set localStorage item:', key, e);
-              }
-            }
-          }
-          
-          // Restore sessionStorage
-          if (injectedState.sessionStorage) {
-            for (const [key, value] of Object.entries(injectedState.sessionStorage)) {
-              try {
-                sessionStorage.setItem(key, value);
-              } catch (e) {
-                console.warn('Failed to set sessionStorage item:', key, e);
-              }
-            }
+    };
+    
+    try {
+      const results = await captureBatch(jobs, {
+        concurrency,
+        retries,
+        onProgress: send,
+        onResult: (index, result) => {
+          const { url, device } = jobs[index];
+          const capturedAt = new Date().toISOString();
+          if (!result.success) {
+            return { url, deviceName: device.name, variant: device.variant, success: false, error: result.error, attempts: result.attempts, capturedAt };
           }
-          
-          // Note: IndexedDB restoration would be more complex
-          // For now, we just inject the basic storage
-          console.log('App state injected:', 
-            Object.keys(injectedState.localStorage || {}).length, 'localStorage items,',
-            Object.keys(injectedState.sessionStorage || {}).length, 'sessionStorage items');
-        }, appState);
-      }
-      
-      console.log(`IPC: Loading ${url}`);
-      
-      // Navigate to URL
-      await page.goto(url, {
-        waitUntil: 'networkidle',
-        timeout: 10000
-      });
-      
-      // Wait for content to fully load and app to initialize with injected state
-      await page.waitForTimeout(3000);
-      
-      // Wait specifically for Vue.js to be ready
-      console.log('IPC: Waiting for Vue.js to initialize...');
-      await page.waitForFunction(() => {
-        // Check if Vue is available and components are mounted
-        return window.Vue || 
-               document.querySelector('[data-v-]') || 
-               document.querySelector('.app-container') ||
-               document.readyState === 'complete';
-      }, { timeout: 5000 });
-      
-      // Additional wait for Vue component mounting and event listeners
-      await page.waitForTimeout(2000);
-      console.log('IPC: Vue initialization complete');
-      
-      // Replay recorded actions if provided
-      if (recordedActions && recordedActions.length > 0) {
-        console.log(`IPC: Replaying ${recordedActions.length} recorded actions...`);
-        
-        for (let i = 0; i < recordedActions.length; i++) {
-          const action = recordedActions[i];
           try {
-            console.log(`IPC: Replaying ${i + 1}/${recordedActions.length} - ${action.type}:`, action);
-            
-            if (action.type === 'click') {
-              // Debug: Check if element exists
-              if (action.selector) {
-                const elementExists = await page.evaluate((selector) => {
-                  const element = document.querySelector(selector);
-                  if (element) {
-                    const rect = element.getBoundingClientRect();
-                    return {
-                      exists: true,
-                      visible: rect.width > 0 && rect.height > 0,
-                      rect: { x: rect.left, y: rect.top, width: rect.width, height: rect.height },
-                      text: element.textContent?.substring(0, 50) || '',
-                      tagName: element.tagName
-                    };
-                  }
-                  return { exists: false };
-                }, action.selector);
-                
-                console.log(`IPC: Element debug for ${action.selector}:`, elementExists);
-                
-                if (elementExists.exists && elementExists.visible) {
-                  // Check if we clicked the right element by comparing text
-                  if (action.text && elementExists.text.trim() !== action.text.trim()) {
-                    console.log(`IPC: ⚠️ Wrong element found! Expected: "${action.text}", Got: "${elementExists.text}"`);
-                    
-                    // Try to find by text content, but only visible elements
-                    console.log(`IPC: Trying to find VISIBLE element by text instead...`);
-                    
-                    try {
-                      const textToFind = action.text.trim();
-                      // Use a more specific search that only finds visible elements
-                      const visibleElement = await page.evaluate((text) => {
-                        // Find all elements containing the text
-                        const walker = document.createTreeWalker(
-                          document.body,
-                          NodeFilter.SHOW_TEXT,
-                          null,
-                          false
-                        );
-                        
-                        const candidates = [];
-                        let textNode;
-                        while (textNode = walker.nextNode()) {
-                          if (textNode.textContent.includes(text)) {
-                            const element = textNode.parentElement;
-                            const rect = element.getBoundingClientRect();
-                            // Only consider visible elements
-                            if (rect.width > 0 && rect.height > 0) {
-                              candidates.push({
-                                element: element,
-                                rect: rect,
-                                text: element.textContent,
-                                selector: element.tagName.toLowerCase()
-                              });
-                            }
-                          }
-                        }
-                        
-                        // Return info about the first visible candidate
-                        if (candidates.length > 0) {
-                          const best = candidates[0];
-                          return {
-                            found: true,
-                            x: best.rect.left + best.rect.width / 2,
-                            y: best.rect.top + best.rect.height / 2,
-                            text: best.text,
-                            rect: best.rect
-                          };
-                        }
-                        
-                        return { found: false };
-                      }, textToFind);
-                      
-                      if (visibleElement.found) {
-                        // Try different click methods for better compatibility
-                        console.log(`IPC: Attempting click on visible element by text: "${textToFind}" at (${visibleElement.x}, ${visibleElement.y})`);
-                        
-                        // Try Vue-friendly click sequence
-                        try {
-                          // First, ensure element is focused and ready
-                          await page.evaluate((coords) => {
-                            const element = document.elementFromPoint(coords.x, coords.y);
-                            if (element) {
-                              // Focus the element first
-                              element.focus();
-                              // Small delay for focus
-                              return new Promise(resolve => setTimeout(resolve, 100));
-                            }
-                          }, { x: visibleElement.x, y: visibleElement.y });
-                          
-                          // Method 1: Try Playwright's click (most reliable for Vue)
-                          try {
-                            // Find element again and use Playwright's click
-                            await page.evaluate((coords, text) => {
-                              const element = document.elementFromPoint(coords.x, coords.y);
-                              if (element && element.textContent.includes(text)) {
-                                // Mark element for Playwright to find
-                                element.setAttribute('data-playwright-click-target', 'true');
-                              }
-                            }, { x: visibleElement.x, y: visibleElement.y }, textToFind);
-                            
-                            // Use Playwright's click on the marked element
-                            await page.click('[data-playwright-click-target="true"]', { timeout: 1000 });
-                            console.log(`IPC: ✅ Playwright click on Vue element completed`);
-                            
-                            // Clean up the marker
-                            await page.evaluate(() => {
-                              const el = document.querySelector('[data-playwright-click-target="true"]');
-                              if (el) el.removeAttribute('data-playwright-click-target');
-                            });
-                            
-                          } catch (playwrightError) {
-                            console.log(`IPC: Playwright click failed: ${playwrightError.message}`);
-                            
-                            // Method 2: Mouse click with Vue event simulation
-                            await page.mouse.click(visibleElement.x, visibleElement.y);
-                            console.log(`IPC: ✅ Mouse click completed`);
-                            
-                            // Method 3: Comprehensive Vue event dispatching
-                            await page.evaluate((coords) => {
-                              const element = document.elementFromPoint(coords.x, coords.y);
-                              if (element) {
-                                console.log('Dispatching Vue-friendly events on:', element);
-                                
-                                // Simulate complete click sequence for Vue
-                                const events = ['mousedown', 'mouseup', 'click'];
-                                events.forEach(eventType => {
-                                  const event = new MouseEvent(eventType, {
-                                    bubbles: true,
-                                    cancelable: true,
-                                    view: window,
-                                    detail: 1,
-                                    clientX: coords.x,
-                                    clientY: coords.y
-                                  });
-                                  element.dispatchEvent(event);
-                                });
-                                
-                                // Also try the native click method
-                                element.click();
-                              }
-                            }, { x: visibleElement.x, y: visibleElement.y });
-                            console.log(`IPC: ✅ Vue event sequence dispatched`);
-                          }
-                        } catch (e) {
-                          console.log(`IPC: All click methods failed: ${e.message}`);
-                        }
-                        
-                        // Verify if the click had any effect by checking for DOM changes
-                        await page.waitForTimeout(500); // Short wait for immediate effects
-                        const afterClickCheck = await page.evaluate(() => {
-                          return {
-                            url: window.location.href,
-                            title: document.title,
-                            activeElement: document.activeElement?.tagName || 'none'
-                          };
-                        });
-                        console.log(`IPC: After click state:`, afterClickCheck);
-                        
-                      } else {
-                        console.log(`IPC: No visible element found with text: "${textToFind}"`);
-                        // Fall back to the original selector
-                        await page.click(action.selector, { timeout: 1000 });
-                        console.log(`IPC: ✅ Used original selector as fallback`);
-                      }
-                    } catch (textError) {
-                      console.log(`IPC: Text-based search failed: ${textError.message}`);
-                      // Fall back to the original selector anyway
-                      try {
-                        await page.click(action.selector, { timeout: 1000 });
-                        console.log(`IPC: ✅ Used original selector despite text issues`);
-                      } catch (e) {
-                        console.log(`IPC: Original selector also failed: ${e.message}`);
-                      }
-                    }
-                  } else {
-                    // Text matches or no text to compare - proceed with normal click
-                    try {
-                      await page.click(action.selector, { timeout: 1000 });
-                      console.log(`IPC: ✅ Successfully clicked element: ${action.selector}`);
-                    } catch (e) {
-                      console.log(`IPC: page.click failed: ${e.message}`);
-                      // Try manual click at element center
-                      try {
-                        const centerX = elementExists.rect.x + elementExists.rect.width / 2;
-                        const centerY = elementExists.rect.y + elementExists.rect.height / 2;
-                        await page.mouse.click(centerX, centerY);
-                        console.log(`IPC: ✅ Manual click at element center: (${centerX}, ${centerY})`);
-                      } catch (e2) {
-                        console.log(`IPC: Manual click also failed: ${e2.message}`);
-                      }
-                    }
-                  }
-                } else if (elementExists.exists && !elementExists.visible) {
-                  console.log(`IPC: Element exists but not visible: ${action.selector}`);
-                } else {
-                  console.log(`IPC: Element not found: ${action.selector}`);
-                  // Fallback to coordinates
-                  if (action.coordinates) {
-                    await page.mouse.click(action.coordinates.x, action.coordinates.y);
-                    console.log(`IPC: Used fallback coordinates: ${action.coordinates.x}, ${action.coordinates.y}`);
-                  }
-                }
-              } else if (action.coordinates) {
-                await page.mouse.click(action.coordinates.x, action.coordinates.y);
-                console.log(`IPC: Clicked at coordinates: ${action.coordinates.x}, ${action.coordinates.y}`);
-              }
-              
-            } else if (action.type === 'input') {
-              if (action.selector && action.value) {
-                try {
-                  await page.fill(action.selector, action.value);
-                  console.log(`IPC: Filled input: ${action.selector} = ${action.value}`);
-                } catch (e) {
-                  console.warn(`IPC: Failed to fill input: ${action.selector}`, e.message);
-                }
-              }
-            } else if (action.type === 'scroll') {
-              if (action.x !== undefined && action.y !== undefined) {
-                await page.evaluate(({ x, y }) => {
-                  window.scrollTo(x, y);
-                }, { x: action.x, y: action.y });
-                console.log(`IPC: Scrolled to: ${action.x}, ${action.y}`);
-              }
-            }
-            
-            // Wait longer between actions for Vue.js state changes
-            console.log(`IPC: Waiting for Vue state to update after action ${i + 1}...`);
-            await page.waitForTimeout(2000); // 2 seconds for Vue reactivity
-            
-            // Wait for any network activity to settle
-            try {
-              await page.waitForLoadState('networkidle', { timeout: 2000 });
-              console.log(`IPC: Network settled after action ${i + 1}`);
-            } catch (e) {
-              console.log(`IPC: Network timeout after action ${i + 1} - continuing`);
-            }
-            
+            const filepath = outputPaths.captureFilePath(urlRuns[url], {
+              device: device.name,
+              width: device.width,
+              height: device.height,
+              dpr: device.deviceScaleFactor,
+              orientation: device.orientation,
+              url,
+              fullPage,
+              variant: device.variant
+            });
+            fs.writeFileSync(filepath, result.buffer);
+            return { url, deviceName: device.name, variant: device.variant, success: true, filepath, capturedAt };
           } catch (error) {
-            console.warn(`IPC: Failed to replay action ${i + 1} (${action.type}):`, error.message);
+            console.error(`IPC: Error writing batch capture for ${url} on ${device.name}:`, error);
+            return { url, deviceName: device.name, variant: device.variant, success: false, error: error.message, capturedAt };
           }
         }
-        
-        // Wait longer so you can see the final state
-        console.log('IPC: Waiting for actions to settle...');
-        await page.waitForTimeout(3000);
-      }
-      
-      console.log(`IPC: Taking screenshot at exact device dimensions ${width}x${height} @ ${deviceScaleFactor}x`);
-      
-      // Take screenshot at exact device viewport dimensions (not full page)
-      // This gives us the exact App Store screenshot dimensions
-      const screenshot = await page.screenshot({
-        type: 'png',
-        clip: {
-          x: 0,
-          y: 0,
-          width: width,
-          height: height
-        }
       });
       
-      await browser.close();
-      
-      console.log(`IPC: Screenshot captured, size: ${screenshot.length} bytes`);
-      return screenshot;
-      
+      const failed = results.filter(result => !result.success);
+      console.log(`IPC: URL batch finished: ${results.length - failed.length}/${results.length} captured in ${run.dir}`);
+      const reportPath = await writeReportSafely({
+        path: outputPaths.reportPath(run),
+        mode: 'batch',
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        fullPage,
+        devices,
+        captures: results
+      });
+      return {
+        success: true,
+        dir: run.dir,
+        reportPath,
+        total: results.length,
+        captured: results.length - failed.length,
+        failed,
+        results
+      };
     } catch (error) {
-      console.error('IPC: Error in Puppeteer screenshot:', error);
-      if (browser) {
-        await browser.close();
-      }
-      throw error;
+      console.error('IPC: Error running URL batch:', error);
+      return { success: false, error: error.message, dir: run.dir };
     }
   });
   
@@ -802,6 +812,119 @@ function setupIPCHandlers() {
   });
 }
 
+// Packaged apps can't rely on the working directory, so default to the user's Pictures folder
+function getDefaultOutputDir() {
+  return app.isPackaged
+    ? path.join(app.getPath('pictures'), 'freePanes')
+    : path.join(process.cwd(), 'screenshots');
+}
+
+// Visual regression baselines live in userData so they survive output folder changes
+function getBaselinesDir() {
+  return path.join(app.getPath('userData'), 'baselines');
+}
+
+function slugify(value) {
+  return value
+    .replace(/^https?:\/\//, '')
+    .replace(/[^a-zA-Z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '')
+    .slice(0, 100) || 'root';
+}
+
+// Landscape, full-page and matrix variant captures get their own baseline per device
+function getBaselineKey({ url, deviceName, orientation, fullPage, variant: captureVariant }) {
+  const variant = [
+    orientation === 'landscape' ? 'landscape' : '',
+    fullPage ? 'fullpage' : '',
+    captureVariant ? slugify(captureVariant) : ''
+  ].filter(Boolean).join('_');
+  return `${slugify(url)}/${slugify(deviceName)}${variant ? '_' + variant : ''}`;
+}
+
+function getBaselinePath(capture) {
+  return path.join(getBaselinesDir(), getBaselineKey(capture) + '.png');
+}
+
+function loadBaselineManifest() {
+  const manifestPath = path.join(getBaselinesDir(), 'index.json');
+  if (!fs.existsSync(manifestPath)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+}
+
+// Compare two PNGs pixel by pixel and render a diff image highlighting changes in red
+async function compareImages(baselineBuffer, currentBuffer, { pixelTolerance = 0 } = {}) {
+  const { createCanvas, loadImage } = require('canvas');
+  
+  const baseline = await loadImage(baselineBuffer);
+  const current = await loadImage(currentBuffer);
+  
+  // Compare over the union of both images; pixels outside either one count as changed
+  const width = Math.max(baseline.width, current.width);
+  const height = Math.max(baseline.height, current.height);
+  const sizeMismatch = baseline.width !== current.width || baseline.height !== current.height;
+  
+  const readPixels = (image) => {
+    const canvas = createCanvas(width, height);
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(image, 0, 0);
+    return ctx.getImageData(0, 0, width, height).data;
+  };
+  
+  const baselinePixels = readPixels(baseline);
+  const currentPixels = readPixels(current);
+  
+  const diffCanvas = createCanvas(width, height);
+  const diffCtx = diffCanvas.getContext('2d');
+  const diffData = diffCtx.createImageData(width, height);
+  const diffPixels = diffData.data;
+  
+  let mismatchedPixels = 0;
+  
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = (y * width + x) * 4;
+      const outside = x >= baseline.width || y >= baseline.height ||
+                      x >= current.width || y >= current.height;
+      
+      const changed = outside ||
+        Math.abs(baselinePixels[i] - currentPixels[i]) > pixelTolerance ||
+        Math.abs(baselinePixels[i + 1] - currentPixels[i + 1]) > pixelTolerance ||
+        Math.abs(baselinePixels[i + 2] - currentPixels[i + 2]) > pixelTolerance ||
+        Math.abs(baselinePixels[i + 3] - currentPixels[i + 3]) > pixelTolerance;
+      
+      if (changed) {
+        mismatchedPixels++;
+        diffPixels[i] = 255;
+        diffPixels[i + 1] = 0;
+        diffPixels[i + 2] = 0;
+        diffPixels[i + 3] = 255;
+      } else {
+        // Faded grayscale copy of the current image for context
+        const gray = 0.299 * currentPixels[i] + 0.587 * currentPixels[i + 1] + 0.114 * currentPixels[i + 2];
+        const faded = Math.round(255 - (255 - gray) * 0.25);
+        diffPixels[i] = faded;
+        diffPixels[i + 1] = faded;
+        diffPixels[i + 2] = faded;
+        diffPixels[i + 3] = 255;
+      }
+    }
+  }
+  
+  diffCtx.putImageData(diffData, 0, 0);
+  
+  return {
+    width,
+    height,
+    sizeMismatch,
+    mismatchedPixels,
+    mismatchPercent: (mismatchedPixels / (width * height)) * 100,
+    diffBuffer: diffCanvas.toBuffer('image/png')
+  };
+}
+
 // Manual screenshot mode - store browsers
 let manualBrowsers = [];
 
@@ -819,36 +942,30 @@ ipcMain.handle('open-manual-browsers', async (event, options) => {
       
       const browser = await chromium.launch({
         headless: false, // Always visible for manual navigation
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-web-security',
-          '--allow-running-insecure-content',
-          '--disable-features=IsolateOrigins,site-per-process',
-          '--disable-blink-features=AutomationControlled',
-          '--disable-site-isolation-trials',
-          '--allow-file-access-from-files',
-          '--allow-cross-origin-auth-prompt'
-        ]
+        args: BROWSER_ARGS
       });
       
       // Extract origin from URL for proper headers
       const urlObj = new URL(url);
       const origin = `${urlObj.protocol}//${urlObj.host}`;
       
+      const localeContext = localeContextOptions(device.locale);
       const context = await browser.newContext({
         viewport: {
           width: device.width,
           height: device.height
         },
         deviceScaleFactor: device.deviceScaleFactor,
+        userAgent: device.userAgent,
+        hasTouch: Boolean(device.touch),
+        isMobile: Boolean(device.touch),
+        ...localeContext.options,
         // Add extra HTTP headers to prevent Origin issues
         extraHTTPHeaders: {
           'Origin': origin,
           'Referer': url,
           'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,image/apng,*/*;q=0.8',
-          'Accept-Language': 'en-US,en;q=0.9',
+          'Accept-Language': localeContext.acceptLanguage,
           'Cache-Control': 'no-cache',
           'Pragma': 'no-cache'
         },
@@ -883,6 +1000,7 @@ ipcMain.handle('open-manual-browsers', async (event, options) => {
       }
       
       const page = await context.newPage();
+      await applyPageEmulation(context, page, device);
       
       // Inject app state if provided
       if (appState) {
@@ -984,15 +1102,16 @@ ipcMain.handle('capture-manual-screenshots', async (event, options) => {
   console.log('IPC: Capturing screenshots from manual browsers');
   
   try {
-    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-    const screenshotsDir = require("path").join(process.cwd(), "screenshots");
-    const fs = require("fs");
-    
-    if (!fs.existsSync(screenshotsDir)) {
-      fs.mkdirSync(screenshotsDir);
-    }
+    const run = outputPaths.createCaptureRun(options.outputSettings, {
+      mode: 'manual',
+      url: manualBrowsers.length > 0 ? manualBrowsers[0].page.url() : '',
+      defaultDir: getDefaultOutputDir()
+    });
     
+    const startedAt = new Date().toISOString();
     const filenames = [];
+    const reportDevices = [];
+    const reportCaptures = [];
     
     for (let i = 0; i < manualBrowsers.length; i++) {
       const { page, device } = manualBrowsers[i];
@@ -1010,17 +1129,38 @@ ipcMain.handle('capture-manual-screenshots', async (event, options) => {
         }
       });
       
-      const dpiSuffix = device.deviceScaleFactor > 1 ? `_${device.deviceScaleFactor}x` : "";
-      const deviceName = device.name.replace(/[^a-zA-Z0-9]/g, "_");
-      const filename = `manual_${timestamp}_${deviceName}${dpiSuffix}.png`;
-      const filepath = require("path").join(screenshotsDir, filename);
+      const filepath = outputPaths.captureFilePath(run, {
+        device: device.name,
+        width: device.width,
+        height: device.height,
+        dpr: device.deviceScaleFactor,
+        url: page.url()
+      });
+      const filename = path.basename(filepath);
       
       fs.writeFileSync(filepath, screenshot);
       filenames.push(filename);
+      reportDevices.push({ ...device, userAgent: await page.evaluate(() => navigator.userAgent) });
+      reportCaptures.push({
+        url: page.url(),
+        deviceName: device.name,
+        filepath,
+        success: true,
+        capturedAt: new Date().toISOString()
+      });
       
       console.log(`IPC: Saved ${filename}`);
     }
     
+    const reportPath = await writeReportSafely({
+      path: outputPaths.reportPath(run),
+      mode: 'manual',
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      devices: reportDevices,
+      captures: reportCaptures
+    });
+    
     // Automatically close all browsers after successful screenshots
     console.log('IPC: Auto-closing manual browsers after screenshots...');
     for (const { browser } of manualBrowsers) {
@@ -1040,6 +1180,8 @@ ipcMain.handle('capture-manual-screenshots', async (event, options) => {
       success: true,
       count: filenames.length,
       filenames,
+      dir: run.dir,
+      reportPath,
       autoClosedBrowsers: true
     };
     
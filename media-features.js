@@ -0,0 +1,56 @@
+// media-features.js - Emulated CSS media features (color scheme, motion, contrast, print) for previews and captures
+
+// Values match Playwright's emulateMedia options so previews and captures agree
+const MEDIA_FEATURES = {
+  colorScheme: { label: 'Color scheme', feature: 'prefers-color-scheme', values: ['light', 'dark'] },
+  reducedMotion: { label: 'Reduced motion', feature: 'prefers-reduced-motion', values: ['no-preference', 'reduce'] },
+  contrast: { label: 'Contrast', feature: 'prefers-contrast', values: ['no-preference', 'more'] },
+  forcedColors: { label: 'Forced colors', feature: 'forced-colors', values: ['none', 'active'] },
+  media: { label: 'Media type', values: ['screen', 'print'] }
+};
+
+// Drop unknown keys and values; missing keys mean "not emulated"
+function normalizeMediaSettings(settings = {}) {
+  const normalized = {};
+  Object.entries(MEDIA_FEATURES).forEach(([key, definition]) => {
+    if (definition.values.includes(settings[key])) {
+      normalized[key] = settings[key];
+    }
+  });
+  return normalized;
+}
+
+// Params for CDP Emulation.setEmulatedMedia; empty values clear earlier overrides
+function getEmulatedMediaParams(settings = {}) {
+  return {
+    media: settings.media || '',
+    features: Object.entries(MEDIA_FEATURES)
+      .filter(([, definition]) => definition.feature)
+      .map(([key, definition]) => ({ name: definition.feature, value: settings[key] || '' }))
+  };
+}
+
+// "dark, print" style summary of the emulated features
+function describeMediaSettings(settings = {}) {
+  return Object.keys(MEDIA_FEATURES)
+    .filter(key => settings[key])
+    .map(key => settings[key])
+    .join(', ');
+}
+
+// One capture variant per value of the matrix feature, e.g. light + dark
+function getMediaVariants(matrixKey) {
+  const definition = MEDIA_FEATURES[matrixKey];
+  if (!definition) {
+    return [];
+  }
+  return definition.values.map(value => ({ name: value, media: { [matrixKey]: value } }));
+}
+
+module.exports = {
+  MEDIA_FEATURES,
+  normalizeMediaSettings,
+  getEmulatedMediaParams,
+  describeMediaSettings,
+  getMediaVariants
+};
@@ -0,0 +1,68 @@
+// network-profiles.js - Network throttling profiles applied to webviews and Playwright pages over CDP
+
+// Latency in ms, throughput in kbit/s (DevTools' presets with their packet overhead applied)
+const NETWORK_PROFILES = {
+  none: { label: 'No throttling' },
+  offline: { label: 'Offline', offline: true },
+  'slow-3g': { label: 'Slow 3G', latency: 2000, download: 400, upload: 400 },
+  'fast-3g': { label: 'Fast 3G', latency: 563, download: 1440, upload: 675 },
+  '4g': { label: '4G', latency: 165, download: 8100, upload: 1350 },
+  custom: { label: 'Custom' }
+};
+
+const DEFAULT_CUSTOM_PROFILE = { latency: 100, download: 5000, upload: 1000 };
+
+function normalizeCustomProfile(custom = {}) {
+  const value = (key) => {
+    const number = Number(custom[key]);
+    return Number.isFinite(number) && number >= 0 ? number : DEFAULT_CUSTOM_PROFILE[key];
+  };
+  return { latency: value('latency'), download: value('download'), upload: value('upload') };
+}
+
+function getProfileSettings(profileId, custom) {
+  return profileId === 'custom' ? normalizeCustomProfile(custom) : NETWORK_PROFILES[profileId];
+}
+
+// Params for CDP Network.emulateNetworkConditions, or null when the profile doesn't throttle
+function getNetworkConditions(profileId, custom) {
+  const profile = getProfileSettings(profileId, custom);
+  if (!profile || profileId === 'none') {
+    return null;
+  }
+  if (profile.offline) {
+    return { offline: true, latency: 0, downloadThroughput: -1, uploadThroughput: -1 };
+  }
+  const bytesPerSecond = (kbps) => kbps > 0 ? Math.round(kbps * 1000 / 8) : -1;
+  return {
+    offline: false,
+    latency: profile.latency,
+    downloadThroughput: bytesPerSecond(profile.download),
+    uploadThroughput: bytesPerSecond(profile.upload)
+  };
+}
+
+// Short summary for tooltips, e.g. "Fast 3G: 563 ms, 1440/675 kbit/s"
+function describeProfile(profileId, custom) {
+  const label = (NETWORK_PROFILES[profileId] || NETWORK_PROFILES.none).label;
+  const profile = getProfileSettings(profileId, custom);
+  if (!profile || profileId === 'none' || profile.offline) {
+    return label;
+  }
+  return `${label}: ${profile.latency} ms, ${profile.download}/${profile.upload} kbit/s`;
+}
+
+// Profile for a device: the viewport's own choice, else the preset's default for its category
+function resolveNetworkProfile(deviceName, category, { selections = {}, presetDefaults = {} } = {}) {
+  const profileId = selections[deviceName] || presetDefaults[category] || 'none';
+  return NETWORK_PROFILES[profileId] ? profileId : 'none';
+}
+
+module.exports = {
+  NETWORK_PROFILES,
+  DEFAULT_CUSTOM_PROFILE,
+  normalizeCustomProfile,
+  getNetworkConditions,
+  describeProfile,
+  resolveNetworkProfile
+};
@@ -0,0 +1,151 @@
+// output-paths.js - Where captures are written and what the files are called
+const fs = require("fs");
+const path = require("path");
+
+const TEMPLATE_TOKENS = {
+  date: "Run date (2024-05-31)",
+  time: "Run time (14-05-09)",
+  device: "Device name",
+  width: "Viewport width",
+  height: "Viewport height",
+  dpr: "Device pixel ratio",
+  orientation: "portrait or landscape",
+  "url-slug": "Host and path of the page",
+  mode: "capture, replay, manual or batch",
+  variant: "Capture matrix variant (dark, de-DE, ...)"
+};
+
+const DEFAULT_OUTPUT_SETTINGS = {
+  outputDir: "", // Empty uses the app's default folder
+  filenameTemplate: "{mode}_{date}_{time}_{device}_{dpr}x",
+  subfolderPerRun: false,
+  subfolderTemplate: "{date}_{time}_{mode}"
+};
+
+// Keep names portable across file systems
+function sanitize(value) {
+  return String(value)
+    .replace(/[^a-zA-Z0-9.\-_]+/g, "_")
+    .replace(/_+/g, "_")
+    .replace(/^[_.-]+|[_.-]+$/g, "");
+}
+
+function urlSlug(url) {
+  try {
+    const { hostname, port, pathname } = new URL(url);
+    const slug = [hostname, port, pathname].filter(Boolean).join("-")
+      .replace(/[^a-zA-Z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .toLowerCase();
+    return slug || "page";
+  } catch (e) {
+    return "page";
+  }
+}
+
+function pad(value) {
+  return String(value).padStart(2, "0");
+}
+
+function runTokens(date, mode, url) {
+  return {
+    date: `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`,
+    time: `${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`,
+    mode,
+    "url-slug": url ? urlSlug(url) : ""
+  };
+}
+
+// Tokens in the template that we don't know how to fill
+function findUnknownTokens(template) {
+  const unknown = [];
+  (template || "").replace(/\{([^{}]*)\}/g, (match, name) => {
+    if (!TEMPLATE_TOKENS[name]) unknown.push(match);
+    return match;
+  });
+  return unknown;
+}
+
+function renderTemplate(template, tokens) {
+  const rendered = (template || "").replace(/\{([^{}]*)\}/g, (match, name) =>
+    tokens[name] === undefined || tokens[name] === null ? "" : String(tokens[name]));
+  return sanitize(rendered);
+}
+
+function normalizeOutputSettings(settings = {}) {
+  const merged = { ...DEFAULT_OUTPUT_SETTINGS, ...settings };
+  if (!(merged.filenameTemplate || "").trim()) merged.filenameTemplate = DEFAULT_OUTPUT_SETTINGS.filenameTemplate;
+  if (!(merged.subfolderTemplate || "").trim()) merged.subfolderTemplate = DEFAULT_OUTPUT_SETTINGS.subfolderTemplate;
+  return merged;
+}
+
+// Resolve (and create) the folder for one capture run; every file in the run shares its date and time
+function createCaptureRun(settings, { mode, url, defaultDir, date = new Date() }) {
+  const options = normalizeOutputSettings(settings);
+  const tokens = runTokens(date, mode, url);
+  let dir = path.resolve(options.outputDir || defaultDir);
+  if (options.subfolderPerRun) {
+    dir = path.join(dir, renderTemplate(options.subfolderTemplate, tokens) || "run");
+  }
+  fs.mkdirSync(dir, { recursive: true });
+  return { dir, template: options.filenameTemplate, tokens, ownFolder: options.subfolderPerRun };
+}
+
+// Runs with their own folder get an index.html; shared folders get one report per run
+function reportPath(run) {
+  const name = run.ownFolder ? "index" : `${renderTemplate("{mode}_{date}_{time}", run.tokens)}_report`;
+  return path.join(run.dir, `${name}.html`);
+}
+
+// Sub-run for one page of a multi-URL batch, in its own folder named after the URL
+function createUrlRun(run, url) {
+  const dir = path.join(run.dir, urlSlug(url));
+  fs.mkdirSync(dir, { recursive: true });
+  return { ...run, dir, tokens: { ...run.tokens, "url-slug": urlSlug(url) } };
+}
+
+// Full-page, marker and matrix variant captures get a suffix so they never collide with the main
+// capture (variants only when the template has no {variant} of its own)
+function formatCaptureFilename(run, { device, width, height, dpr, orientation, url, fullPage, marker, variant }) {
+  const tokens = {
+    ...run.tokens,
+    device,
+    width,
+    height,
+    dpr: dpr || 1,
+    orientation: orientation || (width > height ? "landscape" : "portrait"),
+    variant
+  };
+  if (url) tokens["url-slug"] = urlSlug(url);
+
+  let name = renderTemplate(run.template, tokens) || "capture";
+  if (variant && !run.template.includes("{variant}")) name += `_${sanitize(variant)}`;
+  if (fullPage) name += "_fullpage";
+  if (marker) name += `_${sanitize(marker)}`;
+  return `${name}.png`;
+}
+
+// Templates without {device} or {time} can repeat a name, so number duplicates instead of overwriting
+function captureFilePath(run, capture) {
+  const filename = formatCaptureFilename(run, capture);
+  const base = filename.slice(0, -".png".length);
+  let filepath = path.join(run.dir, filename);
+  for (let i = 2; fs.existsSync(filepath); i++) {
+    filepath = path.join(run.dir, `${base}-${i}.png`);
+  }
+  return filepath;
+}
+
+module.exports = {
+  TEMPLATE_TOKENS,
+  DEFAULT_OUTPUT_SETTINGS,
+  urlSlug,
+  findUnknownTokens,
+  renderTemplate,
+  normalizeOutputSettings,
+  createCaptureRun,
+  createUrlRun,
+  reportPath,
+  formatCaptureFilename,
+  captureFilePath
+};
@@ -0,0 +1,246 @@
+// playwright-export.js - Turn recorded device actions into Playwright test specs
+const { getActionLocators, locatorToCss, renderPlaywrightLocator } = require('./selector-engine');
+
+// Best recorded locator for an action (legacy selector, id, label or clicked text included).
+// Test ids and ids are written as plain CSS so the generated test needs no testIdAttribute config.
+function getStepTarget(action, selectorOptions) {
+  const [locator] = getActionLocators(action, selectorOptions);
+  if (!locator) return null;
+  const css = locator.type === 'path' ? null : locatorToCss(locator);
+  const target = { locator: css ? { type: 'css', value: css } : locator };
+  if (action.frames && action.frames.length > 0) {
+    target.frames = action.frames;
+  }
+  return target;
+}
+
+// Reduce a recorded action to the fields the generated test needs
+function toStep(action, selectorOptions) {
+  const target = ['click', 'input', 'focus'].includes(action.type) ? getStepTarget(action, selectorOptions) : null;
+
+  if (action.type === 'click') {
+    if (target) {
+      return { type: 'click', ...target, text: (action.text || '').trim() || undefined };
+    }
+    const point = action.coordinates || (action.x !== undefined ? { x: action.x, y: action.y } : null);
+    return point ? { type: 'click', x: Math.round(point.x), y: Math.round(point.y) } : null;
+  } else if (action.type === 'input') {
+    if (!target) return null;
+    if (action.kind === 'checked') return { type: 'check', ...target, checked: Boolean(action.checked) };
+    if (action.kind === 'select') {
+      return { type: 'select', ...target, values: action.values && action.values.length > 0 ? action.values : [action.value] };
+    }
+    return { type: 'input', ...target, value: action.value || '' };
+  } else if (action.type === 'key') {
+    return action.key ? { type: 'key', key: action.key } : null;
+  } else if (action.type === 'focus') {
+    return target ? { type: 'focus', ...target } : null;
+  } else if (action.type === 'scroll') {
+    return { type: 'scroll', x: action.x || 0, y: action.y || 0 };
+  } else if (action.type === 'wait') {
+    if (action.selector) return { type: 'wait', selector: action.selector, timeout: action.timeout };
+    if (action.predicate) return { type: 'wait', predicate: action.predicate, timeout: action.timeout };
+    return { type: 'wait', duration: action.duration || 1000 };
+  } else if (action.type === 'screenshot') {
+    return { type: 'screenshot', name: slugify(action.name || 'step') };
+  }
+  return null;
+}
+
+function toSteps(actions, selectorOptions) {
+  return (actions || []).map(action => toStep(action, selectorOptions)).filter(Boolean);
+}
+
+function q(value) {
+  return JSON.stringify(value);
+}
+
+function slugify(value) {
+  return value.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'device';
+}
+
+// Waits and screenshot markers don't interact with the page
+function isPageStep(step) {
+  return step.type !== 'wait' && step.type !== 'screenshot';
+}
+
+function renderTarget(step) {
+  return `${renderPlaywrightLocator(step.locator, step.frames)}.first()`;
+}
+
+function renderStep(step) {
+  if (step.type === 'click' && step.locator) {
+    const comment = step.text ? ` // "${step.text.replace(/\s+/g, ' ').substring(0, 40)}"` : '';
+    return `  await ${renderTarget(step)}.click();${comment}`;
+  } else if (step.type === 'click') {
+    return `  await page.mouse.click(${step.x}, ${step.y});`;
+  } else if (step.type === 'input') {
+    return `  await ${renderTarget(step)}.fill(${q(step.value)});`;
+  } else if (step.type === 'check') {
+    return `  await ${renderTarget(step)}.setChecked(${step.checked});`;
+  } else if (step.type === 'select') {
+    return `  await ${renderTarget(step)}.selectOption(${q(step.values)});`;
+  } else if (step.type === 'key') {
+    return `  await page.keyboard.press(${q(step.key)});`;
+  } else if (step.type === 'focus') {
+    return `  await ${renderTarget(step)}.focus();`;
+  } else if (step.type === 'wait' && step.selector) {
+    return `  await page.locator(${q(step.selector)}).first().waitFor({ state: 'visible'${timeoutOption(step)} });`;
+  } else if (step.type === 'wait' && step.predicate) {
+    const options = step.timeout ? `, null, { timeout: ${step.timeout} }` : '';
+    return `  await page.waitForFunction(${q(step.predicate)}${options});`;
+  } else if (step.type === 'wait') {
+    return `  await page.waitForTimeout(${step.duration});`;
+  } else if (step.type === 'screenshot') {
+    return `  await expect(page).toHaveScreenshot(${q(`${step.name}.png`)});`;
+  }
+  return `  await page.evaluate(([x, y]) => window.scrollTo(x, y), [${step.x}, ${step.y}]);`;
+}
+
+function timeoutOption(step) {
+  return step.timeout ? `, timeout: ${step.timeout}` : '';
+}
+
+function renderUseOptions(device, indent) {
+  const lines = [
+    `viewport: { width: ${device.width}, height: ${device.height} }`,
+    `deviceScaleFactor: ${device.deviceScaleFactor || 1}`
+  ];
+  if (device.userAgent) {
+    lines.push(`userAgent: ${q(device.userAgent)}`);
+  }
+  return lines.map(line => indent + line).join(',\n');
+}
+
+function header(url) {
+  return [
+    `// Recorded with freePanes on ${new Date().toISOString()}`,
+    `// Start URL: ${url}`,
+    `const { test, expect } = require('@playwright/test');`,
+    ''
+  ].join('\n');
+}
+
+// One spec file per device with its viewport, scale factor and user agent baked in
+function generateDeviceSpecs({ url, devices, selectorOptions }) {
+  return devices.map(device => {
+    const steps = toSteps(device.actions, selectorOptions);
+    const body = steps.map(step => isPageStep(step)
+      ? [renderStep(step), `  await page.waitForLoadState('networkidle').catch(() => {});`].join('\n')
+      : renderStep(step));
+
+    const content = [
+      header(url),
+      `test.use({`,
+      renderUseOptions(device, '  '),
+      `});`,
+      '',
+      `test(${q(`${device.name}: recorded flow`)}, async ({ page }) => {`,
+      `  await page.goto(${q(url)}, { waitUntil: 'networkidle' });`,
+      ...body,
+      `  await expect(page).toHaveScreenshot(${q(`${slugify(device.name)}.png`)});`,
+      `});`,
+      ''
+    ].join('\n');
+
+    return { filename: `${slugify(device.name)}.spec.js`, content, steps: steps.length };
+  });
+}
+
+// Single spec that loops over every device and replays its own steps
+function generateParameterizedSpec({ url, devices, selectorOptions, name = 'recorded-flow' }) {
+  const deviceEntries = devices.map(device => {
+    const entry = {
+      name: device.name,
+      use: {
+        viewport: { width: device.width, height: device.height },
+        deviceScaleFactor: device.deviceScaleFactor || 1
+      },
+      // Snapshot names are shared across the file, so prefix marker names with the device
+      steps: toSteps(device.actions, selectorOptions).map(step => step.type === 'screenshot'
+        ? { ...step, name: `${slugify(device.name)}-${step.name}` }
+        : step)
+    };
+    if (device.userAgent) {
+      entry.use.userAgent = device.userAgent;
+    }
+    return entry;
+  });
+
+  const content = [
+    header(url),
+    `const URL = ${q(url)};`,
+    '',
+    `const devices = ${JSON.stringify(deviceEntries, null, 2)};`,
+    '',
+    `function locate(page, step) {`,
+    `  const scope = (step.frames || []).reduce((current, frame) => current.frameLocator(frame), page);`,
+    `  const { type, value, role, name, hosts } = step.locator;`,
+    `  if (type === 'role') return scope.getByRole(role, { name, exact: true }).first();`,
+    `  if (type === 'label') return scope.getByLabel(value, { exact: true }).first();`,
+    `  if (type === 'placeholder') return scope.getByPlaceholder(value, { exact: true }).first();`,
+    `  if (type === 'text') return scope.getByText(value, { exact: true }).first();`,
+    `  return (hosts || []).reduce((current, host) => current.locator(host), scope).locator(value).first();`,
+    `}`,
+    '',
+    `async function runStep(page, step) {`,
+    `  if (step.type === 'click' && step.locator) {`,
+    `    await locate(page, step).click();`,
+    `  } else if (step.type === 'click') {`,
+    `    await page.mouse.click(step.x, step.y);`,
+    `  } else if (step.type === 'input') {`,
+    `    await locate(page, step).fill(step.value);`,
+    `  } else if (step.type === 'check') {`,
+    `    await locate(page, step).setChecked(step.checked);`,
+    `  } else if (step.type === 'select') {`,
+    `    await locate(page, step).selectOption(step.values);`,
+    `  } else if (step.type === 'key') {`,
+    `    await page.keyboard.press(step.key);`,
+    `  } else if (step.type === 'focus') {`,
+    `    await locate(page, step).focus();`,
+    `  } else if (step.type === 'scroll') {`,
+    `    await page.evaluate(([x, y]) => window.scrollTo(x, y), [step.x, step.y]);`,
+    `  } else if (step.type === 'wait' && step.selector) {`,
+    `    await page.locator(step.selector).first().waitFor({ state: 'visible', timeout: step.timeout });`,
+    `    return;`,
+    `  } else if (step.type === 'wait' && step.predicate) {`,
+    `    await page.waitForFunction(step.predicate, null, { timeout: step.timeout });`,
+    `    return;`,
+    `  } else if (step.type === 'wait') {`,
+    `    await page.waitForTimeout(step.duration);`,
+    `    return;`,
+    `  } else if (step.type === 'screenshot') {`,
+    `    await expect(page).toHaveScreenshot(step.name + '.png');`,
+    `    return;`,
+    `  }`,
+    `  await page.waitForLoadState('networkidle').catch(() => {});`,
+    `}`,
+    '',
+    `for (const device of devices) {`,
+    `  test.describe(device.name, () => {`,
+    `    test.use(device.use);`,
+    '',
+    `    test('recorded flow', async ({ page }) => {`,
+    `      await page.goto(URL, { waitUntil: 'networkidle' });`,
+    `      for (const step of device.steps) {`,
+    `        await runStep(page, step);`,
+    `      }`,
+    `      await expect(page).toHaveScreenshot(device.name.replace(/[^a-zA-Z0-9]+/g, '-').toLowerCase() + '.png');`,
+    `    });`,
+    `  });`,
+    `}`,
+    ''
+  ].join('\n');
+
+  return {
+    filename: `${slugify(name)}.spec.js`,
+    content,
+    steps: deviceEntries.reduce((sum, entry) => sum + entry.steps.length, 0)
+  };
+}
+
+module.exports = {
+  toSteps,
+  generateDeviceSpecs,
+  generateParameterizedSpec
+};
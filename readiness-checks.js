@@ -0,0 +1,64 @@
+// readiness-checks.js - Pluggable "is the app ready?" predicates used before capturing and replaying
+//
+// Each predicate runs inside the page via page.waitForFunction, so it must be self-contained.
+// Checks for frameworks the page doesn't use simply time out and are skipped.
+
+const READINESS_CHECKS = {
+  document: {
+    label: 'Document loaded',
+    predicate: () => document.readyState === 'complete'
+  },
+  fonts: {
+    label: 'Web fonts loaded',
+    predicate: () => !document.fonts || document.fonts.status === 'loaded'
+  },
+  vue: {
+    label: 'Vue app mounted',
+    predicate: () => {
+      if (document.querySelector('[data-v-app]')) return true; // Vue 3
+      const root = document.getElementById('app');
+      return !!(root && root.__vue__); // Vue 2
+    }
+  },
+  react: {
+    label: 'React root rendered',
+    predicate: () => {
+      if (document.querySelector('[data-reactroot]')) return true;
+      return Array.from(document.body.children).some(el =>
+        Object.keys(el).some(key => key.startsWith('__reactContainer')) && el.childElementCount > 0);
+    }
+  },
+  angular: {
+    label: 'Angular stable',
+    predicate: () => typeof window.getAllAngularTestabilities === 'function' &&
+      window.getAllAngularTestabilities().every(testability => testability.isStable())
+  }
+};
+
+const DEFAULT_WAIT_OPTIONS = {
+  timeout: 10000, // Page load and readiness checks
+  stepTimeout: 5000, // Waiting for a step's target element
+  settleTimeout: 3000, // Network idle / DOM quiet after each step
+  domQuietMs: 300, // No DOM mutations for this long counts as settled
+  readiness: ['document', 'fonts'],
+  readySelector: '', // Optional selector that must be visible before replaying
+  readyPredicate: '' // Optional JS expression that must become truthy
+};
+
+function registerReadinessCheck(name, label, predicate) {
+  READINESS_CHECKS[name] = { label, predicate };
+}
+
+// Fill in defaults and drop unknown readiness checks
+function normalizeWaitOptions(options = {}) {
+  const merged = { ...DEFAULT_WAIT_OPTIONS, ...options };
+  merged.readiness = (merged.readiness || []).filter(name => READINESS_CHECKS[name]);
+  return merged;
+}
+
+module.exports = {
+  READINESS_CHECKS,
+  DEFAULT_WAIT_OPTIONS,
+  registerReadinessCheck,
+  normalizeWaitOptions
+};
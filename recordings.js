@@ -0,0 +1,106 @@
+// recordings.js - Versioned recording files (URL, devices, per-device actions, starting state)
+const fs = require("fs");
+const { DEFAULT_WAIT_OPTIONS } = require("./readiness-checks");
+
+const RECORDING_FORMAT = "freepanes-recording";
+const RECORDING_VERSION = 2;
+const RECORDING_EXTENSION = "freepanes.json";
+
+// Each entry upgrades a recording from `version` to `version + 1`
+const MIGRATIONS = {
+  // v2 added per-recording replay wait options; v1 files replay with the defaults
+  1: (recording) => ({ ...recording, version: 2, waitOptions: { ...DEFAULT_WAIT_OPTIONS } })
+};
+
+function createRecording({ url, devices, actions, appState, waitOptions }) {
+  return {
+    format: RECORDING_FORMAT,
+    version: RECORDING_VERSION,
+    createdAt: new Date().toISOString(),
+    url,
+    devices,
+    actions,
+    appState: appState || null,
+    waitOptions: { ...DEFAULT_WAIT_OPTIONS, ...(waitOptions || {}) }
+  };
+}
+
+// Bring any supported recording up to RECORDING_VERSION, or explain why it can't be loaded
+function migrateRecording(data) {
+  if (!data || typeof data !== "object" || Array.isArray(data)) {
+    throw new Error("The file does not contain a freePanes recording.");
+  }
+
+  if (data.format !== RECORDING_FORMAT) {
+    throw new Error(data.format
+      ? `Unknown recording format "${data.format}".`
+      : "The file does not contain a freePanes recording.");
+  }
+
+  let recording = data;
+
+  if (!Number.isInteger(recording.version) || recording.version < 1) {
+    throw new Error(`Invalid recording version "${recording.version}".`);
+  }
+  if (recording.version > RECORDING_VERSION) {
+    throw new Error(
+      `This recording was saved by a newer version of freePanes (format v${recording.version}, this app supports up to v${RECORDING_VERSION}). Please update freePanes to load it.`
+    );
+  }
+
+  while (recording.version < RECORDING_VERSION) {
+    const migrate = MIGRATIONS[recording.version];
+    if (!migrate) {
+      throw new Error(`No migration available from recording format v${recording.version}.`);
+    }
+    recording = migrate(recording);
+  }
+
+  validateRecording(recording);
+  return recording;
+}
+
+function validateRecording(recording) {
+  if (!recording.url) {
+    throw new Error("The recording has no start URL.");
+  }
+  if (!Array.isArray(recording.devices) || recording.devices.length === 0) {
+    throw new Error("The recording has no devices.");
+  }
+  if (!recording.actions || typeof recording.actions !== "object") {
+    throw new Error("The recording has no actions.");
+  }
+
+  recording.devices.forEach(device => {
+    if (!device.name || !device.width || !device.height) {
+      throw new Error(`Device "${device.name || "(unnamed)"}" is missing its name or dimensions.`);
+    }
+    if (recording.actions[device.name] && !Array.isArray(recording.actions[device.name])) {
+      throw new Error(`Actions for "${device.name}" must be a list.`);
+    }
+  });
+}
+
+function saveRecording(filepath, recording) {
+  fs.writeFileSync(filepath, JSON.stringify(recording, null, 2));
+  return filepath;
+}
+
+function loadRecording(filepath) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(filepath, "utf8"));
+  } catch (error) {
+    throw new Error(`Could not read recording: ${error.message}`);
+  }
+  return migrateRecording(data);
+}
+
+module.exports = {
+  RECORDING_VERSION,
+  RECORDING_EXTENSION,
+  createRecording,
+  migrateRecording,
+  saveRecording,
+  loadRecording
+};
@@ -2,17 +2,29 @@
 const { ipcRenderer } = require("electron");
 const fs = require("fs");
 const path = require("path");
+const { pathToFileURL } = require("url");
+const deviceLibrary = require("./device-library");
+const readiness = require("./readiness-checks");
+const outputPaths = require("./output-paths");
+const storeComposer = require("./store-composer");
+const urlList = require("./url-list");
+const userAgents = require("./user-agents");
+const networkProfiles = require("./network-profiles");
+const mediaFeatures = require("./media-features");
+const localeSettingsLib = require("./locale-settings");
+const syncProtocol = require("./sync-protocol");
+const selectorEngine = require("./selector-engine");
 
 // Load devices and presets from JSON files
 let devices = {};
 let presets = {};
+let bundledLibrary = { devices: {}, presets: {} };
+let userLibrary = deviceLibrary.emptyUserLibrary(); // Loaded from userData on startup
 
 try {
-  const devicesPath = path.join(__dirname, "devices.json");
-  const presetsPath = path.join(__dirname, "presets.json");
-
-  devices = JSON.parse(fs.readFileSync(devicesPath, "utf8"));
-  presets = JSON.parse(fs.readFileSync(presetsPath, "utf8"));
+  bundledLibrary = deviceLibrary.loadBundledLibrary(__dirname);
+  devices = { ...bundledLibrary.devices };
+  presets = { ...bundledLibrary.presets };
 } catch (error) {
   console.error("Error loading devices or presets:", error);
   // Fallback to hardcoded values if files can\'t be loaded
@@ -30,6 +42,7 @@ try {
     mobile: ["iPhone 14 Pro", "iPhone SE", "iPad Air"],
     desktop: ["MacBook Air", "Desktop HD"],
   };
+  bundledLibrary = { devices: { ...devices }, presets: { ...presets } };
 }
 
 let webviews = [];
@@ -38,23 +51,63 @@ let isScreenshotting = false; // Flag to prevent resize handler during screensho
 let recordedActions = [];
 let deviceSpecificActions = {}; // Store actions per device name
 let isRecording = false;
+let recordingUrl = null; // Page the current recording started on
+let recordingAppState = null; // Storage captured when the recording started
+let replayWaitOptions = readiness.normalizeWaitOptions(); // Conditions replay waits on, saved with the recording
 let customDeviceSelection = []; // For custom preset
 let currentPreset = 'responsive';
+let captureOptions = {
+  fullPage: false, // Stitch the whole scrollable page instead of the viewport
+  concurrency: parseInt(localStorage.getItem("captureConcurrency"), 10) || 3, // Devices captured at once
+  mediaMatrix: localStorage.getItem("mediaMatrix") || "", // Media feature captured in every value (e.g. light + dark)
+  localeMatrix: JSON.parse(localStorage.getItem("localeMatrix") || "[]") // Locales captured one set each (e.g. en-US + de-DE)
+};
+let outputSettings = outputPaths.normalizeOutputSettings(
+  JSON.parse(localStorage.getItem("outputSettings") || "{}")
+); // Output folder and filename template shared by every capture path
+let lastReportPath = null; // HTML report of the most recent capture run
+let rotatedDevices = new Set(); // Device names currently shown rotated (survives preset reloads)
+let mediaSettings = mediaFeatures.normalizeMediaSettings(
+  JSON.parse(localStorage.getItem('mediaSettings') || '{}')
+); // Emulated in every viewport
+let mediaSelections = {}; // Device name -> media features overridden in that viewport only
+let localeSettings = localeSettingsLib.normalizeLocaleSettings(
+  JSON.parse(localStorage.getItem('localeSettings') || '{}')
+); // Locale, timezone and geolocation emulated in every viewport
+let localeSelections = {}; // Device name -> locale settings overridden in that viewport only
+let networkSelections = {}; // Device name -> network profile picked in its viewport header
+let networkDefaults = {}; // Preset name -> { category: network profile }, from the device library
+let customNetworkProfile = networkProfiles.normalizeCustomProfile(
+  JSON.parse(localStorage.getItem('customNetworkProfile') || '{}')
+);
+let selectorOptions = selectorEngine.normalizeSelectorOptions(
+  JSON.parse(localStorage.getItem('selectorOptions') || '{}')
+); // Locator priority and test id attributes for sync, recording and replay
 let syncSettings = {
   scroll: true,
+  scrollMode: localStorage.getItem("scrollSyncMode") || "anchor", // "anchor" (same section) or "percent" (same share of the page)
   navigation: true, // Sync URL/route changes
   click: true, // Sync clicks (smart mode)
   hover: false, // Disabled by default for performance
   input: false, // Disabled by default for SPA compatibility
+  keyboard: false, // Navigation keys (Tab, Enter, Escape, arrows) and focus
 };
 
+// DOM key names to the key codes webview.sendInputEvent expects
+const INPUT_EVENT_KEYS = { ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right', ' ': 'Space', Enter: 'Return' };
+// Keys that also produce a character event, which is what activates buttons and submits forms
+const INPUT_EVENT_CHARS = { Enter: '\r', ' ': ' ' };
+// Key and focus echoes from a webview we just sent keys to are ignored for this long (ms)
+const MIRRORED_KEY_WINDOW = 150;
+
 function createViewport(deviceName) {
   const device = devices[deviceName];
   if (!device) {
     console.error(`Device '${deviceName}' not found. Available devices:`, Object.keys(devices));
     return document.createElement("div"); // Return empty div to prevent crashes
   }
-  const scale = calculateScale(device);
+  const metrics = getDeviceMetrics(deviceName);
+  const scale = calculateScale(metrics);
 
   const viewportDiv = document.createElement("div");
   viewportDiv.className = "viewport";
@@ -68,8 +121,18 @@ function createViewport(deviceName) {
   deviceInfo.style.alignItems = "center";
   deviceInfo.innerHTML = `
     <span class="device-name">${deviceName}</span>
-    <span class="device-size">${device.width} × ${device.height}</span>
+    <span class="device-size">${metrics.width} × ${metrics.height}</span>
   `;
+
+  const headerActions = document.createElement("div");
+  headerActions.className = "viewport-header-actions";
+
+  const rotateBtn = document.createElement("button");
+  rotateBtn.className = "viewport-btn";
+  rotateBtn.innerHTML = '<svg class="icon icon-sm"><use href="#icon-rotate"></use></svg>';
+  rotateBtn.title = "Rotate viewport";
+  rotateBtn.classList.toggle("active", metrics.rotated);
+  rotateBtn.onclick = () => rotateViewport(webview);
   
   const devToolsBtn = document.createElement("button");
   devToolsBtn.className = "devtools-btn";
@@ -77,15 +140,45 @@ function createViewport(deviceName) {
   devToolsBtn.title = "Open DevTools";
   devToolsBtn.onclick = () => toggleDevTools(webview, devToolsBtn);
   
+  const captureStatus = document.createElement("span");
+  captureStatus.className = "capture-status";
+
+  const networkSelect = document.createElement("select");
+  networkSelect.className = "network-select";
+  Object.entries(networkProfiles.NETWORK_PROFILES).forEach(([id, profile]) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = profile.label;
+    networkSelect.appendChild(option);
+  });
+  networkSelect.onchange = () => {
+    networkSelections[deviceName] = networkSelect.value;
+    applyNetworkProfile(webview);
+  };
+
+  const mediaBtn = document.createElement("button");
+  mediaBtn.className = "viewport-btn";
+  mediaBtn.innerHTML = '<svg class="icon icon-sm"><use href="#icon-moon"></use></svg>';
+  mediaBtn.onclick = () => openMediaPanel(deviceName);
+
+  const localeBtn = document.createElement("button");
+  localeBtn.className = "viewport-btn";
+  localeBtn.innerHTML = '<svg class="icon icon-sm"><use href="#icon-globe"></use></svg>';
+  localeBtn.onclick = () => openLocalePanel(deviceName);
+
+  headerActions.appendChild(captureStatus);
+  headerActions.appendChild(networkSelect);
+  headerActions.appendChild(mediaBtn);
+  headerActions.appendChild(localeBtn);
+  headerActions.appendChild(rotateBtn);
+  headerActions.appendChild(devToolsBtn);
   header.appendChild(deviceInfo);
-  header.appendChild(devToolsBtn);
+  header.appendChild(headerActions);
   viewportDiv.appendChild(header);
 
   // Create webview container at logical dimensions for proper mobile layout
   const container = document.createElement("div");
   container.className = "webview-container";
-  container.style.width = device.width * scale + "px";
-  container.style.height = device.height * scale + "px";
   container.style.position = "relative";
   
   container.style.overflow = "hidden";
@@ -95,12 +188,9 @@ function createViewport(deviceName) {
   webview.src = currentURL;
 
   // Set device scale factor for proper mobile/desktop layout detection
-  const deviceScaleFactor = device.deviceScaleFactor || 1;
+  const deviceScaleFactor = metrics.deviceScaleFactor;
 
   // Set webview to logical dimensions (what website sees)
-  webview.style.width = device.width + "px";
-  webview.style.height = device.height + "px";
-  webview.style.transform = `scale(${scale})`;
   webview.style.transformOrigin = "top left";
   webview.style.position = "absolute";
   webview.style.top = "0";
@@ -109,10 +199,10 @@ function createViewport(deviceName) {
   // Use shared session for cookies/auth but not for JS state
   webview.partition = "persist:shared";
   webview.setAttribute("useragent", getUserAgent(deviceName));
-  webview.setAttribute("minheight", device.height);
+  webview.setAttribute("preload", pathToFileURL(path.join(__dirname, "webview-preload.js")).href);
 
   // Set preferences without zoom factor (will be added dynamically for screenshots)
-  const webPreferences = `allowRunningInsecureContent=true,deviceScaleFactor=${deviceScaleFactor},nodeIntegration=true,contextIsolation=false`;
+  const webPreferences = `allowRunningInsecureContent=true,deviceScaleFactor=${deviceScaleFactor},nodeIntegration=true,contextIsolation=true`;
 
   // Allow mixed content and disable some security for local dev
   webview.setAttribute("allowpopups", "true");
@@ -126,15 +216,29 @@ function createViewport(deviceName) {
   webview.deviceName = deviceName;
   webview.containerElement = container;
   webview.devToolsButton = devToolsBtn;
+  webview.rotateButton = rotateBtn;
+  webview.captureStatus = captureStatus;
+  webview.networkSelect = networkSelect;
+  webview.mediaButton = mediaBtn;
+  webview.localeButton = localeBtn;
+  webview.sizeLabel = deviceInfo.querySelector(".device-size");
+
+  applyViewportSize(webview, metrics, scale);
+
+  // Apply overrides as soon as the guest exists so the first request already carries the client hints
+  webview.addEventListener("did-attach", () => {
+    applyDeviceEmulation(webview);
+    applyNetworkProfile(webview);
+    applyMediaEmulation(webview);
+  });
 
-  // Wait for DOM ready before injecting scripts
   webview.addEventListener("dom-ready", () => {
-    // Inject sync scripts
-    if (syncSettings.scroll || syncSettings.hover || syncSettings.input) {
-      setupWebviewSync(webview);
-    }
+    applyDeviceEmulation(webview);
   });
 
+  // Sync and recording run in the preload, which reconnects on every navigation
+  setupWebviewSync(webview);
+
   // Handle navigation changes
   webview.addEventListener("did-navigate", (e) => {
     document.getElementById("urlInput").value = e.url;
@@ -177,12 +281,17 @@ function createViewport(deviceName) {
 }
 
 function getUserAgent(deviceName) {
-  if (deviceName.includes("iPhone")) {
-    return "Mozilla/5.0 (iPhone; CPU iPhone OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1";
-  } else if (deviceName.includes("iPad")) {
-    return "Mozilla/5.0 (iPad; CPU OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1";
-  }
-  return navigator.userAgent;
+  return deviceLibrary.resolveUserAgent(deviceName, devices[deviceName]) || navigator.userAgent;
+}
+
+function hasTouch(deviceName) {
+  return deviceLibrary.isTouchDevice(deviceName, devices[deviceName]);
+}
+
+// Sec-CH-UA-* metadata for the device, or null to leave client hints alone
+function getClientHints(deviceName) {
+  const identity = deviceLibrary.resolveDeviceIdentity(deviceName, devices[deviceName]);
+  return identity ? identity.clientHints : null;
 }
 
 function calculateScale(device) {
@@ -198,493 +307,334 @@ function calculateScale(device) {
   return Math.min(scaleX, scaleY, 0.75);
 }
 
-function setupWebviewSync(webview) {
-  // Enhanced sync script with recording functionality
-  const syncScript = `
-    (function() {
-      // Clean up any existing event listeners to prevent duplicates
-      if (window.syncCleanupFunctions) {
-        window.syncCleanupFunctions.forEach(cleanup => cleanup());
-      }
-      window.syncCleanupFunctions = [];
-      
-      let isProcessingSync = false;
-      let lastScrollTime = 0;
-      let lastClickTime = 0;
-      
-      // Recording functionality
-      window.recordedActions = window.recordedActions || [];
-      window.isRecording = false;
-      
-      // Helper function to generate a reliable selector that works across viewports
-      function generateSelector(element) {
-        if (element.id) {
-          return '#' + element.id;
-        }
-        
-        // Try to find a unique class-based selector first
-        if (element.className && typeof element.className === 'string') {
-          const classes = element.className.trim().split(/\\s+/)
-            .filter(c => c && !c.includes('active') && !c.includes('hover') && !c.includes('focus'));
-          
-          // Try single class selectors first
-          for (const cls of classes) {
-            const selector = '.' + cls;
-            if (document.querySelectorAll(selector).length === 1) {
-              return selector;
-            }
-          }
-          
-          // Try combinations of 2 classes
-          if (classes.length >= 2) {
-            const twoClassSelector = '.' + classes.slice(0, 2).join('.');
-            if (document.querySelectorAll(twoClassSelector).length === 1) {
-              return twoClassSelector;
-            }
-          }
-        }
-        
-        // Build a shorter, more flexible path
-        let path = [];
-        let current = element;
-        let maxDepth = 3; // Limit depth to avoid overly specific selectors
-        
-        while (current && current !== document.body && path.length < maxDepth) {
-          let selector = current.tagName.toLowerCase();
-          
-          // Add classes but avoid nth-child when possible
-          if (current.className && typeof current.className === 'string') {
-            const stableClasses = current.className.trim().split(/\\s+/)
-              .filter(c => c && 
-                !c.includes('active') && 
-                !c.includes('hover') && 
-                !c.includes('focus') &&
-                !c.includes('mobile') &&
-                !c.includes('desktop') &&
-                !c.includes('tablet'))
-              .slice(0, 2);
-            
-            if (stableClasses.length > 0) {
-              selector += '.' + stableClasses.join('.');
-            }
-          }
-          
-          // Only use nth-child if absolutely necessary and for small numbers
-          const siblings = current.parentElement ? 
-            Array.from(current.parentElement.children).filter(el => el.tagName === current.tagName) : [];
-          
-          if (siblings.length > 1 && siblings.length <= 3 && !selector.includes('.')) {
-            const index = siblings.indexOf(current) + 1;
-            selector += ':nth-child(' + index + ')';
-          }
-          
-          path.unshift(selector);
-          
-          // Check if current selector is unique enough
-          const currentPath = path.join(' > ');
-          if (document.querySelectorAll(currentPath).length === 1) {
-            return currentPath;
-          }
-          
-          current = current.parentElement;
+// Logical dimensions for a device with the current orientation applied
+function getDeviceMetrics(deviceName) {
+  const device = devices[deviceName] || {};
+  const rotated = rotatedDevices.has(deviceName);
+  const width = device.width || 375;
+  const height = device.height || 667;
+
+  return {
+    width: rotated ? height : width,
+    height: rotated ? width : height,
+    deviceScaleFactor: device.deviceScaleFactor || 1,
+    rotated,
+    orientation: (rotated ? height : width) > (rotated ? width : height) ? 'landscape' : 'portrait'
+  };
+}
+
+function getViewportMetrics(webview) {
+  return getDeviceMetrics(webview.deviceName);
+}
+
+function applyViewportSize(webview, metrics, scale) {
+  webview.style.width = metrics.width + "px";
+  webview.style.height = metrics.height + "px";
+  webview.style.transform = `scale(${scale})`;
+  webview.setAttribute("minheight", metrics.height);
+
+  webview.containerElement.style.width = metrics.width * scale + "px";
+  webview.containerElement.style.height = metrics.height * scale + "px";
+
+  if (webview.sizeLabel) {
+    webview.sizeLabel.textContent = `${metrics.width} × ${metrics.height}`;
+  }
+  if (webview.rotateButton) {
+    webview.rotateButton.classList.toggle("active", metrics.rotated);
+    webview.rotateButton.title = metrics.rotated ? "Rotate back" : "Rotate viewport";
+  }
+}
+
+function sendCDPCommands(webview, commands) {
+  let webContentsId;
+  try {
+    webContentsId = webview.getWebContentsId();
+  } catch (e) {
+    return Promise.resolve({ success: false, error: 'Webview not ready' });
+  }
+  return ipcRenderer.invoke('send-webview-cdp', { webContentsId, commands });
+}
+
+function updateLocaleButton(webview, settings) {
+  if (!webview.localeButton) return;
+  const summary = localeSettingsLib.describeLocaleSettings(settings);
+  webview.localeButton.classList.toggle('active', summary !== '');
+  webview.localeButton.title = summary ? `Emulated locale: ${summary}` : 'Emulate locale, timezone and location';
+}
+
+// Push the device's emulation overrides (screen size, orientation, touch, identity and locale) into the page
+async function applyDeviceEmulation(webview) {
+  const metrics = getViewportMetrics(webview);
+  const identity = deviceLibrary.resolveDeviceIdentity(webview.deviceName, devices[webview.deviceName]);
+  const touch = hasTouch(webview.deviceName);
+  const locale = getLocaleSettings(webview.deviceName);
+  updateLocaleButton(webview, locale);
+
+  const commands = [
+    {
+      method: 'Emulation.setDeviceMetricsOverride',
+      params: {
+        width: metrics.width,
+        height: metrics.height,
+        deviceScaleFactor: 0, // Keep the webview's own scale factor
+        mobile: touch, // Honour the meta viewport like Playwright's isMobile
+        screenWidth: metrics.width,
+        screenHeight: metrics.height,
+        screenOrientation: {
+          type: metrics.orientation === 'landscape' ? 'landscapePrimary' : 'portraitPrimary',
+          angle: metrics.rotated ? 90 : 0
         }
-        
-        return path.join(' > ');
       }
-      
-      // Record clicks
-      const recordClickHandler = function(e) {
-        if (window.isRecording && !isProcessingSync) {
-          const action = {
-            type: 'click',
-            selector: generateSelector(e.target),
-            coordinates: { 
-              x: e.clientX, 
-              y: e.clientY 
-            },
-            timestamp: Date.now(),
-            tagName: e.target.tagName,
-            text: e.target.textContent ? e.target.textContent.substring(0, 50) : ''
-          };
-          
-          window.recordedActions.push(action);
-          console.log('RECORD:CLICK:', JSON.stringify(action));
-        }
-      };
-      
-      document.addEventListener('click', recordClickHandler, true);
-      
-      // Store cleanup function
-      window.syncCleanupFunctions.push(() => {
-        document.removeEventListener('click', recordClickHandler, true);
-      });
-      
-      // Record input changes
-      const recordInputHandler = function(e) {
-        if (window.isRecording && !isProcessingSync) {
-          const action = {
-            type: 'input',
-            selector: generateSelector(e.target),
-            value: e.target.value,
-            timestamp: Date.now()
-          };
-          
-          window.recordedActions.push(action);
-          console.log('RECORD:INPUT:', JSON.stringify(action));
-        }
-      };
-      
-      document.addEventListener('input', recordInputHandler, true);
-      
-      // Store cleanup function
-      window.syncCleanupFunctions.push(() => {
-        document.removeEventListener('input', recordInputHandler, true);
-      });
-      
-      // Record scrolling (throttled)
-      let scrollTimeout = null;
-      const recordScrollHandler = function(e) {
-        if (window.isRecording && !isProcessingSync) {
-          clearTimeout(scrollTimeout);
-          scrollTimeout = setTimeout(() => {
-            const action = {
-              type: 'scroll',
-              x: window.scrollX,
-              y: window.scrollY,
-              timestamp: Date.now()
-            };
-            
-            window.recordedActions.push(action);
-            console.log('RECORD:SCROLL:', JSON.stringify(action));
-          }, 150);
-        }
-      };
-      
-      window.addEventListener('scroll', recordScrollHandler, { passive: true });
-      
-      // Store cleanup function
-      window.syncCleanupFunctions.push(() => {
-        window.removeEventListener('scroll', recordScrollHandler, { passive: true });
+    },
+    // Touch emulation also switches the pointer/hover media features to coarse/none
+    {
+      method: 'Emulation.setTouchEmulationEnabled',
+      params: touch ? { enabled: true, maxTouchPoints: 5 } : { enabled: false }
+    },
+    // Mouse drags in the preview become touch swipes
+    {
+      method: 'Emulation.setEmitTouchEventsForMouse',
+      params: { enabled: touch, configuration: touch ? 'mobile' : 'desktop' }
+    }
+  ];
+  // Client hints, navigator.platform and Accept-Language can't be set through the useragent attribute.
+  // Once a locale was set the override stays, so clearing the locale resets Accept-Language.
+  if (identity || locale.locale || webview.acceptLanguageOverridden) {
+    webview.acceptLanguageOverridden = webview.acceptLanguageOverridden || Boolean(locale.locale);
+    commands.push({
+      method: 'Emulation.setUserAgentOverride',
+      params: userAgents.userAgentOverrideParams(
+        identity ? identity.userAgent : webview.getAttribute('useragent'),
+        identity ? identity.clientHints : null,
+        locale.locale ? localeSettingsLib.acceptLanguageFor(locale.locale) : null
+      )
+    });
+  }
+  commands.push(...localeSettingsLib.getLocaleCommands(locale));
+
+  const result = await sendCDPCommands(webview, commands);
+
+  if (!result.success) {
+    console.warn(`Emulation overrides skipped for ${webview.deviceName}:`, result.error);
+  }
+  return result;
+}
+
+function getNetworkProfile(deviceName) {
+  return networkProfiles.resolveNetworkProfile(deviceName, deviceLibrary.getDeviceCategory(deviceName, devices[deviceName]), {
+    selections: networkSelections,
+    presetDefaults: networkDefaults[currentPreset]
+  });
+}
+
+// Network.emulateNetworkConditions params for the device, or null when it isn't throttled
+function getNetworkConditions(deviceName) {
+  return networkProfiles.getNetworkConditions(getNetworkProfile(deviceName), customNetworkProfile);
+}
+
+// Throttle (or un-throttle) one viewport and show its profile in the header
+async function applyNetworkProfile(webview) {
+  const profileId = getNetworkProfile(webview.deviceName);
+  if (webview.networkSelect) {
+    webview.networkSelect.value = profileId;
+    webview.networkSelect.title = `Network: ${networkProfiles.describeProfile(profileId, customNetworkProfile)}`;
+    webview.networkSelect.classList.toggle('active', profileId !== 'none');
+  }
+
+  const conditions = getNetworkConditions(webview.deviceName)
+    || { offline: false, latency: 0, downloadThroughput: -1, uploadThroughput: -1 };
+  const result = await sendCDPCommands(webview, [
+    { method: 'Network.enable' },
+    { method: 'Network.emulateNetworkConditions', params: conditions }
+  ]);
+  if (!result.success) {
+    console.warn(`Network profile skipped for ${webview.deviceName}:`, result.error);
+  }
+  return result;
+}
+
+// Global media features with the viewport's own overrides on top
+function getMediaSettings(deviceName) {
+  return { ...mediaSettings, ...(mediaSelections[deviceName] || {}) };
+}
+
+// Matrix variants for one capture run (media values x locales, e.g. "dark_de-DE");
+// a single unnamed variant when no matrix is set
+function getCaptureVariants() {
+  const mediaVariants = mediaFeatures.getMediaVariants(captureOptions.mediaMatrix);
+  const localeVariants = captureOptions.localeMatrix.map(locale => ({ name: locale, locale: { locale } }));
+  const variants = [];
+  (mediaVariants.length > 0 ? mediaVariants : [{ name: '', media: {} }]).forEach(mediaVariant => {
+    (localeVariants.length > 0 ? localeVariants : [{ name: '', locale: {} }]).forEach(localeVariant => {
+      variants.push({
+        name: [mediaVariant.name, localeVariant.name].filter(Boolean).join('_'),
+        media: mediaVariant.media,
+        locale: localeVariant.locale
       });
-      
-      // Global functions for controlling recording
-      window.startRecording = function() {
-        window.isRecording = true;
-        window.recordedActions = [];
-        console.log('Started recording interactions...');
-      };
-      
-      window.stopRecording = function() {
-        window.isRecording = false;
-        console.log('Stopped recording. Captured', window.recordedActions.length, 'actions');
-        return window.recordedActions;
-      };
-      
-      window.getRecordedActions = function() {
-        return window.recordedActions;
-      };
-      
-      // Only sync scroll - the most reliable sync
-      if (${syncSettings.scroll}) {
-        console.log('Setting up scroll sync listener...');
-        
-        const scrollHandler = function() {
-          if (isProcessingSync) return;
-          
-          const now = Date.now();
-          if (now - lastScrollTime < 50) return; // Throttle
-          lastScrollTime = now;
-          
-          const data = {
-            percentX: window.scrollX / Math.max(1, document.documentElement.scrollWidth - window.innerWidth),
-            percentY: window.scrollY / Math.max(1, document.documentElement.scrollHeight - window.innerHeight)
-          };
-          
-          console.log('SYNC:SCROLL:' + JSON.stringify(data));
-        };
-        
-        window.addEventListener('scroll', scrollHandler, { passive: true });
-        
-        // Store cleanup function
-        window.syncCleanupFunctions.push(() => {
-          window.removeEventListener('scroll', scrollHandler, { passive: true });
-        });
-        
-        // Test scroll capability
-        console.log('Scroll dimensions - Width:', document.documentElement.scrollWidth, 'Height:', document.documentElement.scrollHeight);
-        console.log('Viewport dimensions - Width:', window.innerWidth, 'Height:', window.innerHeight);
-      }
-      
-      // Smart click sync
-      if (${syncSettings.click}) {
-        const syncClickHandler = function(e) {
-          if (isProcessingSync) return;
-          
-          const now = Date.now();
-          if (now - lastClickTime < 100) return; // Prevent double clicks
-          lastClickTime = now;
-          
-          const target = e.target;
-          
-          // Build a reliable selector
-          let selector = '';
-          let element = target;
-          const path = [];
-          
-          while (element && element !== document.body) {
-            let sel = element.nodeName.toLowerCase();
-            
-            // Prefer ID
-            if (element.id) {
-              sel = '#' + element.id;
-              path.unshift(sel);
-              break;
-            }
-            
-            // Use classes (but filter out dynamic ones)
-            if (element.className && typeof element.className === 'string') {
-              const classes = element.className
-                .split(' ')
-                .filter(c => c && !c.includes('active') && !c.includes('hover') && !c.includes('focus'))
-                .slice(0, 2)
-                .join('.');
-              if (classes) sel += '.' + classes;
-            }
-            
-            // Add position among siblings
-            if (element.parentElement) {
-              const siblings = Array.from(element.parentElement.children);
-              const index = siblings.indexOf(element);
-              sel += ':nth-child(' + (index + 1) + ')';
-            }
-            
-            path.unshift(sel);
-            element = element.parentElement;
-          }
-          
-          selector = path.join(' > ');
-          
-          // Get click coordinates relative to viewport
-          const rect = target.getBoundingClientRect();
-          
-          console.log('SYNC:CLICK:' + JSON.stringify({
-            selector: selector,
-            x: rect.x + rect.width / 2,
-            y: rect.y + rect.height / 2,
-            tagName: target.tagName,
-            href: target.href || null,
-            text: target.textContent ? target.textContent.substring(0, 30) : ''
-          }));
-        };
-        
-        document.addEventListener('click', syncClickHandler, true);
-        
-        // Store cleanup function
-        window.syncCleanupFunctions.push(() => {
-          document.removeEventListener('click', syncClickHandler, true);
-        });
-      }
-      
-      // Element-based hover tracking if enabled
-      if (${syncSettings.hover}) {
-        let hoverTimer = null;
-        let lastHoveredElement = null;
-        
-        const hoverOverHandler = function(e) {
-          if (isProcessingSync) return;
-          
-          const target = e.target;
-          if (target === lastHoveredElement) return; // Same element, skip
-          
-          lastHoveredElement = target;
-          
-          clearTimeout(hoverTimer);
-          hoverTimer = setTimeout(() => {
-            // Generate selector for the hovered element
-            const selector = generateSelector(target);
-            if (selector) {
-              console.log('SYNC:HOVER:' + JSON.stringify({ 
-                selector: selector,
-                tagName: target.tagName,
-                className: target.className,
-                textContent: target.textContent ? target.textContent.substring(0, 30) : ''
-              }));
-            }
-          }, 200); // Increased throttle for better reliability
-        };
-        
-        const hoverOutHandler = function(e) {
-          if (isProcessingSync) return;
-          if (e.target === lastHoveredElement) {
-            lastHoveredElement = null;
-          }
-        };
-        
-        document.addEventListener('mouseover', hoverOverHandler, { passive: true });
-        document.addEventListener('mouseout', hoverOutHandler, { passive: true });
-        
-        // Store cleanup functions
-        window.syncCleanupFunctions.push(() => {
-          document.removeEventListener('mouseover', hoverOverHandler, { passive: true });
-          document.removeEventListener('mouseout', hoverOutHandler, { passive: true });
-        });
-      }
-      
-      // Minimal input sync if enabled
-      if (${syncSettings.input}) {
-        let inputTimer = null;
-        
-        const syncInputHandler = function(e) {
-          if (isProcessingSync) return;
-          
-          const el = e.target;
-          if (el.id && (el.tagName === 'INPUT' || el.tagName === 'TEXTAREA')) {
-            clearTimeout(inputTimer);
-            inputTimer = setTimeout(() => {
-              console.log('SYNC:INPUT:' + JSON.stringify({
-                id: el.id,
-                value: el.value
-              }));
-            }, 500);
-          }
-        };
-        
-        document.addEventListener('input', syncInputHandler, true);
-        
-        // Store cleanup function
-        window.syncCleanupFunctions.push(() => {
-          document.removeEventListener('input', syncInputHandler, true);
-        });
+    });
+  });
+  return variants;
+}
+
+function getVariantMedia(deviceName, variant) {
+  return { ...getMediaSettings(deviceName), ...variant.media };
+}
+
+// Global locale settings with the viewport's own overrides on top
+function getLocaleSettings(deviceName) {
+  return { ...localeSettings, ...(localeSelections[deviceName] || {}) };
+}
+
+function getVariantLocale(deviceName, variant) {
+  return { ...getLocaleSettings(deviceName), ...variant.locale };
+}
+
+async function applyMediaEmulation(webview) {
+  const settings = getMediaSettings(webview.deviceName);
+  const summary = mediaFeatures.describeMediaSettings(settings);
+  if (webview.mediaButton) {
+    webview.mediaButton.classList.toggle('active', summary !== '');
+    webview.mediaButton.title = summary ? `Emulated media: ${summary}` : 'Emulate media features';
+  }
+
+  const result = await sendCDPCommands(webview, [
+    { method: 'Emulation.setEmulatedMedia', params: mediaFeatures.getEmulatedMediaParams(settings) }
+  ]);
+  if (!result.success) {
+    console.warn(`Media emulation skipped for ${webview.deviceName}:`, result.error);
+  }
+  return result;
+}
+
+// Swap the logical dimensions of one viewport without reloading the page
+async function rotateViewport(webview) {
+  if (rotatedDevices.has(webview.deviceName)) {
+    rotatedDevices.delete(webview.deviceName);
+  } else {
+    rotatedDevices.add(webview.deviceName);
+  }
+
+  const metrics = getViewportMetrics(webview);
+  applyViewportSize(webview, metrics, calculateScale(metrics));
+
+  const result = await applyDeviceEmulation(webview);
+
+  // Desktop Chromium has no window.orientation, so fire the legacy event ourselves
+  if (result.success) {
+    webview.executeJavaScript(`
+      if (!('onorientationchange' in window)) {
+        window.dispatchEvent(new Event('orientationchange'));
       }
-      
-      // Apply sync function
-      window.applySyncAction = function(type, data) {
-        isProcessingSync = true;
-        
-        requestAnimationFrame(() => {
-          try {
-            if (type === 'scroll' && data.percentX !== undefined) {
-              const maxX = document.documentElement.scrollWidth - window.innerWidth;
-              const maxY = document.documentElement.scrollHeight - window.innerHeight;
-              window.scrollTo({
-                left: data.percentX * maxX,
-                top: data.percentY * maxY,
-                behavior: 'instant'
-              });
-            } else if (type === 'click' && data.selector) {
-              // Try to find and click the element
-              try {
-                const element = document.querySelector(data.selector);
-                if (element) {
-                  // Create and dispatch a click event
-                  const evt = new MouseEvent('click', {
-                    view: window,
-                    bubbles: true,
-                    cancelable: true,
-                    clientX: data.x || 0,
-                    clientY: data.y || 0
-                  });
-                  element.dispatchEvent(evt);
-                }
-              } catch (e) {
-                // If selector fails, try simpler approach
-                console.log('Click sync failed for selector:', data.selector);
-              }
-            } else if (type === 'hover' && data.selector) {
-              try {
-                const el = document.querySelector(data.selector);
-                if (el) {
-                  // Dispatch mouseover event to simulate hover
-                  el.dispatchEvent(new MouseEvent('mouseover', { 
-                    bubbles: true,
-                    cancelable: true 
-                  }));
-                  
-                  // Also dispatch mouseenter for compatibility
-                  el.dispatchEvent(new MouseEvent('mouseenter', { 
-                    bubbles: true,
-                    cancelable: true 
-                  }));
-                }
-              } catch (e) {
-                console.warn('SYNC:HOVER: Could not find element with selector:', data.selector);
-              }
-            } else if (type === 'input' && data.id) {
-              const el = document.getElementById(data.id);
-              if (el) {
-                el.value = data.value;
-                el.dispatchEvent(new Event('input', { bubbles: true }));
-              }
-            }
-          } catch (e) {
-            // Silently ignore errors
-          }
-          
-          setTimeout(() => { isProcessingSync = false; }, 50);
-        });
-      };
-      
-      console.log('Sync initialized with click support');
-    })();
-  `;
+    `, false).catch(() => {});
+  }
+
+  console.log(`Rotated ${webview.deviceName} to ${metrics.width}x${metrics.height} (${metrics.orientation})`);
+}
 
-  // Inject with error handling
-  webview.executeJavaScript(syncScript, false).catch((err) => {
-    console.log(`Sync script injection skipped for ${webview.deviceName}`);
+// Rotate every viewport; if all are already rotated, rotate them back
+function rotateAll() {
+  const allRotated = webviews.length > 0 && webviews.every(webview => rotatedDevices.has(webview.deviceName));
+  webviews.forEach(webview => {
+    if (rotatedDevices.has(webview.deviceName) === allRotated) {
+      rotateViewport(webview);
+    }
   });
+}
 
+// Host side of the preload's sync channel (webview-preload.js); listens once per webview,
+// the preload itself reloads with every navigation
+function setupWebviewSync(webview) {
   // Track last recorded action to prevent duplicates
   webview.lastRecordedAction = { time: 0, type: '', data: '' };
-  
-  // Listen for sync messages
-  webview.addEventListener("console-message", (e) => {
-    if (!e.message.startsWith("SYNC:") && !e.message.startsWith("RECORD:")) return;
 
-    try {
-      if (e.message.startsWith("SYNC:SCROLL:") && syncSettings.scroll) {
-        const data = JSON.parse(e.message.replace("SYNC:SCROLL:", ""));
-        syncToOtherWebviews(webview, "scroll", data);
-      } else if (e.message.startsWith("SYNC:CLICK:") && syncSettings.click) {
-        const data = JSON.parse(e.message.replace("SYNC:CLICK:", ""));
-        syncToOtherWebviews(webview, "click", data);
-        // Record this click for the SOURCE device (only through SYNC, not RECORD)
-        if (isRecording) {
-          // Check for duplicate within 100ms
-          const now = Date.now();
-          const isDuplicate = webview.lastRecordedAction.type === 'click' && 
-                            (now - webview.lastRecordedAction.time) < 100;
-          
-          if (!isDuplicate) {
-            storeDeviceSpecificAction(webview, "click", data);
-            webview.lastRecordedAction = { time: now, type: 'click', data: JSON.stringify(data) };
-          }
+  webview.addEventListener("ipc-message", (e) => {
+    if (e.channel !== syncProtocol.SYNC_CHANNEL) return;
+    const message = syncProtocol.parseMessage(e.args[0], syncProtocol.GUEST_MESSAGES);
+    if (!message) return;
+    const data = message.payload;
+
+    if (message.type === "ready") {
+      sendSyncSettings(webview);
+    } else if (message.type === "scroll" && syncSettings.scroll) {
+      syncToOtherWebviews(webview, "scroll", data);
+    } else if (message.type === "click" && syncSettings.click) {
+      syncToOtherWebviews(webview, "click", data);
+      // Record this click for the SOURCE device (only through sync messages, not record)
+      if (isRecording) {
+        // Check for duplicate within 100ms
+        const now = Date.now();
+        const isDuplicate = webview.lastRecordedAction.type === 'click' && 
+                          (now - webview.lastRecordedAction.time) < 100;
+        
+        if (!isDuplicate) {
+          storeDeviceSpecificAction(webview, "click", data);
+          webview.lastRecordedAction = { time: now, type: 'click', data: JSON.stringify(data) };
+        }
+      }
+    } else if (message.type === "hover" && syncSettings.hover) {
+      syncToOtherWebviews(webview, "hover", data);
+    } else if (message.type === "input" && syncSettings.input) {
+      syncToOtherWebviews(webview, "input", data);
+      if (isRecording) {
+        const now = Date.now();
+        const isDuplicate = webview.lastRecordedAction.type === 'input' && 
+                          (now - webview.lastRecordedAction.time) < 100;
+        
+        if (!isDuplicate) {
+          storeDeviceSpecificAction(webview, "input", data);
+          webview.lastRecordedAction = { time: now, type: 'input', data: JSON.stringify(data) };
         }
-      } else if (e.message.startsWith("SYNC:HOVER:") && syncSettings.hover) {
-        const data = JSON.parse(e.message.replace("SYNC:HOVER:", ""));
-        syncToOtherWebviews(webview, "hover", data);
-      } else if (e.message.startsWith("SYNC:INPUT:") && syncSettings.input) {
-        const data = JSON.parse(e.message.replace("SYNC:INPUT:", ""));
-        syncToOtherWebviews(webview, "input", data);
-        if (isRecording) {
-          const now = Date.now();
-          const isDuplicate = webview.lastRecordedAction.type === 'input' && 
-                            (now - webview.lastRecordedAction.time) < 100;
-          
-          if (!isDuplicate) {
-            storeDeviceSpecificAction(webview, "input", data);
-            webview.lastRecordedAction = { time: now, type: 'input', data: JSON.stringify(data) };
-          }
+      }
+    } else if ((message.type === "key" || message.type === "focus") && syncSettings.keyboard) {
+      // Real key events change focus in the other pages too; don't bounce those back
+      if (Date.now() - (webview.mirroredKeyAt || 0) < MIRRORED_KEY_WINDOW) return;
+      syncToOtherWebviews(webview, message.type, data);
+      if (isRecording) {
+        const now = Date.now();
+        const isDuplicate = webview.lastRecordedAction.type === message.type && 
+                          webview.lastRecordedAction.data === JSON.stringify(data) &&
+                          (now - webview.lastRecordedAction.time) < 100;
+        
+        if (!isDuplicate) {
+          storeDeviceSpecificAction(webview, message.type, data);
+          webview.lastRecordedAction = { time: now, type: message.type, data: JSON.stringify(data) };
         }
-      } else if (e.message.startsWith("RECORD:") && isRecording) {
-        // Skip RECORD messages - we're using SYNC messages for recording
-        // This prevents duplicates since both RECORD and SYNC fire for the same action
       }
-    } catch (err) {
-      // Ignore parse errors
+    } else if (message.type === "record" && isRecording) {
+      // Skip record messages - we're using sync messages for recording
+      // Clicks and inputs are only sent as sync messages; record now carries scrolling alone
     }
   });
 }
 
+// Current sync toggles and recording state for one page
+function sendSyncSettings(webview) {
+  try {
+    webview.send(syncProtocol.SYNC_CHANNEL, syncProtocol.createMessage("settings", { ...syncSettings, recording: isRecording, selectors: selectorOptions }));
+  } catch (e) {
+    // Not attached yet; the preload asks again once its page loads
+  }
+}
+
+// Mirror a key combo ("Shift+Tab") as real input so the page's default actions run too
+function sendKeyInput(webview, combo) {
+  const parts = combo.split('+');
+  const key = parts.pop();
+  const keyCode = INPUT_EVENT_KEYS[key] || key;
+  const modifiers = parts.map(modifier => modifier.toLowerCase());
+
+  webview.mirroredKeyAt = Date.now();
+  webview.sendInputEvent({ type: 'keyDown', keyCode, modifiers });
+  if (INPUT_EVENT_CHARS[key]) {
+    webview.sendInputEvent({ type: 'char', keyCode: INPUT_EVENT_CHARS[key], modifiers });
+  }
+  webview.sendInputEvent({ type: 'keyUp', keyCode, modifiers });
+}
+
+function broadcastSyncSettings() {
+  webviews.forEach(webview => sendSyncSettings(webview));
+}
+
 function storeDeviceSpecificAction(webview, type, data) {
   const deviceName = webview.deviceName;
   if (!deviceName) return;
@@ -695,15 +645,17 @@ function storeDeviceSpecificAction(webview, type, data) {
   }
   
   // Store the action with device context
+  const metrics = getViewportMetrics(webview);
   const actionWithDevice = {
     ...data,
     type: type,
     deviceName: deviceName,
     timestamp: Date.now(),
     viewport: {
-      width: webview.deviceInfo?.width || 375,
-      height: webview.deviceInfo?.height || 667,
-      deviceScaleFactor: webview.deviceInfo?.deviceScaleFactor || 1
+      width: metrics.width,
+      height: metrics.height,
+      deviceScaleFactor: metrics.deviceScaleFactor,
+      orientation: metrics.orientation
     }
   };
   
@@ -714,32 +666,29 @@ function storeDeviceSpecificAction(webview, type, data) {
 function syncToOtherWebviews(sourceWebview, type, data) {
   webviews.forEach((webview) => {
     if (webview !== sourceWebview && webview.getURL()) {
-      const script = `
-        if (typeof window.applySyncAction === 'function') {
-          window.applySyncAction('${type}', ${JSON.stringify(data)});
+      try {
+        if (type === 'key') {
+          sendKeyInput(webview, data.key);
+        } else {
+          webview.send(syncProtocol.SYNC_CHANNEL, syncProtocol.createMessage("apply", { type, data }));
         }
-      `;
-
-      webview.executeJavaScript(script, false).then(() => {
-        // If recording, store this synced action for the target device
-        if (isRecording && (type === 'click' || type === 'input')) {
-          // Check for duplicate to prevent recording the same synced action multiple times
-          const now = Date.now();
-          const isDuplicate = webview.lastRecordedAction && 
-                            webview.lastRecordedAction.type === type && 
-                            (now - webview.lastRecordedAction.time) < 100;
-          
-          if (!isDuplicate) {
-            storeDeviceSpecificAction(webview, type, data);
-            if (!webview.lastRecordedAction) {
-              webview.lastRecordedAction = {};
-            }
-            webview.lastRecordedAction = { time: now, type: type, data: JSON.stringify(data) };
-          }
+      } catch (e) {
+        return; // Silently ignore if webview not ready
+      }
+
+      // If recording, store this synced action for the target device
+      if (isRecording && ['click', 'input', 'key', 'focus'].includes(type)) {
+        // Check for duplicate to prevent recording the same synced action multiple times
+        const now = Date.now();
+        const isDuplicate = webview.lastRecordedAction && 
+                          webview.lastRecordedAction.type === type && 
+                          (now - webview.lastRecordedAction.time) < 100;
+        
+        if (!isDuplicate) {
+          storeDeviceSpecificAction(webview, type, data);
+          webview.lastRecordedAction = { time: now, type: type, data: JSON.stringify(data) };
         }
-      }).catch(() => {
-        // Silently ignore if webview not ready
-      });
+      }
     }
   });
 }
@@ -874,7 +823,17 @@ function setupSyncToggles() {
       checkbox.checked = !isActive;
       this.classList.toggle("active");
       syncSettings.scroll = !isActive;
-      reinjectSyncScripts();
+      broadcastSyncSettings();
+    });
+  }
+
+  const scrollModeSelect = document.getElementById("syncScrollMode");
+  if (scrollModeSelect) {
+    scrollModeSelect.value = syncSettings.scrollMode;
+    scrollModeSelect.addEventListener("change", (e) => {
+      syncSettings.scrollMode = e.target.value;
+      localStorage.setItem("scrollSyncMode", e.target.value);
+      broadcastSyncSettings();
     });
   }
 
@@ -903,7 +862,7 @@ function setupSyncToggles() {
       checkbox.checked = !isActive;
       this.classList.toggle("active");
       syncSettings.click = !isActive;
-      reinjectSyncScripts();
+      broadcastSyncSettings();
     });
   }
 
@@ -918,7 +877,22 @@ function setupSyncToggles() {
       checkbox.checked = !isActive;
       this.classList.toggle("active");
       syncSettings.hover = !isActive;
-      reinjectSyncScripts();
+      broadcastSyncSettings();
+    });
+  }
+
+  // Keyboard and focus sync (disabled by default)
+  const keyboardToggle = document.getElementById("syncKeyboard");
+  if (keyboardToggle) {
+    keyboardToggle.addEventListener("click", function (e) {
+      e.preventDefault();
+      const checkbox = this.querySelector("input");
+      const isActive = this.classList.contains("active");
+      
+      checkbox.checked = !isActive;
+      this.classList.toggle("active");
+      syncSettings.keyboard = !isActive;
+      broadcastSyncSettings();
     });
   }
 
@@ -933,19 +907,35 @@ function setupSyncToggles() {
       checkbox.checked = !isActive;
       this.classList.toggle("active");
       syncSettings.input = !isActive;
-      reinjectSyncScripts();
+      broadcastSyncSettings();
     });
   }
 
 }
 
-function reinjectSyncScripts() {
-  // Re-inject sync scripts with updated settings
-  webviews.forEach((webview) => {
-    if (webview.getURL() && webview.getURL() !== "about:blank") {
-      setupWebviewSync(webview);
-    }
-  });
+// Setup per-capture option toggles next to the capture buttons
+function setupCaptureOptions() {
+  const fullPageToggle = document.getElementById("fullPageToggle");
+  if (fullPageToggle) {
+    fullPageToggle.addEventListener("click", function (e) {
+      e.preventDefault();
+      const checkbox = this.querySelector("input");
+      const isActive = this.classList.contains("active");
+
+      checkbox.checked = !isActive;
+      this.classList.toggle("active");
+      captureOptions.fullPage = !isActive;
+    });
+  }
+
+  const concurrencySelect = document.getElementById("captureConcurrency");
+  if (concurrencySelect) {
+    concurrencySelect.value = String(captureOptions.concurrency);
+    concurrencySelect.addEventListener("change", (e) => {
+      captureOptions.concurrency = parseInt(e.target.value, 10);
+      localStorage.setItem("captureConcurrency", e.target.value);
+    });
+  }
 }
 
 // Handle Enter key
@@ -976,13 +966,35 @@ function setupResizeHandler() {
 }
 
 // Initialize everything when DOM is ready
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
   setupSyncToggles();
+  setupCaptureOptions();
+  setupOutputSettings();
+  setupNetworkPanel();
+  setupMediaPanel();
+  setupLocalePanel();
+  setupSelectorPanel();
+  setupRegressionPanel();
+  setupStoreComposer();
+  setupStepEditor();
   setupKeyboardShortcuts();
   setupResizeHandler();
-  
+
+  // Merge the user's saved devices and presets over the bundled JSON
+  try {
+    const result = await ipcRenderer.invoke('load-device-library');
+    userLibrary = result.library;
+    if (!result.success) {
+      alert(`Failed to load your device library: ${result.error}`);
+    }
+  } catch (error) {
+    console.error('Failed to load user device library:', error);
+  }
+  applyDeviceLibrary();
+
   // Populate device list in sidebar
   populateDeviceList();
+  populateUserPresets();
   
   // Hide custom preset controls initially
   document.getElementById('customPresetControls').classList.add('hidden');
@@ -1063,168 +1075,171 @@ async function screenshotAll() {
 
   const button = document.querySelector('button[onclick="screenshotAll()"]');
   const originalHTML = button.innerHTML;
-  button.innerHTML = '<svg class="icon"><use href="#icon-camera"></use></svg>Taking Screenshots...';
+  button.innerHTML = '<svg class="icon"><use href="#icon-camera"></use></svg>Preparing...';
   button.disabled = true;
   
   // Set flag to prevent resize handler from reloading presets
   isScreenshotting = true;
 
   try {
-    const { ipcRenderer } = require("electron");
-    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-
-    // Create screenshots directory if it doesn't exist
-    const screenshotsDir = require("path").join(process.cwd(), "screenshots");
-    const fs = require("fs");
-    
-    console.log("Screenshots directory:", screenshotsDir);
+    const startedAt = new Date().toISOString();
+    const run = await createCaptureRun('capture');
+    console.log("Screenshots directory:", run.dir);
 
-    if (!fs.existsSync(screenshotsDir)) {
-      console.log("Creating screenshots directory...");
-      fs.mkdirSync(screenshotsDir);
-    }
-
-    let successCount = 0;
-    const totalCount = webviews.length;
+    const variants = getCaptureVariants();
+    const totalCount = webviews.length * variants.length;
+    const targets = [];
+    const jobs = [];
 
-    // Take screenshot of each webview
+    // Gather each device's state first; the captures then run together in one shared browser
     for (let i = 0; i < webviews.length; i++) {
       const webview = webviews[i];
       const deviceName = webview.deviceName ? webview.deviceName.replace(/[^a-zA-Z0-9]/g, "_") : `device_${i}`;
       
-      console.log(`Processing webview ${i + 1}/${totalCount}: ${deviceName}`);
-
-      try {
-        // Get device info
-        const deviceScaleFactor = webview.deviceInfo?.deviceScaleFactor || 1;
-        const logicalWidth = webview.deviceInfo?.width || 375;
-        const logicalHeight = webview.deviceInfo?.height || 667;
-        const physicalWidth = logicalWidth * deviceScaleFactor;
-        const physicalHeight = logicalHeight * deviceScaleFactor;
-        
-        const currentURL = webview.getURL();
-        console.log(`  URL: ${currentURL}`);
-        console.log(`  Device scale factor: ${deviceScaleFactor}`);
-        console.log(`  Dimensions: ${logicalWidth}x${logicalHeight} (logical), ${physicalWidth}x${physicalHeight} (physical)`);
+      console.log(`Preparing webview ${i + 1}/${totalCount}: ${deviceName}`);
 
-        let buffer;
+      // Get device info (with the current orientation applied)
+      const metrics = getViewportMetrics(webview);
+      const currentURL = webview.getURL();
+      console.log(`  URL: ${currentURL}`);
+      console.log(`  Dimensions: ${metrics.width}x${metrics.height} @ ${metrics.deviceScaleFactor}x`);
 
-        // Playwright-based capture in separate browser (doesn't touch existing webviews)
-        try {
-          console.log(`  Opening separate Playwright browser for ${deviceName}...`);
-          console.log(`  → Viewport: ${logicalWidth}x${logicalHeight} @ ${deviceScaleFactor}x DPI`);
-          console.log(`  → Final image will be: ${physicalWidth}x${physicalHeight} pixels`);
-          
-          // Extract localStorage and indexedDB from the current webview
-          console.log(`  Extracting app state from webview...`);
-          let appState = null;
-          
-          try {
-            appState = await webview.executeJavaScript(`
-              (async function() {
-                const state = {
-                  localStorage: {},
-                  sessionStorage: {},
-                  indexedDB: {}
-                };
-                
-                // Extract localStorage
-                for (let i = 0; i < localStorage.length; i++) {
-                  const key = localStorage.key(i);
-                  state.localStorage[key] = localStorage.getItem(key);
-                }
-                
-                // Extract sessionStorage
-                for (let i = 0; i < sessionStorage.length; i++) {
-                  const key = sessionStorage.key(i);
-                  state.sessionStorage[key] = sessionStorage.getItem(key);
-                }
-                
-                // Extract indexedDB (basic approach - gets all databases)
-                try {
-                  const databases = await indexedDB.databases();
-                  for (const dbInfo of databases) {
-                    if (dbInfo.name) {
-                      // We'll just store the database info for now
-                      // Full indexedDB extraction would be more complex
-                      state.indexedDB[dbInfo.name] = {
-                        name: dbInfo.name,
-                        version: dbInfo.version
-                      };
-                    }
-                  }
-                } catch (e) {
-                  console.log('IndexedDB extraction skipped:', e.message);
-                }
-                
-                return state;
-              })()
-            `);
+      // Extract localStorage and indexedDB from the current webview
+      console.log(`  Extracting app state from webview...`);
+      let appState = null;
+      
+      try {
+        appState = await webview.executeJavaScript(`
+          (async function() {
+            const state = {
+              localStorage: {},
+              sessionStorage: {},
+              indexedDB: {}
+            };
             
-            console.log(`  Extracted state:`, Object.keys(appState.localStorage).length, 'localStorage items,', 
-                       Object.keys(appState.sessionStorage).length, 'sessionStorage items,',
-                       Object.keys(appState.indexedDB).length, 'indexedDB databases');
-          } catch (stateError) {
-            console.warn(`  Failed to extract app state:`, stateError);
-            appState = null;
-          }
-          
-          // Get cookies from the shared session
-          let cookies = [];
-          try {
-            cookies = await ipcRenderer.invoke('get-session-cookies', currentURL);
-            console.log(`  Got ${cookies.length} cookies from session`);
-          } catch (cookieError) {
-            console.warn(`  Failed to get cookies:`, cookieError);
-          }
-          
-          // Use Playwright in completely separate browser - webviews stay untouched
-          buffer = await ipcRenderer.invoke('capture-playwright-screenshot', {
-            url: currentURL,
-            width: logicalWidth,
-            height: logicalHeight, 
-            deviceScaleFactor: deviceScaleFactor,
-            userAgent: webview.getAttribute('useragent'),
-            appState: appState,
-            cookies: cookies
-          });
-          
-          console.log(`  ✅ Separate browser capture successful (${buffer.length} bytes)`);
-          
-        } catch (error) {
-          console.error(`  Separate browser capture failed:`, error);
-          console.log(`  Note: This should not affect the existing webviews which remain untouched`);
-          throw error;
-        }
-
-        const dpiSuffix = deviceScaleFactor > 1 ? `_${deviceScaleFactor}x` : "";
-        const filename = `screenshot_${timestamp}_${deviceName}${dpiSuffix}.png`;
-        const filepath = require("path").join(screenshotsDir, filename);
-
-        console.log(`  Writing to file: ${filepath}`);
-        fs.writeFileSync(filepath, buffer);
-        successCount++;
-
-        console.log(`  ✅ Screenshot saved: ${filepath}`);
-        console.log(
-          `    Logical: ${logicalWidth}x${logicalHeight} (website sees this)`
-        );
-        console.log(
-          `    Physical: ${physicalWidth}x${physicalHeight} (screenshot target)`
-        );
-        console.log(`    Scale: ${deviceScaleFactor}x`);
-      } catch (error) {
-        console.error(`Failed to screenshot ${deviceName}:`, error);
-        console.error(`  Error details:`, error.stack);
-      }
-    }
-
-    console.log(`Screenshot process complete: ${successCount}/${totalCount} successful`);
-    alert(
-      `Screenshots complete! Saved ${successCount}/${totalCount} screenshots to /screenshots folder`
+            // Extract localStorage
+            for (let i = 0; i < localStorage.length; i++) {
+              const key = localStorage.key(i);
+              state.localStorage[key] = localStorage.getItem(key);
+            }
+            
+            // Extract sessionStorage
+            for (let i = 0; i < sessionStorage.length; i++) {
+              const key = sessionStorage.key(i);
+              state.sessionStorage[key] = sessionStorage.getItem(key);
+            }
+            
+            // Extract indexedDB (basic approach - gets all databases)
+            try {
+              const databases = await indexedDB.databases();
+              for (const dbInfo of databases) {
+                if (dbInfo.name) {
+                  // We'll just store the database info for now
+                  // Full indexedDB extraction would be more complex
+                  state.indexedDB[dbInfo.name] = {
+                    name: dbInfo.name,
+                    version: dbInfo.version
+                  };
+                }
+              }
+            } catch (e) {
+              console.log('IndexedDB extraction skipped:', e.message);
+            }
+            
+            return state;
+          })()
+        `);
+        
+        console.log(`  Extracted state:`, Object.keys(appState.localStorage).length, 'localStorage items,', 
+                   Object.keys(appState.sessionStorage).length, 'sessionStorage items,',
+                   Object.keys(appState.indexedDB).length, 'indexedDB databases');
+      } catch (stateError) {
+        console.warn(`  Failed to extract app state:`, stateError);
+        appState = null;
+      }
+      
+      // Get cookies from the shared session
+      let cookies = [];
+      try {
+        cookies = await ipcRenderer.invoke('get-session-cookies', currentURL);
+        console.log(`  Got ${cookies.length} cookies from session`);
+      } catch (cookieError) {
+        console.warn(`  Failed to get cookies:`, cookieError);
+      }
+
+      // One job per matrix variant (e.g. light + dark), all from the same page state
+      variants.forEach(variant => {
+        targets.push({ webview, deviceName, metrics, url: currentURL, variant: variant.name || undefined });
+        jobs.push({
+          url: currentURL,
+          width: metrics.width,
+          height: metrics.height,
+          deviceScaleFactor: metrics.deviceScaleFactor,
+          userAgent: webview.getAttribute('useragent'),
+          clientHints: getClientHints(webview.deviceName),
+          touch: hasTouch(webview.deviceName),
+          network: getNetworkConditions(webview.deviceName),
+          media: getVariantMedia(webview.deviceName, variant),
+          locale: getVariantLocale(webview.deviceName, variant),
+          appState: appState,
+          cookies: cookies,
+          fullPage: captureOptions.fullPage
+        });
+      });
+    }
+
+    // Playwright captures in a separate headless browser (doesn't touch existing webviews)
+    const results = await runCaptureBatch(targets, jobs, button, 'icon-camera');
+
+    let successCount = 0;
+    const captureSet = [];
+    const reportCaptures = [];
+
+    results.forEach((result, i) => {
+      const { deviceName, metrics, url } = targets[i];
+      if (!result.success) {
+        console.error(`Failed to screenshot ${deviceName}:`, result.error);
+        reportCaptures.push({ url, deviceName: targets[i].webview.deviceName, variant: targets[i].variant, success: false, error: result.error });
+        return;
+      }
+
+      const deviceScaleFactor = metrics.deviceScaleFactor;
+      const filepath = outputPaths.captureFilePath(run, {
+        ...captureFileTokens(targets[i]),
+        fullPage: captureOptions.fullPage
+      });
+
+      console.log(`  Writing to file: ${filepath}`);
+      fs.writeFileSync(filepath, result.buffer);
+      successCount++;
+      captureSet.push({
+        url,
+        deviceName: targets[i].webview.deviceName,
+        variant: targets[i].variant,
+        filepath,
+        orientation: metrics.orientation,
+        fullPage: captureOptions.fullPage
+      });
+      reportCaptures.push({ url, deviceName: targets[i].webview.deviceName, variant: targets[i].variant, success: true, filepath, capturedAt: new Date().toISOString() });
+
+      console.log(`  ✅ Screenshot saved: ${filepath}`);
+      console.log(
+        `    Logical: ${metrics.width}x${metrics.height} (website sees this)`
+      );
+      console.log(
+        `    Physical: ${metrics.width * deviceScaleFactor}x${metrics.height * deviceScaleFactor} (screenshot target)`
+      );
+    });
+
+    console.log(`Screenshot process complete: ${successCount}/${totalCount} successful`);
+    const reportPath = await writeCaptureReport(run, 'capture', startedAt, targets, reportCaptures);
+    showRunComplete(
+      `Screenshots complete! Saved ${successCount}/${totalCount} screenshots to:\n${run.dir}`,
+      reportPath
     );
     // Reset UI to default
     setUIMode('default');
+    await finishCaptureSet(captureSet);
   } catch (error) {
     console.error("Screenshot error:", error);
     console.error("Error stack:", error.stack);
@@ -1237,18 +1252,145 @@ async function screenshotAll() {
   }
 }
 
+// Resolve the folder for this run from the output settings (main knows the default folder)
+async function createCaptureRun(mode) {
+  const defaultDir = await ipcRenderer.invoke('get-default-output-dir');
+  return outputPaths.createCaptureRun(outputSettings, { mode, url: currentURL, defaultDir });
+}
+
+function captureFileTokens({ webview, deviceName, metrics, url, variant }) {
+  return {
+    device: webview.deviceName || deviceName,
+    width: metrics.width,
+    height: metrics.height,
+    dpr: metrics.deviceScaleFactor,
+    orientation: metrics.orientation,
+    url,
+    variant
+  };
+}
+
+// HTML gallery for the run, written next to its screenshots
+async function writeCaptureReport(run, mode, startedAt, targets, captures) {
+  const reportPath = await ipcRenderer.invoke('write-capture-report', {
+    path: outputPaths.reportPath(run),
+    mode,
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    fullPage: captureOptions.fullPage,
+    devices: targets.map(({ webview, metrics, variant }) => ({
+      name: webview.deviceName,
+      variant,
+      width: metrics.width,
+      height: metrics.height,
+      deviceScaleFactor: metrics.deviceScaleFactor,
+      orientation: metrics.orientation,
+      userAgent: webview.getAttribute('useragent')
+    })),
+    captures
+  });
+  if (reportPath) {
+    lastReportPath = reportPath;
+  }
+  return reportPath;
+}
+
+function showRunComplete(message, reportPath) {
+  if (!reportPath) {
+    alert(message);
+  } else if (confirm(`${message}\n\nOpen the HTML report?`)) {
+    openReport(reportPath);
+  }
+}
+
+async function openReport(reportPath = lastReportPath) {
+  if (!reportPath) {
+    alert('No capture report yet! Take screenshots first.');
+    return;
+  }
+  const result = await ipcRenderer.invoke('open-report', reportPath);
+  if (!result.success) {
+    alert(`Failed to open report: ${result.error}`);
+  }
+}
+
+// Capture a batch in one shared headless browser; each viewport shows its own progress
+async function runCaptureBatch(targets, jobs, button, icon) {
+  let finishedCount = 0;
+  const updateButton = () => {
+    button.innerHTML = `<svg class="icon"><use href="#${icon}"></use></svg>Capturing ${finishedCount}/${jobs.length}...`;
+  };
+  updateButton();
+
+  const finished = new Set();
+  const handleProgress = (event, { index, status, error }) => {
+    setCaptureStatus(targets[index].webview, status, error);
+    if (status === 'done' || status === 'failed') {
+      finished.add(index);
+      finishedCount++;
+      updateButton();
+    }
+  };
+
+  ipcRenderer.on('capture-progress', handleProgress);
+  try {
+    return await ipcRenderer.invoke('capture-batch', {
+      jobs,
+      concurrency: captureOptions.concurrency
+    });
+  } catch (error) {
+    // The batch never reported on these devices; don't leave them showing "Queued"
+    targets.forEach((target, index) => {
+      if (!finished.has(index)) setCaptureStatus(target.webview, 'failed', error.message);
+    });
+    throw error;
+  } finally {
+    ipcRenderer.removeListener('capture-progress', handleProgress);
+  }
+}
+
+const CAPTURE_STATUS_LABELS = {
+  queued: 'Queued',
+  running: 'Capturing...',
+  retrying: 'Retrying...',
+  done: 'Captured',
+  failed: 'Failed'
+};
+
+function setCaptureStatus(webview, status, error) {
+  const badge = webview.captureStatus;
+  if (!badge) return;
+
+  clearTimeout(badge.hideTimer);
+  badge.className = `capture-status capture-status-${status}`;
+  badge.textContent = CAPTURE_STATUS_LABELS[status] || status;
+  badge.title = error || '';
+
+  // Successful captures fade out; failures stay until the next capture
+  if (status === 'done') {
+    badge.hideTimer = setTimeout(() => {
+      badge.className = 'capture-status';
+    }, 5000);
+  }
+}
+
 // UI state management
 function setUIMode(mode) {
   // Hide all buttons first
   const allButtons = ['manualModeBtn', 'screenshotAllBtn', 'triggerScreenshotBtn', 
-                       'stopBtn', 'screenshotWithReplayBtn', 'cancelBtn'];
+                       'stopBtn', 'screenshotWithReplayBtn', 'editStepsBtn', 'exportPlaywrightBtn', 'saveRecordingBtn', 'cancelBtn'];
   const advancedDropdown = document.querySelector('.advanced-capture-dropdown');
+  const fullPageToggle = document.getElementById('fullPageToggle');
   
   allButtons.forEach(id => {
     const btn = document.getElementById(id);
     if (btn) btn.classList.add('hidden');
   });
   
+  // Full page applies to automated captures only
+  fullPageToggle.style.display = (mode === 'default' || mode === 'replay') ? 'flex' : 'none';
+  document.getElementById('concurrencyOption').style.display = fullPageToggle.style.display;
+  
   // Show buttons based on mode
   switch(mode) {
     case 'default':
@@ -1268,6 +1410,9 @@ function setUIMode(mode) {
       break;
     case 'replay':
       document.getElementById('screenshotWithReplayBtn').classList.remove('hidden');
+      document.getElementById('editStepsBtn').classList.remove('hidden');
+      document.getElementById('exportPlaywrightBtn').classList.remove('hidden');
+      document.getElementById('saveRecordingBtn').classList.remove('hidden');
       document.getElementById('cancelBtn').classList.remove('hidden');
       advancedDropdown.style.display = 'none';
       break;
@@ -1290,16 +1435,19 @@ function startRecordingInternal() {
   isRecording = true;
   recordedActions = [];
   deviceSpecificActions = {}; // Reset device-specific actions
+  recordingUrl = webviews.length > 0 ? webviews[0].getURL() : document.getElementById('urlInput').value;
+  recordingAppState = null;
+  replayWaitOptions = readiness.normalizeWaitOptions();
+  
+  // Webviews share a partition, so one snapshot covers every device
+  if (webviews.length > 0) {
+    extractStorageState(webviews[0]).then(state => {
+      recordingAppState = state;
+    }).catch(e => console.warn('Failed to capture starting app state:', e));
+  }
   
   // Start recording in all webviews
-  webviews.forEach((webview, index) => {
-    try {
-      webview.executeJavaScript('window.startRecording && window.startRecording();');
-      console.log(`Started recording in webview ${index} (${webview.deviceName})`);
-    } catch (e) {
-      console.warn(`Failed to start recording in webview ${index}:`, e);
-    }
-  });
+  broadcastSyncSettings();
   
   // Update UI to recording mode
   setUIMode('recording');
@@ -1310,37 +1458,169 @@ window.stopRecording = async function() {
   isRecording = false;
   
   // Stop recording in all webviews
-  webviews.forEach((webview, index) => {
-    try {
-      webview.executeJavaScript('window.stopRecording && window.stopRecording();');
-    } catch (e) {
-      console.warn(`Failed to stop recording in webview ${index}:`, e);
-    }
-  });
+  broadcastSyncSettings();
   
   // Count total actions across all devices
   let totalActions = 0;
-  const deviceSummary = [];
   
   Object.keys(deviceSpecificActions).forEach(deviceName => {
-    const actions = deviceSpecificActions[deviceName];
-    totalActions += actions.length;
-    deviceSummary.push(`${deviceName}: ${actions.length} actions`);
+    totalActions += deviceSpecificActions[deviceName].length;
   });
   
   console.log('Device-specific recording complete:');
   console.log('  Total actions:', totalActions);
   console.log('  Per device:', deviceSpecificActions);
   
-  // Update UI to replay mode if we have actions
+  // Update UI to replay mode and review the recorded steps before replaying
   if (totalActions > 0) {
     setUIMode('replay');
+    openStepEditor();
   } else {
     setUIMode('default');
+    alert('Recording stopped. No actions were captured.');
+  }
+};
+
+function extractStorageState(webview) {
+  return webview.executeJavaScript(`
+    (function() {
+      const state = { localStorage: {}, sessionStorage: {} };
+      for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        state.localStorage[key] = localStorage.getItem(key);
+      }
+      for (let i = 0; i < sessionStorage.length; i++) {
+        const key = sessionStorage.key(i);
+        state.sessionStorage[key] = sessionStorage.getItem(key);
+      }
+      return state;
+    })()
+  `);
+}
+
+// Save the current recording (URL, devices, per-device actions, starting state) to disk
+window.saveRecording = async function() {
+  const recordedDevices = webviews.map(webview => {
+    const metrics = getViewportMetrics(webview);
+    return {
+      name: webview.deviceName,
+      width: metrics.width,
+      height: metrics.height,
+      deviceScaleFactor: metrics.deviceScaleFactor,
+      orientation: metrics.orientation,
+      rotated: metrics.rotated,
+      userAgent: webview.getAttribute('useragent'),
+      clientHints: getClientHints(webview.deviceName),
+      touch: hasTouch(webview.deviceName)
+    };
+  });
+
+  const result = await ipcRenderer.invoke('save-recording', {
+    url: recordingUrl || currentURL,
+    devices: recordedDevices,
+    actions: deviceSpecificActions,
+    appState: recordingAppState,
+    waitOptions: replayWaitOptions
+  });
+
+  if (result.success) {
+    alert(`Recording saved to ${result.path}`);
+  } else if (!result.canceled) {
+    alert(`Failed to save recording: ${result.error}`);
+  }
+};
+
+// Load a saved recording: restore its devices and URL, then enter replay mode
+window.loadRecording = async function() {
+  const result = await ipcRenderer.invoke('load-recording');
+  if (result.canceled) {
+    return;
+  }
+  if (!result.success) {
+    alert(`Failed to load recording: ${result.error}`);
+    return;
+  }
+
+  const recording = result.recording;
+  const deviceNames = recording.devices.map(device => device.name);
+
+  recording.devices.forEach(device => {
+    // Devices missing from this library are added for the session only
+    if (!devices[device.name]) {
+      devices[device.name] = {
+        width: device.rotated ? device.height : device.width,
+        height: device.rotated ? device.width : device.height,
+        deviceScaleFactor: device.deviceScaleFactor,
+        userAgent: device.userAgent || undefined,
+        clientHints: device.clientHints || undefined,
+        touch: typeof device.touch === 'boolean' ? device.touch : undefined
+      };
+    }
+
+    // Restore the orientation the steps were recorded in
+    if (device.rotated) {
+      rotatedDevices.add(device.name);
+    } else {
+      rotatedDevices.delete(device.name);
+    }
+  });
+
+  currentURL = recording.url;
+  document.getElementById('urlInput').value = recording.url;
+  presets.custom = [...deviceNames];
+  customDeviceSelection = [...deviceNames];
+  currentPreset = 'custom';
+  document.getElementById('currentPresetName').textContent = getPresetDisplayName('custom');
+  loadPresetInternal('custom');
+
+  deviceSpecificActions = recording.actions;
+  recordingUrl = recording.url;
+  recordingAppState = recording.appState;
+  replayWaitOptions = readiness.normalizeWaitOptions(recording.waitOptions);
+  setUIMode('replay');
+
+  const totalActions = Object.values(recording.actions).reduce((sum, actions) => sum + actions.length, 0);
+  console.log(`Loaded recording with ${totalActions} actions across ${deviceNames.length} devices`);
+};
+
+// Export the recorded actions as Playwright specs the QA suite can run
+window.exportPlaywrightTests = async function() {
+  const recordedDevices = webviews
+    .filter(webview => (deviceSpecificActions[webview.deviceName] || []).length > 0)
+    .map(webview => {
+      const actions = deviceSpecificActions[webview.deviceName];
+      // Use the viewport the steps were recorded at, even if the view was rotated since
+      const recorded = actions.find(action => action.viewport);
+      const viewport = recorded ? recorded.viewport : getViewportMetrics(webview);
+      return {
+        name: webview.deviceName,
+        width: viewport.width,
+        height: viewport.height,
+        deviceScaleFactor: viewport.deviceScaleFactor,
+        userAgent: webview.getAttribute('useragent'),
+        actions
+      };
+    });
+
+  if (recordedDevices.length === 0) {
+    alert('No recorded actions found! Please record some interactions first.');
+    return;
+  }
+
+  const result = await ipcRenderer.invoke('export-playwright-tests', {
+    url: recordingUrl || webviews[0].getURL(),
+    devices: recordedDevices,
+    selectorOptions: selectorOptions
+  });
+
+  if (result.canceled) {
+    return;
+  }
+  if (result.success) {
+    alert(`Exported ${result.files.length} Playwright spec(s):\n\n${result.files.join('\n')}`);
+  } else {
+    alert(`Failed to export Playwright tests: ${result.error}`);
   }
-  
-  const summaryText = deviceSummary.length > 0 ? `\n\nPer device:\n${deviceSummary.join('\n')}` : '';
-  alert(`Device-specific recording stopped! Captured ${totalActions} total actions across ${Object.keys(deviceSpecificActions).length} devices.${summaryText}`);
 };
 
 window.screenshotAllWithReplay = async function() {
@@ -1363,142 +1643,142 @@ window.screenshotAllWithReplay = async function() {
 
   const button = document.querySelector('button[onclick="screenshotAllWithReplay()"]');
   const originalHTML = button.innerHTML;
-  button.innerHTML = '<svg class="icon"><use href="#icon-video"></use></svg>Replaying & Screenshot...';
+  button.innerHTML = '<svg class="icon"><use href="#icon-video"></use></svg>Preparing...';
   button.disabled = true;
   
   // Set flag to prevent resize handler from reloading presets
   isScreenshotting = true;
 
   try {
-    const { ipcRenderer } = require("electron");
-    const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-
-    // Create screenshots directory if it doesn't exist
-    const screenshotsDir = require("path").join(process.cwd(), "screenshots");
-    const fs = require("fs");
-    
-    console.log("Screenshots directory:", screenshotsDir);
-
-    if (!fs.existsSync(screenshotsDir)) {
-      console.log("Creating screenshots directory...");
-      fs.mkdirSync(screenshotsDir);
-    }
+    const startedAt = new Date().toISOString();
+    const run = await createCaptureRun('replay');
+    console.log("Screenshots directory:", run.dir);
 
-    let successCount = 0;
-    const totalCount = webviews.length;
+    const variants = getCaptureVariants();
+    const totalCount = webviews.length * variants.length;
+    const targets = [];
+    const jobs = [];
 
-    // Take screenshot of each webview with replay
+    // Gather each device's state first; the replays then run together in one shared browser
     for (let i = 0; i < webviews.length; i++) {
       const webview = webviews[i];
       const deviceName = webview.deviceName ? webview.deviceName.replace(/[^a-zA-Z0-9]/g, "_") : `device_${i}`;
       
       // Get device-specific actions for this device
       const deviceActions = deviceSpecificActions[webview.deviceName] || [];
-      console.log(`Processing webview ${i + 1}/${totalCount}: ${deviceName} with ${deviceActions.length} device-specific actions`);
+      console.log(`Preparing webview ${i + 1}/${totalCount}: ${deviceName} with ${deviceActions.length} device-specific actions`);
 
-      try {
-        // Get device info
-        const deviceScaleFactor = webview.deviceInfo?.deviceScaleFactor || 1;
-        const logicalWidth = webview.deviceInfo?.width || 375;
-        const logicalHeight = webview.deviceInfo?.height || 667;
-        const physicalWidth = logicalWidth * deviceScaleFactor;
-        const physicalHeight = logicalHeight * deviceScaleFactor;
-        
-        const currentURL = webview.getURL();
-        console.log(`  URL: ${currentURL}`);
-        console.log(`  Device scale factor: ${deviceScaleFactor}`);
-        console.log(`  Dimensions: ${logicalWidth}x${logicalHeight} (logical), ${physicalWidth}x${physicalHeight} (physical)`);
+      // Get device info (with the current orientation applied)
+      const metrics = getViewportMetrics(webview);
+      
+      // Replay from the page the recording started on
+      const currentURL = recordingUrl || webview.getURL();
+      console.log(`  URL: ${currentURL}`);
+      console.log(`  Dimensions: ${metrics.width}x${metrics.height} @ ${metrics.deviceScaleFactor}x`);
 
-        // Extract app state
+      // Prefer the state captured when recording started over the current (post-recording) state
+      let appState = recordingAppState;
+      
+      if (!appState) {
         console.log(`  Extracting app state from webview...`);
-        let appState = null;
-        
         try {
-          appState = await webview.executeJavaScript(`
-            (async function() {
-              const state = {
-                localStorage: {},
-                sessionStorage: {},
-                indexedDB: {}
-              };
-              
-              // Extract localStorage
-              for (let i = 0; i < localStorage.length; i++) {
-                const key = localStorage.key(i);
-                state.localStorage[key] = localStorage.getItem(key);
-              }
-              
-              // Extract sessionStorage
-              for (let i = 0; i < sessionStorage.length; i++) {
-                const key = sessionStorage.key(i);
-                state.sessionStorage[key] = sessionStorage.getItem(key);
-              }
-              
-              return state;
-            })()
-          `);
-          
+          appState = await extractStorageState(webview);
           console.log(`  Extracted state:`, Object.keys(appState.localStorage).length, 'localStorage items,', 
                      Object.keys(appState.sessionStorage).length, 'sessionStorage items');
         } catch (stateError) {
           console.warn(`  Failed to extract app state:`, stateError);
           appState = null;
         }
-        
-        // Get cookies from the shared session
-        let cookies = [];
-        try {
-          cookies = await ipcRenderer.invoke('get-session-cookies', currentURL);
-          console.log(`  Got ${cookies.length} cookies from session`);
-        } catch (cookieError) {
-          console.warn(`  Failed to get cookies:`, cookieError);
-        }
-        
-        // Use Playwright with device-specific actions
-        const buffer = await ipcRenderer.invoke('capture-playwright-screenshot', {
+      }
+      
+      // Get cookies from the shared session
+      let cookies = [];
+      try {
+        cookies = await ipcRenderer.invoke('get-session-cookies', currentURL);
+        console.log(`  Got ${cookies.length} cookies from session`);
+      } catch (cookieError) {
+        console.warn(`  Failed to get cookies:`, cookieError);
+      }
+
+      variants.forEach(variant => {
+        targets.push({ webview, deviceName, metrics, url: currentURL, actionCount: deviceActions.length, variant: variant.name || undefined });
+        jobs.push({
           url: currentURL,
-          width: logicalWidth,
-          height: logicalHeight, 
-          deviceScaleFactor: deviceScaleFactor,
+          width: metrics.width,
+          height: metrics.height,
+          deviceScaleFactor: metrics.deviceScaleFactor,
           userAgent: webview.getAttribute('useragent'),
+          clientHints: getClientHints(webview.deviceName),
+          touch: hasTouch(webview.deviceName),
+          network: getNetworkConditions(webview.deviceName),
+          media: getVariantMedia(webview.deviceName, variant),
+          locale: getVariantLocale(webview.deviceName, variant),
           appState: appState,
           recordedActions: deviceActions, // Use device-specific actions instead of generic ones
-          cookies: cookies
+          cookies: cookies,
+          fullPage: captureOptions.fullPage,
+          waitOptions: replayWaitOptions,
+          selectorOptions: selectorOptions
         });
-        
-        console.log(`  ✅ Screenshot with replay successful (${buffer.length} bytes)`);
-
-        const dpiSuffix = deviceScaleFactor > 1 ? `_${deviceScaleFactor}x` : "";
-        const filename = `screenshot_replay_${timestamp}_${deviceName}${dpiSuffix}.png`;
-        const filepath = require("path").join(screenshotsDir, filename);
-
-        console.log(`  Writing to file: ${filepath}`);
-        fs.writeFileSync(filepath, buffer);
-        successCount++;
-
-        console.log(`  ✅ Screenshot saved: ${filepath}`);
-        console.log(
-          `    Logical: ${logicalWidth}x${logicalHeight} (website sees this)`
-        );
-        console.log(
-          `    Physical: ${physicalWidth}x${physicalHeight} (screenshot target)`
-        );
-        console.log(`    Scale: ${deviceScaleFactor}x`);
-        console.log(`    Actions replayed: ${deviceActions.length} (device-specific for ${webview.deviceName})`);
-      } catch (error) {
-        console.error(`Failed to screenshot ${deviceName}:`, error);
-        console.error(`  Error details:`, error.stack);
-      }
+      });
     }
 
+    const results = await runCaptureBatch(targets, jobs, button, 'icon-video');
+
+    let successCount = 0;
+    const captureSet = [];
+    const reportCaptures = [];
+
+    results.forEach((result, i) => {
+      const { webview, deviceName, metrics, url, actionCount, variant } = targets[i];
+      if (!result.success) {
+        console.error(`Failed to screenshot ${deviceName}:`, result.error);
+        reportCaptures.push({ url, deviceName: webview.deviceName, variant, success: false, error: result.error });
+        return;
+      }
+
+      const filepath = outputPaths.captureFilePath(run, {
+        ...captureFileTokens(targets[i]),
+        fullPage: captureOptions.fullPage
+      });
+
+      console.log(`  Writing to file: ${filepath}`);
+      fs.writeFileSync(filepath, result.buffer);
+      
+      // Screenshots taken at marker steps along the way
+      const markers = result.markers.map(marker => {
+        const markerPath = outputPaths.captureFilePath(run, {
+          ...captureFileTokens(targets[i]),
+          marker: marker.name
+        });
+        fs.writeFileSync(markerPath, marker.buffer);
+        console.log(`  ✅ Marker screenshot saved: ${markerPath}`);
+        return { name: marker.name, filepath: markerPath };
+      });
+      successCount++;
+      captureSet.push({
+        url,
+        deviceName: webview.deviceName,
+        variant,
+        filepath,
+        orientation: metrics.orientation,
+        fullPage: captureOptions.fullPage
+      });
+      reportCaptures.push({ url, deviceName: webview.deviceName, variant, success: true, filepath, markers, capturedAt: new Date().toISOString() });
+
+      console.log(`  ✅ Screenshot saved: ${filepath}`);
+      console.log(`    Actions replayed: ${actionCount} (device-specific for ${webview.deviceName})`);
+    });
+
     console.log(`Screenshot with replay process complete: ${successCount}/${totalCount} successful`);
-    alert(
-      `Screenshots with replay complete! Saved ${successCount}/${totalCount} screenshots to /screenshots folder`
+    const reportPath = await writeCaptureReport(run, 'replay', startedAt, targets, reportCaptures);
+    showRunComplete(
+      `Screenshots with replay complete! Saved ${successCount}/${totalCount} screenshots to:\n${run.dir}`,
+      reportPath
     );
-    // Reset UI to default
-    setUIMode('default');
-    // Clear recorded actions
-    deviceSpecificActions = {};
+    // Stay in replay mode so the recording can be replayed or saved again
+    setUIMode('replay');
+    await finishCaptureSet(captureSet);
   } catch (error) {
     console.error("Screenshot with replay error:", error);
     console.error("Error stack:", error.stack);
@@ -1591,11 +1871,18 @@ window.openManualMode = async function() {
     const currentDevices = [];
     webviews.forEach((webview, index) => {
       if (webview.deviceInfo && webview.deviceName) {
+        const metrics = getViewportMetrics(webview);
         currentDevices.push({
           name: webview.deviceName,
-          width: webview.deviceInfo.width,
-          height: webview.deviceInfo.height,
-          deviceScaleFactor: webview.deviceInfo.deviceScaleFactor || 1
+          width: metrics.width,
+          height: metrics.height,
+          deviceScaleFactor: metrics.deviceScaleFactor,
+          userAgent: webview.getAttribute('useragent'),
+          clientHints: getClientHints(webview.deviceName),
+          touch: hasTouch(webview.deviceName),
+          network: getNetworkConditions(webview.deviceName),
+          media: getMediaSettings(webview.deviceName),
+          locale: getLocaleSettings(webview.deviceName)
         });
       }
     });
@@ -1672,7 +1959,8 @@ window.triggerRemoteScreenshot = async function() {
     const { ipcRenderer } = require('electron');
     
     const result = await ipcRenderer.invoke('capture-manual-screenshots', {
-      browsers: manualModeBrowsers
+      browsers: manualModeBrowsers,
+      outputSettings
     });
     
     if (result.success) {
@@ -1685,10 +1973,13 @@ window.triggerRemoteScreenshot = async function() {
       
       const autoCloseMsg = result.autoClosedBrowsers ? '\n\n✅ All browser windows closed automatically.' : '';
       
-      alert(`Screenshots complete! 
+      if (result.reportPath) {
+        lastReportPath = result.reportPath;
+      }
+      showRunComplete(`Screenshots complete! 
       
-Saved ${result.count} screenshots to /screenshots folder:
-${result.filenames.join('\n')}${autoCloseMsg}`);
+Saved ${result.count} screenshots to ${result.dir}:
+${result.filenames.join('\n')}${autoCloseMsg}`, result.reportPath);
     } else {
       throw new Error(result.error || 'Failed to capture screenshots');
     }
@@ -1733,13 +2024,7 @@ window.cancelMode = async function() {
   // Stop recording if active
   if (isRecording) {
     isRecording = false;
-    webviews.forEach((webview, index) => {
-      try {
-        webview.executeJavaScript('window.stopRecording && window.stopRecording();');
-      } catch (e) {
-        console.warn(`Failed to stop recording in webview ${index}:`, e);
-      }
-    });
+    broadcastSyncSettings();
   }
   
   // Close manual mode if active
@@ -1750,6 +2035,9 @@ window.cancelMode = async function() {
   // Clear any recorded actions
   recordedActions = [];
   deviceSpecificActions = {};
+  recordingUrl = null;
+  recordingAppState = null;
+  closeStepEditor();
   
   // Reset UI to default
   setUIMode('default');
@@ -1766,90 +2054,1361 @@ window.toggleAdvancedCapture = function() {
   menu.classList.toggle('open');
 };
 
-// Auto-close manual mode when app closes
-window.addEventListener('beforeunload', closeManualMode);
+// Output settings: folder, filename template and per-run subfolders for every capture path
+function saveOutputSettings() {
+  localStorage.setItem('outputSettings', JSON.stringify(outputSettings));
+  renderOutputPreview();
+}
 
-// Sidebar and dropdown functions
-function toggleSidebar() {
-  const sidebar = document.getElementById('sidebar');
-  const overlay = document.getElementById('sidebarOverlay');
-  
-  sidebar.classList.toggle('open');
-  overlay.classList.toggle('active');
+async function openOutputSettings() {
+  document.getElementById('outputDir').value = outputSettings.outputDir;
+  document.getElementById('outputDir').placeholder = await ipcRenderer.invoke('get-default-output-dir');
+  document.getElementById('outputFilenameTemplate').value = outputSettings.filenameTemplate;
+  document.getElementById('outputSubfolderPerRun').checked = outputSettings.subfolderPerRun;
+  document.getElementById('outputSubfolderTemplate').value = outputSettings.subfolderTemplate;
+  document.getElementById('outputSubfolderTemplate').disabled = !outputSettings.subfolderPerRun;
+  renderOutputPreview();
+  document.getElementById('outputSettingsPanel').classList.add('open');
 }
 
-function togglePresetDropdown() {
-  const toggle = document.querySelector('.preset-dropdown-toggle');
-  const menu = document.getElementById('presetDropdownMenu');
-  
-  toggle.classList.toggle('open');
-  menu.classList.toggle('open');
+function closeOutputSettings() {
+  document.getElementById('outputSettingsPanel').classList.remove('open');
 }
 
-function selectPreset(presetName) {
-  currentPreset = presetName;
-  document.getElementById('currentPresetName').textContent = getPresetDisplayName(presetName);
-  
-  // Update active item in dropdown
-  document.querySelectorAll('.preset-dropdown-item').forEach(item => {
-    item.classList.remove('active');
-  });
-  document.querySelector(`[onclick="selectPreset('${presetName}')"]`).classList.add('active');
-  
-  // Close dropdown
-  togglePresetDropdown();
-  
-  // Show/hide custom preset controls
-  const customControls = document.getElementById('customPresetControls');
-  if (presetName === 'custom') {
-    customControls.classList.remove('hidden');
-    toggleSidebar(); // Open sidebar for custom preset selection
-  } else {
-    customControls.classList.add('hidden');
-    loadPresetInternal(presetName);
+async function chooseOutputDir() {
+  const result = await ipcRenderer.invoke('choose-output-dir', outputSettings.outputDir);
+  if (result.success) {
+    outputSettings.outputDir = result.path;
+    document.getElementById('outputDir').value = result.path;
+    saveOutputSettings();
   }
 }
 
-function getPresetDisplayName(presetName) {
-  const names = {
-    'responsive': 'Responsive',
-    'mobile': 'Mobile', 
-    'tablet': 'Tablet',
-    'desktop': 'Desktop',
-    'app-store': 'App Store',
-    'app-store-hd': 'App Store HD',
-    'play-store': 'Play Store', 
-    'play-store-hd': 'Play Store HD',
-    'custom': 'Custom'
-  };
-  return names[presetName] || presetName;
+function resetOutputSettings() {
+  outputSettings = outputPaths.normalizeOutputSettings();
+  saveOutputSettings();
+  openOutputSettings();
 }
 
-function populateDeviceList() {
-  const deviceList = document.getElementById('deviceList');
-  deviceList.innerHTML = '';
-  
-  // Group devices by category
-  const categories = {
-    'Mobile Phones': [],
-    'Tablets': [],
-    'Desktops': [],
-    'App Store Sizes': []
-  };
-  
-  Object.keys(devices).forEach(deviceName => {
-    const device = devices[deviceName];
-    let category = 'Mobile Phones';
-    
-    if (deviceName.includes('iPad') || deviceName.includes('Tab')) {
-      category = 'Tablets';
-    } else if (deviceName.includes('MacBook') || deviceName.includes('Desktop') || deviceName.includes('Mac App Store')) {
-      category = 'Desktops';
-    } else if (deviceName.includes('App Store') || deviceName.includes('Play Store')) {
-      category = 'App Store Sizes';
-    }
-    
-    categories[category].push({ name: deviceName, ...device });
+// Example file name for the first viewport, or explain what's wrong with the template
+function renderOutputPreview() {
+  const preview = document.getElementById('outputPreview');
+  const unknown = [
+    ...outputPaths.findUnknownTokens(outputSettings.filenameTemplate),
+    ...(outputSettings.subfolderPerRun ? outputPaths.findUnknownTokens(outputSettings.subfolderTemplate) : [])
+  ];
+  if (unknown.length > 0) {
+    preview.textContent = `Unknown tokens: ${unknown.join(', ')}`;
+    return;
+  }
+
+  const webview = webviews[0];
+  const deviceName = webview ? webview.deviceName : 'iPhone 14 Pro';
+  const metrics = getDeviceMetrics(deviceName);
+  const tokens = { date: 'YYYY-MM-DD', time: 'HH-MM-SS', mode: 'capture', 'url-slug': outputPaths.urlSlug(currentURL) };
+  const filename = outputPaths.formatCaptureFilename({ template: outputSettings.filenameTemplate, tokens }, {
+    device: deviceName,
+    width: metrics.width,
+    height: metrics.height,
+    dpr: metrics.deviceScaleFactor,
+    orientation: metrics.orientation
+  });
+  const subfolder = outputSettings.subfolderPerRun
+    ? `${outputPaths.renderTemplate(outputSettings.subfolderTemplate, tokens)}/`
+    : '';
+  preview.textContent = `Example: ${subfolder}${filename}`;
+}
+
+function setupOutputSettings() {
+  const tokenList = document.getElementById('outputTokens');
+  Object.entries(outputPaths.TEMPLATE_TOKENS).forEach(([name, description]) => {
+    const token = document.createElement('button');
+    token.className = 'viewport-btn';
+    token.textContent = `{${name}}`;
+    token.title = `${description} - click to add to the file name`;
+    token.onclick = () => {
+      const input = document.getElementById('outputFilenameTemplate');
+      input.value += `{${name}}`;
+      input.dispatchEvent(new Event('change'));
+    };
+    tokenList.appendChild(token);
+  });
+
+  document.getElementById('outputDir').addEventListener('change', (e) => {
+    outputSettings.outputDir = e.target.value.trim();
+    saveOutputSettings();
+  });
+
+  document.getElementById('outputFilenameTemplate').addEventListener('change', (e) => {
+    outputSettings.filenameTemplate = e.target.value.trim() || outputPaths.DEFAULT_OUTPUT_SETTINGS.filenameTemplate;
+    e.target.value = outputSettings.filenameTemplate;
+    saveOutputSettings();
+  });
+
+  document.getElementById('outputSubfolderPerRun').addEventListener('change', (e) => {
+    outputSettings.subfolderPerRun = e.target.checked;
+    document.getElementById('outputSubfolderTemplate').disabled = !e.target.checked;
+    saveOutputSettings();
+  });
+
+  document.getElementById('outputSubfolderTemplate').addEventListener('change', (e) => {
+    outputSettings.subfolderTemplate = e.target.value.trim() || outputPaths.DEFAULT_OUTPUT_SETTINGS.subfolderTemplate;
+    e.target.value = outputSettings.subfolderTemplate;
+    saveOutputSettings();
+  });
+}
+
+// Media emulation: global and per-viewport media features, plus the capture matrix
+function openMediaPanel(deviceName = '') {
+  const target = document.getElementById('mediaTarget');
+  target.innerHTML = '<option value="">All viewports</option>';
+  webviews.forEach(webview => {
+    const option = document.createElement('option');
+    option.value = webview.deviceName;
+    option.textContent = webview.deviceName;
+    target.appendChild(option);
+  });
+  target.value = deviceName;
+  document.getElementById('mediaMatrix').value = captureOptions.mediaMatrix;
+  renderMediaFields();
+  document.getElementById('mediaPanel').classList.add('open');
+}
+
+function closeMediaPanel() {
+  document.getElementById('mediaPanel').classList.remove('open');
+}
+
+// Show the global settings, or one viewport's overrides ("Inherit" falls back to global)
+function renderMediaFields() {
+  const deviceName = document.getElementById('mediaTarget').value;
+  const settings = deviceName ? (mediaSelections[deviceName] || {}) : mediaSettings;
+  Object.keys(mediaFeatures.MEDIA_FEATURES).forEach(key => {
+    const select = document.getElementById(`media-${key}`);
+    select.options[0].textContent = deviceName ? 'Inherit' : 'Not emulated';
+    select.value = settings[key] || '';
+  });
+}
+
+function applyMediaEmulations() {
+  webviews.forEach(webview => applyMediaEmulation(webview));
+}
+
+function resetMediaSelections() {
+  mediaSelections = {};
+  renderMediaFields();
+  applyMediaEmulations();
+}
+
+function setupMediaPanel() {
+  const fields = document.getElementById('mediaFeatureFields');
+  Object.entries(mediaFeatures.MEDIA_FEATURES).forEach(([key, definition]) => {
+    const label = document.createElement('label');
+    label.className = 'device-editor-field';
+    label.textContent = definition.label;
+
+    const select = document.createElement('select');
+    select.className = 'sidebar-input';
+    select.id = `media-${key}`;
+    ['', ...definition.values].forEach(value => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = value || 'Not emulated';
+      select.appendChild(option);
+    });
+    select.addEventListener('change', () => {
+      const deviceName = document.getElementById('mediaTarget').value;
+      const settings = { ...(deviceName ? mediaSelections[deviceName] : mediaSettings), [key]: select.value };
+      if (deviceName) {
+        mediaSelections[deviceName] = mediaFeatures.normalizeMediaSettings(settings);
+      } else {
+        mediaSettings = mediaFeatures.normalizeMediaSettings(settings);
+        localStorage.setItem('mediaSettings', JSON.stringify(mediaSettings));
+      }
+      applyMediaEmulations();
+    });
+
+    label.appendChild(select);
+    fields.appendChild(label);
+  });
+
+  const matrix = document.getElementById('mediaMatrix');
+  matrix.innerHTML = '<option value="">Off</option>';
+  Object.entries(mediaFeatures.MEDIA_FEATURES).forEach(([key, definition]) => {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = `${definition.label}: ${definition.values.join(' + ')}`;
+    matrix.appendChild(option);
+  });
+  matrix.addEventListener('change', () => {
+    captureOptions.mediaMatrix = matrix.value;
+    localStorage.setItem('mediaMatrix', matrix.value);
+  });
+
+  document.getElementById('mediaTarget').addEventListener('change', renderMediaFields);
+}
+
+// Locale emulation: global and per-viewport locale, timezone and geolocation, plus the locale matrix
+function openLocalePanel(deviceName = '') {
+  const target = document.getElementById('localeTarget');
+  target.innerHTML = '<option value="">All viewports</option>';
+  webviews.forEach(webview => {
+    const option = document.createElement('option');
+    option.value = webview.deviceName;
+    option.textContent = webview.deviceName;
+    target.appendChild(option);
+  });
+  target.value = deviceName;
+  document.getElementById('localeMatrix').value = captureOptions.localeMatrix.join(', ');
+  renderLocaleFields();
+  document.getElementById('localePanel').classList.add('open');
+}
+
+function closeLocalePanel() {
+  document.getElementById('localePanel').classList.remove('open');
+}
+
+// Show the global settings, or one viewport's overrides (empty fields fall back to global)
+function renderLocaleFields() {
+  const deviceName = document.getElementById('localeTarget').value;
+  const settings = deviceName ? (localeSelections[deviceName] || {}) : localeSettings;
+  const geolocation = settings.geolocation || {};
+  document.getElementById('localeLanguage').value = settings.locale || '';
+  document.getElementById('localeTimezone').value = settings.timezoneId || '';
+  document.getElementById('localeLatitude').value = geolocation.latitude ?? '';
+  document.getElementById('localeLongitude').value = geolocation.longitude ?? '';
+  document.getElementById('localeAccuracy').value = geolocation.accuracy ?? '';
+  document.getElementById('localeLanguage').placeholder = deviceName ? (localeSettings.locale || 'Inherit') : 'Browser default';
+  document.getElementById('localeTimezone').placeholder = deviceName ? (localeSettings.timezoneId || 'Inherit') : 'System timezone';
+  document.getElementById('localeErrors').textContent = '';
+}
+
+function applyLocaleEmulations() {
+  webviews.forEach(webview => applyDeviceEmulation(webview));
+}
+
+function saveLocaleSettings() {
+  const deviceName = document.getElementById('localeTarget').value;
+  const latitude = document.getElementById('localeLatitude').value.trim();
+  const longitude = document.getElementById('localeLongitude').value.trim();
+  const input = {
+    locale: document.getElementById('localeLanguage').value.trim(),
+    timezoneId: document.getElementById('localeTimezone').value.trim(),
+    geolocation: latitude || longitude ? {
+      latitude: latitude === '' ? NaN : latitude,
+      longitude: longitude === '' ? NaN : longitude,
+      accuracy: document.getElementById('localeAccuracy').value.trim() || undefined
+    } : null
+  };
+
+  const errors = localeSettingsLib.validateLocaleSettings(input);
+  document.getElementById('localeErrors').textContent = errors.join('\n');
+  if (errors.length > 0) {
+    return;
+  }
+
+  const settings = localeSettingsLib.normalizeLocaleSettings(input);
+  if (deviceName) {
+    localeSelections[deviceName] = settings;
+  } else {
+    localeSettings = settings;
+    localStorage.setItem('localeSettings', JSON.stringify(localeSettings));
+  }
+  renderLocaleFields();
+  applyLocaleEmulations();
+}
+
+function resetLocaleSelections() {
+  localeSelections = {};
+  renderLocaleFields();
+  applyLocaleEmulations();
+}
+
+function setupLocalePanel() {
+  document.getElementById('localeTarget').addEventListener('change', renderLocaleFields);
+
+  const matrix = document.getElementById('localeMatrix');
+  matrix.addEventListener('change', () => {
+    const { locales, invalid } = localeSettingsLib.parseLocaleList(matrix.value);
+    document.getElementById('localeErrors').textContent = invalid.length > 0
+      ? `Skipped invalid locales: ${invalid.join(', ')}`
+      : '';
+    captureOptions.localeMatrix = locales;
+    localStorage.setItem('localeMatrix', JSON.stringify(locales));
+    matrix.value = locales.join(', ');
+  });
+}
+
+// Selector engine: which locator kinds sync and replay try first, and the test id attributes to look for
+function openSelectorPanel() {
+  renderSelectorSettings();
+  document.getElementById('selectorPanel').classList.add('open');
+}
+
+function closeSelectorPanel() {
+  document.getElementById('selectorPanel').classList.remove('open');
+}
+
+function renderSelectorSettings() {
+  document.getElementById('selectorTestIds').value = selectorOptions.testIdAttributes.join(', ');
+  const list = document.getElementById('selectorPriorityList');
+  list.innerHTML = '';
+
+  selectorOptions.priority.forEach((type, index) => {
+    const row = document.createElement('div');
+    row.className = 'panel-row selector-priority-row';
+
+    const info = document.createElement('div');
+    info.className = 'panel-row-info';
+    const title = document.createElement('div');
+    title.className = 'panel-row-title';
+    title.textContent = `${index + 1}. ${selectorEngine.LOCATOR_LABELS[type]}`;
+    info.appendChild(title);
+
+    const actions = document.createElement('div');
+    actions.className = 'device-item-actions';
+    [
+      { label: '↑', title: 'Try earlier', disabled: index === 0, delta: -1 },
+      { label: '↓', title: 'Try later', disabled: index === selectorOptions.priority.length - 1, delta: 1 }
+    ].forEach(({ label, title, disabled, delta }) => {
+      const btn = document.createElement('button');
+      btn.className = 'device-item-action';
+      btn.textContent = label;
+      btn.title = title;
+      btn.disabled = disabled;
+      btn.onclick = () => moveSelectorPriority(index, delta);
+      actions.appendChild(btn);
+    });
+
+    row.appendChild(info);
+    row.appendChild(actions);
+    list.appendChild(row);
+  });
+}
+
+function saveSelectorOptions(options) {
+  selectorOptions = selectorEngine.normalizeSelectorOptions(options);
+  localStorage.setItem('selectorOptions', JSON.stringify(selectorOptions));
+  renderSelectorSettings();
+  broadcastSyncSettings();
+}
+
+function moveSelectorPriority(index, delta) {
+  const priority = selectorOptions.priority.slice();
+  [priority[index], priority[index + delta]] = [priority[index + delta], priority[index]];
+  saveSelectorOptions({ ...selectorOptions, priority });
+}
+
+function resetSelectorOptions() {
+  saveSelectorOptions(selectorEngine.DEFAULT_SELECTOR_OPTIONS);
+}
+
+function setupSelectorPanel() {
+  const testIds = document.getElementById('selectorTestIds');
+  testIds.addEventListener('change', () => {
+    saveSelectorOptions({ ...selectorOptions, testIdAttributes: selectorEngine.parseAttributeList(testIds.value) });
+  });
+}
+
+// Network profiles: per-viewport throttling, custom values and preset defaults per category
+function openNetworkPanel() {
+  document.getElementById('customNetworkLatency').value = customNetworkProfile.latency;
+  document.getElementById('customNetworkDownload').value = customNetworkProfile.download;
+  document.getElementById('customNetworkUpload').value = customNetworkProfile.upload;
+  renderNetworkDefaults();
+  document.getElementById('networkPanel').classList.add('open');
+}
+
+function closeNetworkPanel() {
+  document.getElementById('networkPanel').classList.remove('open');
+}
+
+function applyNetworkProfiles() {
+  webviews.forEach(webview => applyNetworkProfile(webview));
+}
+
+function resetNetworkSelections() {
+  networkSelections = {};
+  applyNetworkProfiles();
+}
+
+// One default per category, for the categories in the library and the active preset
+function renderNetworkDefaults() {
+  const presetDefaults = networkDefaults[currentPreset] || {};
+  const presetDevices = presets[currentPreset] || [];
+  const categories = new Set(deviceLibrary.DEVICE_CATEGORIES);
+  presetDevices.forEach(deviceName => categories.add(deviceLibrary.getDeviceCategory(deviceName, devices[deviceName])));
+
+  document.getElementById('networkDefaultsTitle').textContent =
+    `Defaults for the "${getPresetDisplayName(currentPreset)}" preset`;
+  const list = document.getElementById('networkDefaultsList');
+  list.innerHTML = '';
+
+  categories.forEach(category => {
+    const row = document.createElement('div');
+    row.className = 'panel-row';
+
+    const info = document.createElement('div');
+    info.className = 'panel-row-info';
+    const title = document.createElement('div');
+    title.className = 'panel-row-title';
+    title.textContent = category;
+    const detail = document.createElement('div');
+    detail.className = 'panel-row-detail';
+    const count = presetDevices.filter(deviceName =>
+      deviceLibrary.getDeviceCategory(deviceName, devices[deviceName]) === category).length;
+    detail.textContent = `${count} device${count === 1 ? '' : 's'} in this preset`;
+    info.appendChild(title);
+    info.appendChild(detail);
+
+    const select = document.createElement('select');
+    select.className = 'sidebar-input network-default-select';
+    Object.entries(networkProfiles.NETWORK_PROFILES).forEach(([id, profile]) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = profile.label;
+      select.appendChild(option);
+    });
+    select.value = presetDefaults[category] || 'none';
+    select.onchange = () => setNetworkDefault(category, select.value);
+
+    row.appendChild(info);
+    row.appendChild(select);
+    list.appendChild(row);
+  });
+}
+
+// Saved with the device library so presets keep their defaults across sessions
+async function setNetworkDefault(category, profileId) {
+  const library = copyUserLibrary();
+  const presetDefaults = { ...(library.networkDefaults[currentPreset] || {}) };
+  if (profileId === 'none') {
+    delete presetDefaults[category];
+  } else {
+    presetDefaults[category] = profileId;
+  }
+  if (Object.keys(presetDefaults).length > 0) {
+    library.networkDefaults[currentPreset] = presetDefaults;
+  } else {
+    delete library.networkDefaults[currentPreset];
+  }
+
+  try {
+    await saveDeviceLibrary(library);
+  } catch (error) {
+    console.error('Failed to save network defaults:', error);
+    alert(`Failed to save network defaults: ${error.message}`);
+    return;
+  }
+  applyNetworkProfiles();
+}
+
+function setupNetworkPanel() {
+  ['Latency', 'Download', 'Upload'].forEach(field => {
+    document.getElementById(`customNetwork${field}`).addEventListener('change', (e) => {
+      customNetworkProfile = networkProfiles.normalizeCustomProfile({
+        ...customNetworkProfile,
+        [field.toLowerCase()]: e.target.value
+      });
+      e.target.value = customNetworkProfile[field.toLowerCase()];
+      localStorage.setItem('customNetworkProfile', JSON.stringify(customNetworkProfile));
+      applyNetworkProfiles();
+    });
+  });
+}
+
+// Visual regression: baselines per URL + device, compared pixel by pixel in main
+let lastCaptureSet = [];
+let regressionSettings = {
+  threshold: 0.1, // Max mismatch percentage that still passes
+  pixelTolerance: 16, // Per-channel difference ignored as noise (0-255)
+  autoCompare: false, // Compare every capture run against the baselines
+  ...JSON.parse(localStorage.getItem('regressionSettings') || '{}')
+};
+
+function saveRegressionSettings() {
+  localStorage.setItem('regressionSettings', JSON.stringify(regressionSettings));
+}
+
+async function finishCaptureSet(captureSet) {
+  if (captureSet.length === 0) return;
+  lastCaptureSet = captureSet;
+
+  if (regressionSettings.autoCompare) {
+    await compareLastCapture();
+  }
+  // Store preset captures are checked against the store size tables right away
+  if (captureSet.some(capture => storeComposer.getStoreTarget(capture.deviceName))) {
+    await validateStoreCaptures();
+  }
+}
+
+async function saveLastCaptureAsBaseline() {
+  if (lastCaptureSet.length === 0) {
+    alert('No captures yet! Take screenshots first, then mark them as the baseline.');
+    return;
+  }
+
+  const result = await ipcRenderer.invoke('save-baselines', { captures: lastCaptureSet });
+  if (result.success) {
+    alert(`Saved ${result.count} screenshots as the baseline.`);
+  } else {
+    alert(`Failed to save baseline: ${result.error}`);
+  }
+}
+
+async function compareLastCapture() {
+  if (lastCaptureSet.length === 0) {
+    alert('No captures yet! Take screenshots first, then compare them to the baseline.');
+    return;
+  }
+
+  openRegressionPanel();
+  const resultsList = document.getElementById('regressionResults');
+  resultsList.innerHTML = '<div class="panel-empty">Comparing...</div>';
+
+  try {
+    const results = await ipcRenderer.invoke('compare-with-baselines', {
+      captures: lastCaptureSet,
+      threshold: regressionSettings.threshold,
+      pixelTolerance: regressionSettings.pixelTolerance
+    });
+    renderRegressionResults(results);
+  } catch (error) {
+    console.error('Visual regression comparison failed:', error);
+    resultsList.innerHTML = '';
+    alert(`Failed to compare screenshots: ${error.message}`);
+  }
+}
+
+function renderRegressionResults(results) {
+  const resultsList = document.getElementById('regressionResults');
+  resultsList.innerHTML = '';
+
+  const passed = results.filter(r => r.status === 'pass').length;
+  document.getElementById('regressionSummary').textContent =
+    `${passed}/${results.length} passed`;
+
+  const statusLabels = { pass: 'PASS', fail: 'FAIL', missing: 'NO BASELINE', error: 'ERROR' };
+
+  results.forEach(result => {
+    const row = document.createElement('div');
+    row.className = `panel-row regression-${result.status}`;
+
+    const info = document.createElement('div');
+    info.className = 'panel-row-info';
+
+    const name = document.createElement('div');
+    name.className = 'panel-row-title';
+    name.textContent = result.variant ? `${result.deviceName} (${result.variant})` : result.deviceName;
+
+    const detail = document.createElement('div');
+    detail.className = 'panel-row-detail';
+    if (result.status === 'missing') {
+      detail.textContent = 'No baseline saved for this URL and device';
+    } else if (result.status === 'error') {
+      detail.textContent = result.error;
+    } else {
+      detail.textContent = `${result.mismatchPercent.toFixed(3)}% mismatch` +
+        (result.sizeMismatch ? ' (dimensions differ)' : '');
+    }
+    detail.title = result.url;
+
+    info.appendChild(name);
+    info.appendChild(detail);
+
+    const badge = document.createElement('span');
+    badge.className = 'status-badge';
+    badge.textContent = statusLabels[result.status];
+
+    row.appendChild(info);
+    row.appendChild(badge);
+
+    if (result.diffPath) {
+      const diffBtn = document.createElement('button');
+      diffBtn.className = 'viewport-btn';
+      diffBtn.textContent = 'Diff';
+      diffBtn.title = 'Open diff image';
+      diffBtn.onclick = () => require('electron').shell.openPath(result.diffPath);
+      row.appendChild(diffBtn);
+    }
+
+    resultsList.appendChild(row);
+  });
+}
+
+function openRegressionPanel() {
+  document.getElementById('regressionThreshold').value = regressionSettings.threshold;
+  document.getElementById('regressionTolerance').value = regressionSettings.pixelTolerance;
+  document.getElementById('regressionAutoCompare').checked = regressionSettings.autoCompare;
+  document.getElementById('regressionPanel').classList.add('open');
+}
+
+function closeRegressionPanel() {
+  document.getElementById('regressionPanel').classList.remove('open');
+}
+
+function setupRegressionPanel() {
+  document.getElementById('regressionThreshold').addEventListener('change', (e) => {
+    const value = parseFloat(e.target.value);
+    if (isFinite(value) && value >= 0 && value <= 100) {
+      regressionSettings.threshold = value;
+      saveRegressionSettings();
+    } else {
+      e.target.value = regressionSettings.threshold;
+    }
+  });
+
+  document.getElementById('regressionTolerance').addEventListener('change', (e) => {
+    const value = parseInt(e.target.value, 10);
+    if (Number.isInteger(value) && value >= 0 && value <= 255) {
+      regressionSettings.pixelTolerance = value;
+      saveRegressionSettings();
+    } else {
+      e.target.value = regressionSettings.pixelTolerance;
+    }
+  });
+
+  document.getElementById('regressionAutoCompare').addEventListener('change', (e) => {
+    regressionSettings.autoCompare = e.target.checked;
+    saveRegressionSettings();
+  });
+}
+
+// URL batch: every URL from a pasted list, text file or sitemap on every device of the active preset
+let urlBatchRunning = false;
+
+function openUrlBatch() {
+  const input = document.getElementById('batchUrls');
+  if (!input.value) {
+    input.value = localStorage.getItem('batchUrls') || '';
+  }
+  document.getElementById('batchDeviceSummary').textContent =
+    `${webviews.length} devices from the current preset`;
+  document.getElementById('urlBatchPanel').classList.add('open');
+}
+
+function closeUrlBatch() {
+  document.getElementById('urlBatchPanel').classList.remove('open');
+}
+
+async function loadUrlListFile() {
+  const result = await ipcRenderer.invoke('open-url-list');
+  if (result.canceled) return;
+  if (!result.success) {
+    alert(`Failed to load URL list: ${result.error}`);
+    return;
+  }
+
+  document.getElementById('batchUrls').value = result.urls.join('\n');
+  if (result.invalid.length > 0) {
+    alert(`Loaded ${result.urls.length} URLs. Skipped ${result.invalid.length} invalid entries:\n${result.invalid.slice(0, 10).join('\n')}`);
+  }
+}
+
+async function startUrlBatch() {
+  if (urlBatchRunning) return;
+  if (webviews.length === 0) {
+    alert('No devices to capture! Load a preset first.');
+    return;
+  }
+
+  const text = document.getElementById('batchUrls').value;
+  let parsed;
+  try {
+    parsed = urlList.parseUrlList(text);
+  } catch (error) {
+    alert(error.message);
+    return;
+  }
+  if (parsed.urls.length === 0) {
+    alert('Add at least one http(s) URL, one per line.');
+    return;
+  }
+  if (parsed.invalid.length > 0 &&
+      !confirm(`Skip ${parsed.invalid.length} invalid entries?\n${parsed.invalid.slice(0, 10).join('\n')}`)) {
+    return;
+  }
+  localStorage.setItem('batchUrls', text);
+
+  const batchDevices = webviews.flatMap(webview => getCaptureVariants().map(variant => ({
+    name: webview.deviceName,
+    variant: variant.name || undefined,
+    media: getVariantMedia(webview.deviceName, variant),
+    locale: getVariantLocale(webview.deviceName, variant),
+    ...getDeviceMetrics(webview.deviceName),
+    userAgent: webview.getAttribute('useragent'),
+    clientHints: getClientHints(webview.deviceName),
+    touch: hasTouch(webview.deviceName),
+    network: getNetworkConditions(webview.deviceName)
+  })));
+  const retries = parseInt(document.getElementById('batchRetries').value, 10);
+
+  // One row per URL, updated as its devices finish
+  const rows = {};
+  const resultsList = document.getElementById('urlBatchResults');
+  resultsList.innerHTML = '';
+  parsed.urls.forEach(url => {
+    const row = document.createElement('div');
+    row.className = 'panel-row batch-queued';
+    row.innerHTML = '<div class="panel-row-info"><div class="panel-row-title"></div><div class="panel-row-detail"></div></div><span class="status-badge"></span>';
+    row.querySelector('.panel-row-title').textContent = url;
+    row.querySelector('.panel-row-title').title = url;
+    resultsList.appendChild(row);
+    rows[url] = { row, done: 0, failed: 0, errors: [] };
+    updateBatchRow(rows[url], batchDevices.length);
+  });
+
+  const total = parsed.urls.length * batchDevices.length;
+  let finished = 0;
+  const summary = document.getElementById('urlBatchSummary');
+  summary.textContent = `0/${total} captures`;
+
+  const handleProgress = (event, { url, deviceName, status, error, attempt }) => {
+    const entry = rows[url];
+    if (status === 'done') {
+      entry.done++;
+    } else if (status === 'failed') {
+      entry.failed++;
+      entry.errors.push(`${deviceName}: ${error}`);
+    } else if (status === 'retrying') {
+      entry.retrying = `Retrying ${deviceName} (attempt ${attempt + 1})`;
+    }
+    if (status === 'done' || status === 'failed') {
+      finished++;
+      summary.textContent = `${finished}/${total} captures`;
+    }
+    updateBatchRow(entry, batchDevices.length);
+  };
+
+  const startBtn = document.getElementById('batchStartBtn');
+  urlBatchRunning = true;
+  startBtn.disabled = true;
+  startBtn.textContent = 'Capturing...';
+  ipcRenderer.on('url-batch-progress', handleProgress);
+
+  try {
+    const result = await ipcRenderer.invoke('capture-url-batch', {
+      urls: parsed.urls,
+      devices: batchDevices,
+      outputSettings,
+      fullPage: captureOptions.fullPage,
+      concurrency: captureOptions.concurrency,
+      retries
+    });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    summary.textContent = `${result.captured}/${result.total} captured, ${result.failed.length} failed`;
+    const failures = result.failed.slice(0, 10).map(f => `${f.url} (${f.deviceName}): ${f.error}`);
+    if (result.reportPath) {
+      lastReportPath = result.reportPath;
+    }
+    showRunComplete(`Batch capture complete! Saved ${result.captured}/${result.total} screenshots to:\n${result.dir}` +
+      (failures.length > 0 ? `\n\nFailed:\n${failures.join('\n')}` : ''), result.reportPath);
+
+    await finishCaptureSet(result.results.filter(r => r.success).map(r => ({
+      url: r.url,
+      deviceName: r.deviceName,
+      variant: r.variant,
+      filepath: r.filepath,
+      orientation: getDeviceMetrics(r.deviceName).orientation,
+      fullPage: captureOptions.fullPage
+    })));
+  } catch (error) {
+    console.error('URL batch capture failed:', error);
+    alert(`Batch capture failed: ${error.message}\n\nCheck DevTools console for details.`);
+  } finally {
+    ipcRenderer.removeListener('url-batch-progress', handleProgress);
+    urlBatchRunning = false;
+    startBtn.disabled = false;
+    startBtn.textContent = 'Start Batch';
+  }
+}
+
+function updateBatchRow(entry, deviceCount) {
+  const finished = entry.done + entry.failed;
+  let status = 'queued';
+  if (finished === deviceCount) {
+    status = entry.failed > 0 ? 'failed' : 'done';
+  } else if (finished > 0 || entry.retrying) {
+    status = 'running';
+  }
+
+  entry.row.className = `panel-row batch-${status}`;
+  const detail = entry.row.querySelector('.panel-row-detail');
+  detail.textContent = `${entry.done}/${deviceCount} captured` +
+    (entry.failed > 0 ? `, ${entry.failed} failed` : '') +
+    (entry.retrying && finished < deviceCount ? ` - ${entry.retrying}` : '');
+  detail.title = entry.errors.join('\n');
+  entry.row.querySelector('.status-badge').textContent = CAPTURE_STATUS_LABELS[status];
+}
+
+// Store composer: frames the last store preset capture with a background and marketing text
+let composerSettings = {
+  template: 'gradient',
+  headline: '',
+  subtitle: '',
+  ...JSON.parse(localStorage.getItem('composerSettings') || '{}')
+};
+
+function saveComposerSettings() {
+  localStorage.setItem('composerSettings', JSON.stringify(composerSettings));
+}
+
+function openStoreComposer() {
+  const template = storeComposer.COMPOSER_TEMPLATES[composerSettings.template] || storeComposer.COMPOSER_TEMPLATES.gradient;
+  document.getElementById('composerTemplate').value = composerSettings.template;
+  document.getElementById('composerHeadline').value = composerSettings.headline;
+  document.getElementById('composerSubtitle').value = composerSettings.subtitle;
+  document.getElementById('composerBackgroundStart').value = (composerSettings.background || template.background)[0];
+  document.getElementById('composerBackgroundEnd').value = (composerSettings.background || template.background)[1];
+  document.getElementById('composerTextColor').value = composerSettings.textColor || template.textColor;
+
+  const storeCaptures = lastCaptureSet.filter(capture => storeComposer.getStoreTarget(capture.deviceName));
+  document.getElementById('composerSummary').textContent = lastCaptureSet.length === 0
+    ? ''
+    : `${storeCaptures.length}/${lastCaptureSet.length} captures from the last run are store devices`;
+  document.getElementById('storeComposerPanel').classList.add('open');
+}
+
+function closeStoreComposer() {
+  document.getElementById('storeComposerPanel').classList.remove('open');
+}
+
+async function composeStoreImages() {
+  const storeCaptures = lastCaptureSet.filter(capture => storeComposer.getStoreTarget(capture.deviceName));
+  if (storeCaptures.length === 0) {
+    alert('No store captures yet! Load an App Store or Play Store preset and capture it first.');
+    return;
+  }
+
+  const resultsList = document.getElementById('composerResults');
+  resultsList.innerHTML = '<div class="panel-empty">Composing...</div>';
+
+  try {
+    const results = await ipcRenderer.invoke('compose-store-images', {
+      captures: storeCaptures.map(capture => {
+        const metrics = getDeviceMetrics(capture.deviceName);
+        return { ...capture, width: metrics.width, height: metrics.height };
+      }),
+      template: {
+        ...storeComposer.COMPOSER_TEMPLATES[composerSettings.template],
+        ...(composerSettings.background ? { background: composerSettings.background } : {}),
+        ...(composerSettings.textColor ? { textColor: composerSettings.textColor } : {})
+      },
+      headline: composerSettings.headline.trim(),
+      subtitle: composerSettings.subtitle.trim()
+    });
+    renderComposerResults(results);
+  } catch (error) {
+    console.error('Store image composition failed:', error);
+    resultsList.innerHTML = '';
+    alert(`Failed to compose store images: ${error.message}`);
+  }
+}
+
+function renderComposerResults(results) {
+  const resultsList = document.getElementById('composerResults');
+  resultsList.innerHTML = '';
+
+  const composed = results.filter(r => r.status === 'ok').length;
+  document.getElementById('composerSummary').textContent = `${composed}/${results.length} store images composed`;
+
+  results.forEach(result => {
+    const row = document.createElement('div');
+    row.className = `panel-row composer-${result.status}`;
+
+    const info = document.createElement('div');
+    info.className = 'panel-row-info';
+
+    const name = document.createElement('div');
+    name.className = 'panel-row-title';
+    name.textContent = result.deviceName;
+
+    const detail = document.createElement('div');
+    detail.className = 'panel-row-detail';
+    if (result.status === 'ok') {
+      detail.textContent = `${result.target.store} ${result.target.label}: ${result.target.width}x${result.target.height}`;
+      detail.title = result.filepath;
+    } else {
+      detail.textContent = result.error || 'Not a store device';
+    }
+
+    info.appendChild(name);
+    info.appendChild(detail);
+    row.appendChild(info);
+
+    if (result.filepath) {
+      const openBtn = document.createElement('button');
+      openBtn.className = 'viewport-btn';
+      openBtn.textContent = 'Open';
+      openBtn.title = 'Open store image';
+      openBtn.onclick = () => require('electron').shell.openPath(result.filepath);
+      row.appendChild(openBtn);
+    }
+
+    resultsList.appendChild(row);
+  });
+}
+
+function setupStoreComposer() {
+  const templateSelect = document.getElementById('composerTemplate');
+  Object.entries(storeComposer.COMPOSER_TEMPLATES).forEach(([name, template]) => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = template.label;
+    templateSelect.appendChild(option);
+  });
+
+  // Picking a template resets the colors to the template's own
+  templateSelect.addEventListener('change', (e) => {
+    composerSettings.template = e.target.value;
+    delete composerSettings.background;
+    delete composerSettings.textColor;
+    saveComposerSettings();
+    openStoreComposer();
+  });
+
+  ['composerHeadline', 'composerSubtitle'].forEach(id => {
+    document.getElementById(id).addEventListener('change', (e) => {
+      composerSettings[id === 'composerHeadline' ? 'headline' : 'subtitle'] = e.target.value;
+      saveComposerSettings();
+    });
+  });
+
+  ['composerBackgroundStart', 'composerBackgroundEnd'].forEach(id => {
+    document.getElementById(id).addEventListener('change', () => {
+      composerSettings.background = [
+        document.getElementById('composerBackgroundStart').value,
+        document.getElementById('composerBackgroundEnd').value
+      ];
+      saveComposerSettings();
+    });
+  });
+
+  document.getElementById('composerTextColor').addEventListener('change', (e) => {
+    composerSettings.textColor = e.target.value;
+    saveComposerSettings();
+  });
+}
+
+// Store validation: pass/fail per file against the App Store / Play Store size tables
+async function validateStoreCaptures() {
+  const storeCaptures = lastCaptureSet.filter(capture => storeComposer.getStoreTarget(capture.deviceName));
+  if (storeCaptures.length === 0) {
+    alert('No store captures yet! Load an App Store or Play Store preset and capture it first.');
+    return;
+  }
+
+  document.getElementById('storeValidationPanel').classList.add('open');
+  const resultsList = document.getElementById('storeValidationResults');
+  resultsList.innerHTML = '<div class="panel-empty">Validating...</div>';
+
+  try {
+    const result = await ipcRenderer.invoke('validate-store-screenshots', { captures: storeCaptures });
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    renderStoreValidation(result.reports);
+  } catch (error) {
+    console.error('Store validation failed:', error);
+    resultsList.innerHTML = '';
+    alert(`Failed to validate store screenshots: ${error.message}`);
+  }
+}
+
+function renderStoreValidation(reports) {
+  const resultsList = document.getElementById('storeValidationResults');
+  resultsList.innerHTML = '';
+
+  const passed = reports.filter(r => r.status === 'pass').length;
+  document.getElementById('storeValidationSummary').textContent = `${passed}/${reports.length} passed`;
+
+  reports.forEach(report => {
+    const row = document.createElement('div');
+    row.className = `panel-row validation-row validation-${report.status}`;
+
+    const header = document.createElement('div');
+    header.className = 'validation-row-header';
+
+    const info = document.createElement('div');
+    info.className = 'panel-row-info';
+
+    const name = document.createElement('div');
+    name.className = 'panel-row-title';
+    name.textContent = report.deviceName;
+
+    const detail = document.createElement('div');
+    detail.className = 'panel-row-detail';
+    detail.textContent = report.width
+      ? `${report.store} ${report.slot}: ${report.width}x${report.height}`
+      : report.filename;
+    detail.title = report.file;
+
+    info.appendChild(name);
+    info.appendChild(detail);
+
+    const badge = document.createElement('span');
+    badge.className = 'status-badge';
+    badge.textContent = report.status.toUpperCase();
+
+    header.appendChild(info);
+    header.appendChild(badge);
+    row.appendChild(header);
+
+    [
+      ...report.errors.map(text => ({ text, type: 'error' })),
+      ...report.warnings.map(text => ({ text, type: 'warning' })),
+      ...report.suggestions.map(text => ({ text, type: 'suggestion' }))
+    ].forEach(({ text, type }) => {
+      const line = document.createElement('div');
+      line.className = `validation-${type}`;
+      line.textContent = text;
+      row.appendChild(line);
+    });
+
+    resultsList.appendChild(row);
+  });
+}
+
+function closeStoreValidation() {
+  document.getElementById('storeValidationPanel').classList.remove('open');
+}
+
+// Step editor: edits deviceSpecificActions in place, so replay and export see the changes
+let stepEditorDevice = null;
+let selectedStepIndex = -1;
+
+const STEP_FIELDS = {
+  click: [{ key: 'selector', label: 'Selector' }, { key: 'text', label: 'Text' }],
+  input: [{ key: 'selector', label: 'Selector' }, { key: 'value', label: 'Value' }],
+  scroll: [{ key: 'x', label: 'X', type: 'number' }, { key: 'y', label: 'Y', type: 'number' }],
+  key: [{ key: 'key', label: 'Key (e.g. Shift+Tab)' }],
+  focus: [{ key: 'selector', label: 'Selector' }],
+  wait: [
+    { key: 'selector', label: 'Until visible (selector)' },
+    { key: 'predicate', label: 'Until true (JS expression)' },
+    { key: 'timeout', label: 'Timeout (ms)', type: 'number' },
+    { key: 'duration', label: 'Otherwise sleep (ms)', type: 'number' }
+  ],
+  screenshot: [{ key: 'name', label: 'Name' }]
+};
+
+function getStepEditorDevices() {
+  const names = webviews.map(webview => webview.deviceName);
+  Object.keys(deviceSpecificActions).forEach(name => {
+    if (!names.includes(name)) names.push(name);
+  });
+  return names;
+}
+
+function openStepEditor(deviceName) {
+  const names = getStepEditorDevices();
+  if (names.length === 0) {
+    alert('No devices to edit steps for.');
+    return;
+  }
+
+  if (deviceName && names.includes(deviceName)) {
+    stepEditorDevice = deviceName;
+  } else if (!names.includes(stepEditorDevice)) {
+    stepEditorDevice = names.find(name => (deviceSpecificActions[name] || []).length > 0) || names[0];
+  }
+  selectedStepIndex = -1;
+  renderWaitOptions();
+
+  const select = document.getElementById('stepEditorDevice');
+  select.innerHTML = '';
+  names.forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = `${name} (${(deviceSpecificActions[name] || []).length})`;
+    select.appendChild(option);
+  });
+  select.value = stepEditorDevice;
+
+  renderStepEditor();
+  document.getElementById('stepEditorPanel').classList.add('open');
+}
+
+function closeStepEditor() {
+  document.getElementById('stepEditorPanel').classList.remove('open');
+}
+
+function getEditorSteps() {
+  if (!deviceSpecificActions[stepEditorDevice]) {
+    deviceSpecificActions[stepEditorDevice] = [];
+  }
+  return deviceSpecificActions[stepEditorDevice];
+}
+
+// Recorded input steps may only carry the element id
+function getStepFieldValue(step, key) {
+  if (key === 'selector' && !step.selector && step.id) {
+    return `#${step.id}`;
+  }
+  return step[key] !== undefined && step[key] !== null ? step[key] : '';
+}
+
+function renderStepEditor() {
+  const steps = getEditorSteps();
+  const list = document.getElementById('stepEditorList');
+  list.innerHTML = '';
+
+  const total = Object.values(deviceSpecificActions).reduce((sum, actions) => sum + actions.length, 0);
+  document.getElementById('stepEditorSummary').textContent =
+    `${steps.length} steps for this device, ${total} across ${Object.keys(deviceSpecificActions).length} devices`;
+
+  // Keep the device dropdown counts current
+  const option = document.querySelector(`#stepEditorDevice option[value="${CSS.escape(stepEditorDevice)}"]`);
+  if (option) option.textContent = `${stepEditorDevice} (${steps.length})`;
+
+  if (steps.length === 0) {
+    list.innerHTML = '<div class="panel-empty">No steps recorded for this device. Add a wait or screenshot marker, or record again.</div>';
+    return;
+  }
+
+  steps.forEach((step, index) => {
+    const row = document.createElement('div');
+    row.className = `panel-row step-row step-${step.type}`;
+    row.classList.toggle('selected', index === selectedStepIndex);
+    row.onclick = () => {
+      selectedStepIndex = index;
+      document.querySelectorAll('#stepEditorList .step-row').forEach((el, i) => {
+        el.classList.toggle('selected', i === index);
+      });
+    };
+
+    const header = document.createElement('div');
+    header.className = 'step-row-header';
+    header.innerHTML = `
+      <span class="step-index">${index + 1}</span>
+      <span class="status-badge">${step.type.toUpperCase()}</span>
+    `;
+
+    const actions = document.createElement('div');
+    actions.className = 'device-item-actions';
+    [
+      { label: '↑', title: 'Move up', disabled: index === 0, handler: () => moveStep(index, -1) },
+      { label: '↓', title: 'Move down', disabled: index === steps.length - 1, handler: () => moveStep(index, 1) },
+      { label: '✕', title: 'Delete step', handler: () => deleteStep(index) }
+    ].forEach(({ label, title, disabled, handler }) => {
+      const btn = document.createElement('button');
+      btn.className = 'device-item-action';
+      btn.textContent = label;
+      btn.title = title;
+      btn.disabled = !!disabled;
+      btn.onclick = (e) => {
+        e.stopPropagation();
+        handler();
+      };
+      actions.appendChild(btn);
+    });
+    header.appendChild(actions);
+    row.appendChild(header);
+
+    (STEP_FIELDS[step.type] || []).forEach(field => {
+      const label = document.createElement('label');
+      label.className = 'step-field';
+      label.textContent = field.label;
+
+      const input = document.createElement('input');
+      input.className = 'sidebar-input';
+      input.type = field.type || 'text';
+      input.value = getStepFieldValue(step, field.key);
+      input.addEventListener('change', () => updateStepField(index, field, input));
+
+      label.appendChild(input);
+      row.appendChild(label);
+    });
+
+    list.appendChild(row);
+  });
+}
+
+function updateStepField(index, field, input) {
+  const step = getEditorSteps()[index];
+  if (field.type === 'number') {
+    const value = parseFloat(input.value);
+    if (input.value === '' && field.key === 'timeout') {
+      delete step.timeout;
+      return;
+    }
+    if (!isFinite(value) || ((field.key === 'duration' || field.key === 'timeout') && value < 0)) {
+      input.value = getStepFieldValue(step, field.key);
+      return;
+    }
+    step[field.key] = value;
+  } else {
+    step[field.key] = input.value;
+    // A hand-edited selector replaces the recorded candidates, or replay would keep using those
+    if (field.key === 'selector') delete step.locators;
+  }
+}
+
+function moveStep(index, delta) {
+  const steps = getEditorSteps();
+  const target = index + delta;
+  if (target < 0 || target >= steps.length) return;
+
+  [steps[index], steps[target]] = [steps[target], steps[index]];
+  selectedStepIndex = target;
+  renderStepEditor();
+}
+
+function deleteStep(index) {
+  getEditorSteps().splice(index, 1);
+  selectedStepIndex = -1;
+  renderStepEditor();
+}
+
+// Insert a wait or screenshot marker after the selected step (or at the end)
+function insertStep(type) {
+  const steps = getEditorSteps();
+  const step = type === 'wait'
+    ? { type: 'wait', duration: 1000 }
+    : { type: 'screenshot', name: `step-${steps.filter(s => s.type === 'screenshot').length + 1}` };
+  step.deviceName = stepEditorDevice;
+  step.timestamp = Date.now();
+
+  const position = selectedStepIndex >= 0 ? selectedStepIndex + 1 : steps.length;
+  steps.splice(position, 0, step);
+  selectedStepIndex = position;
+  renderStepEditor();
+}
+
+// Per-recording replay waits (timeouts, readiness checks, custom conditions)
+const WAIT_OPTION_INPUTS = {
+  waitTimeout: { key: 'timeout', type: 'number' },
+  waitStepTimeout: { key: 'stepTimeout', type: 'number' },
+  waitDomQuiet: { key: 'domQuietMs', type: 'number' },
+  waitReadySelector: { key: 'readySelector' },
+  waitReadyPredicate: { key: 'readyPredicate' }
+};
+
+function renderWaitOptions() {
+  Object.entries(WAIT_OPTION_INPUTS).forEach(([id, { key }]) => {
+    document.getElementById(id).value = replayWaitOptions[key];
+  });
+  document.querySelectorAll('#waitReadinessChecks input').forEach(checkbox => {
+    checkbox.checked = replayWaitOptions.readiness.includes(checkbox.value);
+  });
+}
+
+function setupStepEditor() {
+  document.getElementById('stepEditorDevice').addEventListener('change', (e) => {
+    stepEditorDevice = e.target.value;
+    selectedStepIndex = -1;
+    renderStepEditor();
+  });
+
+  Object.entries(WAIT_OPTION_INPUTS).forEach(([id, { key, type }]) => {
+    document.getElementById(id).addEventListener('change', (e) => {
+      if (type === 'number') {
+        const value = parseInt(e.target.value, 10);
+        if (Number.isInteger(value) && value >= 0) {
+          replayWaitOptions[key] = value;
+        } else {
+          e.target.value = replayWaitOptions[key];
+        }
+      } else {
+        replayWaitOptions[key] = e.target.value.trim();
+      }
+    });
+  });
+
+  const checksContainer = document.getElementById('waitReadinessChecks');
+  Object.entries(readiness.READINESS_CHECKS).forEach(([name, check]) => {
+    const label = document.createElement('label');
+    label.className = 'panel-checkbox';
+    label.innerHTML = `<input type="checkbox" value="${name}"> ${check.label}`;
+    label.querySelector('input').addEventListener('change', (e) => {
+      const checks = replayWaitOptions.readiness.filter(check => check !== name);
+      if (e.target.checked) checks.push(name);
+      replayWaitOptions.readiness = checks;
+    });
+    checksContainer.appendChild(label);
+  });
+}
+
+// Auto-close manual mode when app closes
+window.addEventListener('beforeunload', closeManualMode);
+
+// Sidebar and dropdown functions
+function toggleSidebar() {
+  const sidebar = document.getElementById('sidebar');
+  const overlay = document.getElementById('sidebarOverlay');
+  
+  sidebar.classList.toggle('open');
+  overlay.classList.toggle('active');
+}
+
+function togglePresetDropdown() {
+  const toggle = document.querySelector('.preset-dropdown-toggle');
+  const menu = document.getElementById('presetDropdownMenu');
+  
+  toggle.classList.toggle('open');
+  menu.classList.toggle('open');
+}
+
+function selectPreset(presetName) {
+  currentPreset = presetName;
+  document.getElementById('currentPresetName').textContent = getPresetDisplayName(presetName);
+  
+  // Update active item in dropdown
+  document.querySelectorAll('.preset-dropdown-item').forEach(item => {
+    item.classList.toggle('active', item.dataset.preset === presetName);
+  });
+  
+  // Close dropdown
+  document.querySelector('.preset-dropdown-toggle').classList.remove('open');
+  document.getElementById('presetDropdownMenu').classList.remove('open');
+  
+  // Show/hide custom preset controls
+  const customControls = document.getElementById('customPresetControls');
+  if (presetName === 'custom') {
+    customControls.classList.remove('hidden');
+    toggleSidebar(); // Open sidebar for custom preset selection
+  } else {
+    customControls.classList.add('hidden');
+    loadPresetInternal(presetName);
+  }
+}
+
+function getPresetDisplayName(presetName) {
+  const names = {
+    'responsive': 'Responsive',
+    'mobile': 'Mobile', 
+    'tablet': 'Tablet',
+    'desktop': 'Desktop',
+    'app-store': 'App Store',
+    'app-store-hd': 'App Store HD',
+    'play-store': 'Play Store', 
+    'play-store-hd': 'Play Store HD',
+    'custom': 'Custom'
+  };
+  return names[presetName] || presetName;
+}
+
+function populateDeviceList() {
+  const deviceList = document.getElementById('deviceList');
+  deviceList.innerHTML = '';
+  
+  // Group devices by category (user-defined categories are appended)
+  const categories = {};
+  deviceLibrary.DEVICE_CATEGORIES.forEach(category => {
+    categories[category] = [];
+  });
+
+  Object.keys(devices).forEach(deviceName => {
+    const device = devices[deviceName];
+    const category = device.category || deviceLibrary.inferDeviceCategory(deviceName);
+
+    if (!categories[category]) {
+      categories[category] = [];
+    }
+    categories[category].push({ name: deviceName, ...device });
   });
   
   // Create HTML for each category
@@ -1888,8 +3447,32 @@ function populateDeviceList() {
       const selectedIcon = document.createElement('div');
       selectedIcon.className = 'device-selected-icon';
       selectedIcon.textContent = '✓';
-      
+
+      // Edit / duplicate / delete actions
+      const actions = document.createElement('div');
+      actions.className = 'device-item-actions';
+      [
+        { label: '✎', title: 'Edit device', handler: () => openDeviceEditor('edit', device.name) },
+        { label: '⧉', title: 'Duplicate device', handler: () => openDeviceEditor('duplicate', device.name) },
+        { label: '🗑', title: 'Delete device', handler: () => deleteDevice(device.name) }
+      ].forEach(({ label, title, handler }) => {
+        const actionBtn = document.createElement('button');
+        actionBtn.className = 'device-item-action';
+        actionBtn.textContent = label;
+        actionBtn.title = title;
+        actionBtn.onclick = (e) => {
+          e.stopPropagation();
+          handler();
+        };
+        actions.appendChild(actionBtn);
+      });
+
+      if (customDeviceSelection.includes(device.name)) {
+        deviceItem.classList.add('selected');
+      }
+
       deviceItem.appendChild(deviceInfo);
+      deviceItem.appendChild(actions);
       deviceItem.appendChild(selectedIcon);
       categoryDiv.appendChild(deviceItem);
     });
@@ -1959,11 +3542,294 @@ function applyCustomPreset() {
   
   // Load the custom preset
   loadPresetInternal('custom');
-  
+
   // Close sidebar
   toggleSidebar();
 }
 
+// Device library (user devices and presets persisted in userData)
+let deviceEditorState = null; // { mode, originalName }
+
+function applyDeviceLibrary() {
+  const merged = deviceLibrary.mergeLibraries(bundledLibrary, userLibrary);
+  devices = merged.devices;
+  presets = { ...merged.presets, ...(presets.custom ? { custom: presets.custom } : {}) };
+  networkDefaults = merged.networkDefaults;
+}
+
+// Edits go to a copy that only replaces userLibrary once it's on disk, so a failed save
+// doesn't leave the sidebar showing changes that are lost on restart
+function copyUserLibrary() {
+  return structuredClone(userLibrary);
+}
+
+async function saveDeviceLibrary(library) {
+  const result = await ipcRenderer.invoke('save-device-library', library);
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to save device library');
+  }
+  userLibrary = library;
+  applyDeviceLibrary();
+}
+
+function openDeviceEditor(mode, deviceName) {
+  const device = deviceName ? devices[deviceName] : null;
+  deviceEditorState = { mode, originalName: mode === 'edit' ? deviceName : null, sourceName: deviceName || null };
+
+  const titles = { add: 'Add Device', edit: 'Edit Device', duplicate: 'Duplicate Device' };
+  document.getElementById('deviceEditorTitle').textContent = titles[mode];
+
+  let name = '';
+  if (mode === 'edit') {
+    name = deviceName;
+  } else if (mode === 'duplicate') {
+    name = `${deviceName} Copy`;
+    let suffix = 2;
+    while (devices[name]) {
+      name = `${deviceName} Copy ${suffix++}`;
+    }
+  }
+
+  document.getElementById('editorDeviceName').value = name;
+  document.getElementById('editorDeviceWidth').value = device ? device.width : 390;
+  document.getElementById('editorDeviceHeight').value = device ? device.height : 844;
+  document.getElementById('editorDeviceScale').value = device ? (device.deviceScaleFactor || 1) : 1;
+  document.getElementById('editorDeviceUserAgent').value = device?.userAgent || '';
+  document.getElementById('editorDevicePlatform').value = device?.platform || '';
+  document.getElementById('editorDeviceModel').value = device?.clientHints?.model || '';
+  document.getElementById('editorDeviceTouch').value = typeof device?.touch === 'boolean'
+    ? (device.touch ? 'touch' : 'mouse')
+    : '';
+  document.getElementById('editorDeviceCategory').value = device
+    ? (device.category || deviceLibrary.inferDeviceCategory(deviceName))
+    : 'Mobile Phones';
+
+  // Offer existing categories as suggestions
+  const categoryOptions = document.getElementById('deviceCategoryOptions');
+  categoryOptions.innerHTML = '';
+  const knownCategories = new Set(deviceLibrary.DEVICE_CATEGORIES);
+  Object.values(devices).forEach(d => d.category && knownCategories.add(d.category));
+  knownCategories.forEach(category => {
+    const option = document.createElement('option');
+    option.value = category;
+    categoryOptions.appendChild(option);
+  });
+
+  document.getElementById('deviceEditorError').textContent = '';
+  document.getElementById('deviceEditor').classList.remove('hidden');
+  document.getElementById('editorDeviceName').focus();
+}
+
+function closeDeviceEditor() {
+  deviceEditorState = null;
+  document.getElementById('deviceEditor').classList.add('hidden');
+}
+
+async function saveDeviceFromEditor() {
+  if (!deviceEditorState) return;
+
+  const { originalName, sourceName } = deviceEditorState;
+  const name = document.getElementById('editorDeviceName').value.trim();
+  const userAgent = document.getElementById('editorDeviceUserAgent').value.trim();
+  const category = document.getElementById('editorDeviceCategory').value.trim();
+  const device = {
+    width: Number(document.getElementById('editorDeviceWidth').value),
+    height: Number(document.getElementById('editorDeviceHeight').value),
+    deviceScaleFactor: Number(document.getElementById('editorDeviceScale').value)
+  };
+  const platform = document.getElementById('editorDevicePlatform').value;
+  const model = document.getElementById('editorDeviceModel').value.trim();
+  if (userAgent) device.userAgent = userAgent;
+  if (category) device.category = category;
+  if (platform) device.platform = platform;
+  const input = document.getElementById('editorDeviceTouch').value;
+  if (input) device.touch = input === 'touch';
+
+  // Keep client hints the editor doesn't show (platformVersion, mobile, ...)
+  const previous = sourceName ? devices[sourceName] : null;
+  const clientHints = { ...(previous && previous.clientHints) };
+  if (model) {
+    clientHints.model = model;
+  } else {
+    delete clientHints.model;
+  }
+  if (Object.keys(clientHints).length > 0) device.clientHints = clientHints;
+
+  const errors = deviceLibrary.validateDevice(name, device, {
+    existingNames: Object.keys(devices),
+    originalName
+  });
+  if (errors.length > 0) {
+    document.getElementById('deviceEditorError').textContent = errors.join(' ');
+    return;
+  }
+
+  // Renaming removes the old entry and points user presets at the new name
+  const renamed = originalName && originalName !== name;
+  const library = copyUserLibrary();
+  if (renamed) {
+    removeDeviceFromLibrary(library, originalName);
+    Object.keys(library.presets).forEach(presetName => {
+      library.presets[presetName] = library.presets[presetName]
+        .map(deviceName => deviceName === originalName ? name : deviceName);
+    });
+  }
+
+  library.devices[name] = device;
+  library.removedDevices = library.removedDevices.filter(deviceName => deviceName !== name);
+
+  try {
+    await saveDeviceLibrary(library);
+  } catch (error) {
+    console.error('Failed to save device:', error);
+    document.getElementById('deviceEditorError').textContent = error.message;
+    return;
+  }
+
+  if (renamed) {
+    customDeviceSelection = customDeviceSelection
+      .map(deviceName => deviceName === originalName ? name : deviceName);
+  }
+
+  closeDeviceEditor();
+  refreshAfterLibraryChange([name, originalName]);
+}
+
+function removeDeviceFromLibrary(library, deviceName) {
+  delete library.devices[deviceName];
+  if (bundledLibrary.devices[deviceName] && !library.removedDevices.includes(deviceName)) {
+    library.removedDevices.push(deviceName);
+  }
+}
+
+async function deleteDevice(deviceName) {
+  if (!confirm(`Delete "${deviceName}" from the device library?`)) return;
+
+  const library = copyUserLibrary();
+  removeDeviceFromLibrary(library, deviceName);
+  Object.keys(library.presets).forEach(presetName => {
+    library.presets[presetName] = library.presets[presetName]
+      .filter(name => name !== deviceName);
+  });
+
+  try {
+    await saveDeviceLibrary(library);
+  } catch (error) {
+    console.error('Failed to delete device:', error);
+    alert(`Failed to delete device: ${error.message}`);
+    return;
+  }
+
+  customDeviceSelection = customDeviceSelection.filter(name => name !== deviceName);
+
+  refreshAfterLibraryChange([deviceName]);
+}
+
+// Re-render the sidebar and reload the active preset if it shows a changed device
+function refreshAfterLibraryChange(changedDevices) {
+  populateDeviceList();
+  populateUserPresets();
+  updateSelectedDevicesList();
+
+  const activeDevices = webviews.map(webview => webview.deviceName);
+  if (changedDevices.some(name => name && activeDevices.includes(name))) {
+    loadPresetInternal(presets[currentPreset] ? currentPreset : 'responsive');
+  }
+}
+
+async function saveCustomPreset() {
+  const nameInput = document.getElementById('customPresetName');
+  const name = nameInput.value.trim();
+
+  const errors = deviceLibrary.validatePreset(name, customDeviceSelection, {
+    existingNames: Object.keys(bundledLibrary.presets),
+    knownDevices: Object.keys(devices)
+  });
+  if (errors.length > 0) {
+    alert(errors.join('\n'));
+    return;
+  }
+
+  if (userLibrary.presets[name] && !confirm(`Overwrite the saved preset "${name}"?`)) {
+    return;
+  }
+
+  const library = copyUserLibrary();
+  library.presets[name] = [...customDeviceSelection];
+
+  try {
+    await saveDeviceLibrary(library);
+  } catch (error) {
+    console.error('Failed to save preset:', error);
+    alert(`Failed to save preset: ${error.message}`);
+    return;
+  }
+
+  nameInput.value = '';
+  populateUserPresets();
+  selectPreset(name);
+  toggleSidebar();
+}
+
+async function deleteUserPreset(presetName) {
+  if (!confirm(`Delete the saved preset "${presetName}"?`)) return;
+
+  const library = copyUserLibrary();
+  delete library.presets[presetName];
+  delete library.networkDefaults[presetName];
+
+  try {
+    await saveDeviceLibrary(library);
+  } catch (error) {
+    console.error('Failed to delete preset:', error);
+    alert(`Failed to delete preset: ${error.message}`);
+    return;
+  }
+
+  populateUserPresets();
+  if (currentPreset === presetName) {
+    selectPreset('responsive');
+  }
+}
+
+function populateUserPresets() {
+  const container = document.getElementById('userPresetItems');
+  container.innerHTML = '';
+
+  Object.keys(userLibrary.presets).forEach(presetName => {
+    const item = document.createElement('div');
+    item.className = 'preset-dropdown-item';
+    item.dataset.preset = presetName;
+    item.onclick = () => selectPreset(presetName);
+    if (presetName === currentPreset) {
+      item.classList.add('active');
+    }
+
+    const icon = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    icon.setAttribute('class', 'icon');
+    const use = document.createElementNS('http://www.w3.org/2000/svg', 'use');
+    use.setAttribute('href', '#icon-settings');
+    icon.appendChild(use);
+
+    const label = document.createElement('span');
+    label.textContent = presetName;
+
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'preset-dropdown-remove';
+    removeBtn.textContent = '×';
+    removeBtn.title = 'Delete saved preset';
+    removeBtn.onclick = (e) => {
+      e.stopPropagation();
+      deleteUserPreset(presetName);
+    };
+
+    item.appendChild(icon);
+    item.appendChild(label);
+    item.appendChild(removeBtn);
+    container.appendChild(item);
+  });
+}
+
 // Close dropdowns when clicking outside
 document.addEventListener('click', (e) => {
   // Close preset dropdown
@@ -1974,8 +3840,8 @@ document.addEventListener('click', (e) => {
     if (menu) menu.classList.remove('open');
   }
   
-  // Close advanced capture dropdown
-  if (!e.target.closest('.advanced-capture-dropdown')) {
+  // Close advanced capture dropdown (also after picking one of its items)
+  if (!e.target.closest('.advanced-capture-dropdown') || e.target.closest('.advanced-capture-item')) {
     const advancedToggle = document.querySelector('.advanced-capture-toggle');
     const advancedMenu = document.getElementById('advancedCaptureMenu');
     if (advancedToggle) advancedToggle.classList.remove('open');
@@ -1990,6 +3856,32 @@ window.toggleSidebar = toggleSidebar;
 window.togglePresetDropdown = togglePresetDropdown;
 window.selectPreset = selectPreset;
 window.applyCustomPreset = applyCustomPreset;
+window.saveCustomPreset = saveCustomPreset;
+window.openDeviceEditor = openDeviceEditor;
+window.closeDeviceEditor = closeDeviceEditor;
+window.saveDeviceFromEditor = saveDeviceFromEditor;
+window.rotateAll = rotateAll;
+window.saveLastCaptureAsBaseline = saveLastCaptureAsBaseline;
+window.compareLastCapture = compareLastCapture;
+window.openOutputSettings = openOutputSettings;
+window.closeOutputSettings = closeOutputSettings;
+window.chooseOutputDir = chooseOutputDir;
+window.resetOutputSettings = resetOutputSettings;
+window.openRegressionPanel = openRegressionPanel;
+window.closeRegressionPanel = closeRegressionPanel;
+window.openReport = openReport;
+window.openUrlBatch = openUrlBatch;
+window.closeUrlBatch = closeUrlBatch;
+window.loadUrlListFile = loadUrlListFile;
+window.startUrlBatch = startUrlBatch;
+window.openStoreComposer = openStoreComposer;
+window.closeStoreComposer = closeStoreComposer;
+window.composeStoreImages = composeStoreImages;
+window.validateStoreCaptures = validateStoreCaptures;
+window.closeStoreValidation = closeStoreValidation;
+window.openStepEditor = openStepEditor;
+window.closeStepEditor = closeStepEditor;
+window.insertStep = insertStep;
 window.toggleAdvancedCapture = toggleAdvancedCapture;
 window.cancelMode = cancelMode;
 
@@ -0,0 +1,164 @@
+// report.js - Self-contained HTML gallery (URL x device grid) written next to each capture run
+const fs = require("fs");
+const path = require("path");
+
+const THUMBNAIL_WIDTH = 320;
+
+function escapeHtml(value) {
+  return String(value === undefined || value === null ? "" : value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Small JPEG data URL so the gallery works without the full-size PNGs next to it;
+// full-page captures are cropped to the top so rows stay a sensible height
+async function createThumbnail(filepath) {
+  const { createCanvas, loadImage } = require("canvas");
+  const image = await loadImage(filepath);
+  const scale = THUMBNAIL_WIDTH / image.width;
+  const sourceHeight = Math.min(image.height, image.width * 2.2);
+  const canvas = createCanvas(THUMBNAIL_WIDTH, Math.round(sourceHeight * scale));
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(image, 0, 0, image.width, sourceHeight, 0, 0, canvas.width, canvas.height);
+  return canvas.toDataURL("image/jpeg", 0.75);
+}
+
+// Relative link from the report to a capture, so the folder can be moved or zipped
+function relativeHref(reportDir, filepath) {
+  return path.relative(reportDir, filepath).split(path.sep).map(encodeURIComponent).join("/");
+}
+
+function formatTime(iso) {
+  return iso ? new Date(iso).toLocaleString() : "";
+}
+
+function renderDeviceHeader(device) {
+  return `<th>
+        <div class="device-name">${escapeHtml(device.name)}${device.variant ? ` <span class="variant">${escapeHtml(device.variant)}</span>` : ""}</div>
+        <div class="meta">${device.width}&times;${device.height} @ ${device.deviceScaleFactor || 1}x${device.orientation ? ` &middot; ${escapeHtml(device.orientation)}` : ""}</div>
+        <div class="meta ua" title="${escapeHtml(device.userAgent || "Default user agent")}">${escapeHtml(device.userAgent || "Default user agent")}</div>
+      </th>`;
+}
+
+function renderCell(capture, reportDir, thumbnails) {
+  if (!capture) {
+    return `<td class="empty">Not captured</td>`;
+  }
+  if (!capture.success) {
+    return `<td class="error"><div class="error-label">Failed</div><div class="meta">${escapeHtml(capture.error)}</div></td>`;
+  }
+  const href = relativeHref(reportDir, capture.filepath);
+  const src = thumbnails.get(capture.filepath) || href;
+  const markers = (capture.markers || []).map(marker =>
+    `<a class="marker" href="${relativeHref(reportDir, marker.filepath)}">${escapeHtml(marker.name)}</a>`).join(" ");
+  return `<td>
+        <a href="${href}" target="_blank"><img src="${src}" alt="${escapeHtml(capture.deviceName)}" loading="lazy"></a>
+        <div class="meta">${escapeHtml(path.basename(capture.filepath))}</div>
+        <div class="meta">${escapeHtml(formatTime(capture.capturedAt))}</div>
+        ${markers ? `<div class="meta">Markers: ${markers}</div>` : ""}
+      </td>`;
+}
+
+function renderReport(report, thumbnails) {
+  const reportDir = path.dirname(report.path);
+  const urls = [...new Set(report.captures.map(capture => capture.url))];
+  const failures = report.captures.filter(capture => !capture.success);
+  const captured = report.captures.length - failures.length;
+
+  const rows = urls.map(url => {
+    const cells = report.devices.map(device => renderCell(
+      report.captures.find(capture => capture.url === url && capture.deviceName === device.name &&
+        (capture.variant || "") === (device.variant || "")),
+      reportDir,
+      thumbnails
+    ));
+    return `<tr>
+      <th class="url"><a href="${escapeHtml(url)}">${escapeHtml(url)}</a></th>
+      ${cells.join("\n      ")}
+    </tr>`;
+  });
+
+  const errorList = failures.length === 0 ? "" : `
+  <h2>Errors</h2>
+  <ul class="errors">
+    ${failures.map(capture => `<li><strong>${escapeHtml(capture.deviceName)}${capture.variant ? ` (${escapeHtml(capture.variant)})` : ""}</strong> on ${escapeHtml(capture.url)}: ${escapeHtml(capture.error)}</li>`).join("\n    ")}
+  </ul>`;
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>freePanes ${escapeHtml(report.mode)} report - ${escapeHtml(formatTime(report.startedAt))}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 24px; background: #1a1a1a; color: #eee; }
+  h1 { font-size: 20px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin-top: 32px; }
+  .summary { color: #aaa; font-size: 13px; margin-bottom: 20px; }
+  .summary span { margin-right: 16px; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #333; padding: 10px; vertical-align: top; text-align: left; }
+  thead th { background: #252525; position: sticky; top: 0; max-width: 340px; }
+  th.url { max-width: 220px; word-break: break-all; font-weight: 500; font-size: 13px; }
+  td { width: ${THUMBNAIL_WIDTH}px; }
+  img { display: block; width: ${THUMBNAIL_WIDTH}px; border: 1px solid #333; background: #fff; }
+  a { color: #4a9eff; }
+  .device-name { font-size: 14px; }
+  .variant { color: #4a9eff; font-size: 12px; }
+  .meta { color: #999; font-size: 11px; font-weight: normal; margin-top: 4px; word-break: break-all; }
+  .ua { max-height: 3.6em; overflow: hidden; }
+  td.error { background: rgba(220, 53, 69, 0.12); }
+  .error-label { color: #ff6b6b; font-weight: 600; }
+  td.empty { color: #666; font-size: 12px; }
+  .errors li { margin-bottom: 6px; font-size: 13px; }
+  .marker { margin-right: 6px; }
+</style>
+</head>
+<body>
+  <h1>freePanes capture report</h1>
+  <div class="summary">
+    <span>Mode: ${escapeHtml(report.mode)}</span>
+    <span>Started: ${escapeHtml(formatTime(report.startedAt))}</span>
+    <span>Finished: ${escapeHtml(formatTime(report.finishedAt))}</span>
+    <span>${captured}/${report.captures.length} captured</span>
+    ${report.fullPage ? "<span>Full page</span>" : ""}
+  </div>
+  <table>
+    <thead>
+      <tr>
+        <th>URL</th>
+      ${report.devices.map(renderDeviceHeader).join("\n      ")}
+      </tr>
+    </thead>
+    <tbody>
+    ${rows.join("\n    ")}
+    </tbody>
+  </table>${errorList}
+</body>
+</html>
+`;
+}
+
+// Write the report for a finished run; returns the report's path
+async function writeRunReport(report) {
+  const thumbnails = new Map();
+  for (const capture of report.captures.filter(capture => capture.success)) {
+    try {
+      thumbnails.set(capture.filepath, await createThumbnail(capture.filepath));
+    } catch (error) {
+      // Fall back to linking the full-size PNG
+      console.warn(`Could not create thumbnail for ${capture.filepath}:`, error.message);
+    }
+  }
+
+  fs.writeFileSync(report.path, renderReport(report, thumbnails));
+  return report.path;
+}
+
+module.exports = {
+  renderReport,
+  writeRunReport
+};
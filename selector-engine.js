@@ -0,0 +1,527 @@
+// selector-engine.js - One element description shared by sync, recording and replay: several candidate
+// locators (test id, ARIA role + name, label, ...) tried in priority order, through open shadow roots
+// and same-origin iframes. The DOM half runs in the webview preload, the Playwright half in capture/export.
+
+const LOCATOR_TYPES = ['testid', 'role', 'label', 'placeholder', 'id', 'css', 'text', 'path'];
+
+const LOCATOR_LABELS = {
+  testid: 'Test id attribute',
+  role: 'ARIA role + name',
+  label: 'Label text',
+  placeholder: 'Placeholder',
+  id: 'Element id',
+  css: 'Stable classes',
+  text: 'Visible text',
+  path: 'DOM path'
+};
+
+const DEFAULT_SELECTOR_OPTIONS = {
+  priority: LOCATOR_TYPES,
+  testIdAttributes: ['data-testid', 'data-test-id', 'data-test', 'data-cy', 'data-qa']
+};
+
+// Unique candidates kept per element (the DOM path is always added as the last resort)
+const MAX_LOCATORS = 3;
+const MAX_NAME_LENGTH = 80;
+const MAX_TEXT_LENGTH = 50;
+
+// Generated (CSS-in-JS, framework, hashed) class names and ids change between builds
+const GENERATED_TOKEN = /^(css|sc|jsx|svelte|emotion)-|^:|\d{3,}|[0-9a-f]{8,}/i;
+// State and breakpoint classes differ between viewports
+const STATE_CLASS = /active|hover|focus|mobile|desktop|tablet|^(is|has)-/i;
+
+function normalizeSelectorOptions(options = {}) {
+  const priority = (Array.isArray(options.priority) ? options.priority : [])
+    .filter((type, index, list) => LOCATOR_TYPES.includes(type) && list.indexOf(type) === index);
+  LOCATOR_TYPES.forEach(type => {
+    if (!priority.includes(type)) priority.push(type);
+  });
+  const testIdAttributes = (Array.isArray(options.testIdAttributes) ? options.testIdAttributes : DEFAULT_SELECTOR_OPTIONS.testIdAttributes)
+    .map(attribute => String(attribute).trim())
+    .filter((attribute, index, list) => /^[a-zA-Z_][\w:.-]*$/.test(attribute) && list.indexOf(attribute) === index);
+  return { priority, testIdAttributes };
+}
+
+// "data-testid, data-qa" -> ['data-testid', 'data-qa']
+function parseAttributeList(text) {
+  return (text || '').split(/[\s,]+/).filter(Boolean);
+}
+
+function normalizeText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function cssString(value) {
+  return JSON.stringify(String(value));
+}
+
+// --- DOM side (webview preload) ---
+
+// Shadow hosts directly under each root, listed again after the next DOM change in that root, so
+// deep queries don't walk every element on every call. attachShadow() on an element already in the
+// page (a lazily defined custom element) causes no mutation, so callers that can't afford a miss
+// bump the generation to force a fresh scan.
+const shadowHostCache = new WeakMap();
+let shadowHostGeneration = 0;
+
+function refreshShadowHosts() {
+  shadowHostGeneration++;
+}
+
+function shadowHostsUnder(root) {
+  let entry = shadowHostCache.get(root);
+  if (!entry) {
+    entry = { hosts: null, generation: shadowHostGeneration };
+    const win = (root.ownerDocument || root).defaultView;
+    if (win) {
+      new win.MutationObserver(() => { entry.hosts = null; }).observe(root, { childList: true, subtree: true });
+    }
+    shadowHostCache.set(root, entry);
+  }
+  if (!entry.hosts || entry.generation !== shadowHostGeneration) {
+    entry.generation = shadowHostGeneration;
+    entry.hosts = Array.from(root.querySelectorAll('*')).filter(el => el.shadowRoot);
+  }
+  return entry.hosts;
+}
+
+// Matches under root, descending into open shadow roots
+function deepQueryAll(root, selector) {
+  const results = Array.from(root.querySelectorAll(selector));
+  shadowHostsUnder(root).forEach(host => {
+    results.push(...deepQueryAll(host.shadowRoot, selector));
+  });
+  return results;
+}
+
+function countMatches(doc, selector) {
+  try {
+    return deepQueryAll(doc, selector).length;
+  } catch (e) {
+    return 0;
+  }
+}
+
+const INPUT_ROLES = {
+  button: 'button', submit: 'button', reset: 'button', image: 'button',
+  checkbox: 'checkbox', radio: 'radio', range: 'slider', search: 'searchbox',
+  text: 'textbox', email: 'textbox', tel: 'textbox', url: 'textbox', '': 'textbox'
+};
+
+// Elements that may carry each implicit role, so role lookups don't walk the whole page
+const ROLE_CANDIDATES = {
+  button: 'button, input, summary',
+  link: 'a[href], area[href]',
+  checkbox: 'input',
+  radio: 'input',
+  slider: 'input',
+  searchbox: 'input',
+  textbox: 'input, textarea',
+  combobox: 'select',
+  listbox: 'select',
+  option: 'option',
+  heading: 'h1, h2, h3, h4, h5, h6',
+  img: 'img[alt]'
+};
+
+// Roles whose accessible name comes from their text
+const NAME_FROM_CONTENT = ['button', 'link', 'heading', 'tab', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'option', 'switch', 'treeitem', 'cell', 'checkbox', 'radio'];
+
+function getRole(el) {
+  const explicit = (el.getAttribute('role') || '').trim().split(/\s+/)[0];
+  if (explicit) return explicit;
+  const tag = el.tagName;
+  if (tag === 'A' || tag === 'AREA') return el.hasAttribute('href') ? 'link' : null;
+  if (tag === 'BUTTON' || tag === 'SUMMARY') return 'button';
+  if (tag === 'SELECT') return el.multiple || el.size > 1 ? 'listbox' : 'combobox';
+  if (tag === 'TEXTAREA') return 'textbox';
+  if (tag === 'OPTION') return 'option';
+  if (/^H[1-6]$/.test(tag)) return 'heading';
+  if (tag === 'IMG') return el.getAttribute('alt') ? 'img' : null;
+  if (tag === 'INPUT') return INPUT_ROLES[(el.getAttribute('type') || '').toLowerCase()] || null;
+  return null;
+}
+
+function isLabelable(el) {
+  return ['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON', 'METER', 'OUTPUT', 'PROGRESS'].includes(el.tagName);
+}
+
+function getLabelText(el) {
+  if (!isLabelable(el)) return '';
+  const label = (el.labels && el.labels[0]) || el.closest('label');
+  return label ? normalizeText(label.textContent) : '';
+}
+
+// A practical subset of the accessible name computation: aria-labelledby, aria-label, <label>,
+// alt, button values, then content for roles named by their text, then title
+function getAccessibleName(el, role) {
+  const doc = el.ownerDocument;
+  const labelledBy = el.getAttribute('aria-labelledby');
+  if (labelledBy) {
+    const text = normalizeText(labelledBy.split(/\s+/).map(id => {
+      const ref = doc.getElementById(id);
+      return ref ? ref.textContent : '';
+    }).join(' '));
+    if (text) return text;
+  }
+  const ariaLabel = normalizeText(el.getAttribute('aria-label'));
+  if (ariaLabel) return ariaLabel;
+  const label = getLabelText(el);
+  if (label) return label;
+  if (el.tagName === 'IMG' || (el.tagName === 'INPUT' && el.type === 'image')) return normalizeText(el.getAttribute('alt'));
+  if (el.tagName === 'INPUT' && ['button', 'submit', 'reset'].includes(el.type)) return normalizeText(el.value);
+  if (NAME_FROM_CONTENT.includes(role)) {
+    const text = normalizeText(el.textContent);
+    if (text) return text;
+  }
+  return normalizeText(el.getAttribute('title'));
+}
+
+function findByRole(doc, role, name) {
+  const selector = `[role~=${cssString(role)}]` + (ROLE_CANDIDATES[role] ? ', ' + ROLE_CANDIDATES[role] : '');
+  return deepQueryAll(doc, selector).filter(el => getRole(el) === role && getAccessibleName(el, role) === name);
+}
+
+// Controls labelled by this text, through <label> or aria-label
+function findByLabel(doc, text) {
+  const controls = [];
+  deepQueryAll(doc, 'label').forEach(label => {
+    if (normalizeText(label.textContent) !== text) return;
+    const control = label.control || label.querySelector('input, select, textarea, button');
+    if (control && !controls.includes(control)) controls.push(control);
+  });
+  deepQueryAll(doc, '[aria-label]').forEach(el => {
+    if (normalizeText(el.getAttribute('aria-label')) === text && !controls.includes(el)) controls.push(el);
+  });
+  return controls;
+}
+
+// Innermost elements whose whole text is this text
+function findByText(doc, text) {
+  const matches = [];
+  const visit = (root) => {
+    const walker = doc.createTreeWalker(root, 4 /* NodeFilter.SHOW_TEXT */);
+    let node;
+    while ((node = walker.nextNode())) {
+      let el = node.parentElement;
+      if (!el || !node.textContent.includes(text.split(' ')[0])) continue;
+      while (el && normalizeText(el.textContent) !== text && normalizeText(el.textContent).length < text.length) {
+        el = el.parentElement;
+      }
+      if (el && normalizeText(el.textContent) === text && !matches.includes(el)) matches.push(el);
+    }
+    shadowHostsUnder(root).forEach(host => visit(host.shadowRoot));
+  };
+  visit(doc.body || doc);
+  return matches.filter(el => !matches.some(other => other !== el && el.contains(other)));
+}
+
+function stableClasses(el) {
+  return typeof el.className === 'string'
+    ? el.className.trim().split(/\s+/).filter(name => name && !STATE_CLASS.test(name) && !GENERATED_TOKEN.test(name))
+    : [];
+}
+
+// Shortest tag + stable class selector that is unique, qualified by up to two ancestors
+function buildCssSelector(el, count) {
+  const doc = el.ownerDocument;
+  const esc = (value) => doc.defaultView.CSS.escape(value);
+  const own = (node) => {
+    const classes = stableClasses(node).slice(0, 2);
+    return node.tagName.toLowerCase() + classes.map(name => '.' + esc(name)).join('');
+  };
+
+  const classes = stableClasses(el);
+  const tag = el.tagName.toLowerCase();
+  for (const name of classes) {
+    if (count(tag + '.' + esc(name)) === 1) return tag + '.' + esc(name);
+  }
+  const name = el.getAttribute('name');
+  if (name && count(`${tag}[name=${cssString(name)}]`) === 1) return `${tag}[name=${cssString(name)}]`;
+
+  let selector = own(el);
+  let current = el.parentElement;
+  for (let depth = 0; depth < 2 && current && current !== doc.body; depth++) {
+    if (count(selector) === 1) return selector;
+    const anchor = current.id && !GENERATED_TOKEN.test(current.id) ? '#' + esc(current.id) : own(current);
+    selector = anchor + ' > ' + selector;
+    current = current.parentElement;
+  }
+  return count(selector) === 1 ? selector : null;
+}
+
+// nth-of-type path from the element's root (document or shadow root); unique by construction
+function buildPath(el) {
+  const parts = [];
+  for (let current = el; current && current.nodeType === 1; current = current.parentNode) {
+    const tag = current.tagName.toLowerCase();
+    const siblings = current.parentNode && current.parentNode.children ? Array.from(current.parentNode.children) : [current];
+    const sameTag = siblings.filter(sibling => sibling.tagName === current.tagName);
+    parts.unshift(sameTag.length > 1 ? `${tag}:nth-of-type(${sameTag.indexOf(current) + 1})` : tag);
+  }
+  return parts.join(' > ');
+}
+
+// The element a path was built for; inside a shadow root the selector alone can match deeper nodes too
+function queryPath(root, path) {
+  return Array.from(root.querySelectorAll(path)).filter(el => buildPath(el) === path);
+}
+
+// Paths of the shadow hosts around an element, outermost first
+function getShadowHosts(el) {
+  const hosts = [];
+  let root = el.getRootNode();
+  while (root && root.host) {
+    hosts.unshift(buildPath(root.host));
+    root = root.host.getRootNode();
+  }
+  return hosts;
+}
+
+const LOCATOR_BUILDERS = {
+  testid: (el, doc, options, count) => {
+    for (const attribute of options.testIdAttributes) {
+      const value = el.getAttribute(attribute);
+      if (value && count(`[${attribute}=${cssString(value)}]`) === 1) {
+        return { type: 'testid', attribute, value };
+      }
+    }
+    return null;
+  },
+  role: (el, doc) => {
+    const role = getRole(el);
+    const name = role && getAccessibleName(el, role);
+    if (!name || name.length > MAX_NAME_LENGTH) return null;
+    const matches = findByRole(doc, role, name);
+    return matches.length === 1 && matches[0] === el ? { type: 'role', role, name } : null;
+  },
+  label: (el, doc) => {
+    const label = getLabelText(el);
+    if (!label || label.length > MAX_NAME_LENGTH) return null;
+    const controls = findByLabel(doc, label);
+    return controls.length === 1 && controls[0] === el ? { type: 'label', value: label } : null;
+  },
+  placeholder: (el, doc, options, count) => {
+    const placeholder = el.getAttribute('placeholder');
+    return placeholder && count(`[placeholder=${cssString(placeholder)}]`) === 1
+      ? { type: 'placeholder', value: placeholder }
+      : null;
+  },
+  id: (el, doc, options, count) => {
+    return el.id && !GENERATED_TOKEN.test(el.id) && count(`[id=${cssString(el.id)}]`) === 1
+      ? { type: 'id', value: el.id }
+      : null;
+  },
+  css: (el, doc, options, count) => {
+    const selector = buildCssSelector(el, count);
+    return selector ? { type: 'css', value: selector } : null;
+  },
+  text: (el, doc) => {
+    if (isLabelable(el) && el.tagName !== 'BUTTON') return null;
+    const text = normalizeText(el.textContent);
+    if (!text || text.length > MAX_TEXT_LENGTH) return null;
+    const matches = findByText(doc, text);
+    return matches.length === 1 && matches[0] === el ? { type: 'text', value: text } : null;
+  },
+  path: (el) => {
+    const hosts = getShadowHosts(el);
+    return hosts.length > 0 ? { type: 'path', value: buildPath(el), hosts } : { type: 'path', value: buildPath(el) };
+  }
+};
+
+// Iframes between the top document and the element, outermost first (same-origin only)
+function getFramePath(el) {
+  const frames = [];
+  let win = el.ownerDocument.defaultView;
+  try {
+    while (win && win.frameElement) {
+      const frame = win.frameElement;
+      const name = frame.getAttribute('name');
+      frames.unshift(frame.id && !GENERATED_TOKEN.test(frame.id)
+        ? `iframe[id=${cssString(frame.id)}]`
+        : name ? `iframe[name=${cssString(name)}]` : buildPath(frame));
+      win = frame.ownerDocument.defaultView;
+    }
+  } catch (e) {
+    // Cross-origin parent; the path stops here
+  }
+  return frames;
+}
+
+// CSS selector for one locator, when it can be written as one
+function locatorToCss(locator) {
+  if (locator.type === 'testid') return `[${locator.attribute}=${cssString(locator.value)}]`;
+  if (locator.type === 'id') return `[id=${cssString(locator.value)}]`;
+  if (locator.type === 'placeholder') return `[placeholder=${cssString(locator.value)}]`;
+  if ((locator.type === 'css' || locator.type === 'path') && !(locator.hosts && locator.hosts.length > 0)) return locator.value;
+  return null;
+}
+
+// Locators cheap enough for every scroll and hover event: no role, label or text scoring, and
+// uniqueness is only checked in the element's own document or shadow root
+const QUICK_LOCATOR_TYPES = ['testid', 'id', 'css'];
+
+// { selector, locators, frames } for an element. `selector` is the first candidate expressible as
+// CSS, kept for the step editor and older consumers. `quick` skips the page-wide scoring that
+// recorded clicks and inputs get.
+function describeElement(el, options, { quick = false } = {}) {
+  const normalized = normalizeSelectorOptions(options);
+  const doc = el.ownerDocument;
+  const root = el.getRootNode();
+  // Full scoring runs once per recorded action, so it can afford an up-to-date host list
+  if (!quick) refreshShadowHosts();
+  const count = quick
+    ? (selector) => {
+      try {
+        return root.querySelectorAll(selector).length;
+      } catch (e) {
+        return 0;
+      }
+    }
+    : (selector) => countMatches(doc, selector);
+
+  const locators = [];
+  for (const type of normalized.priority) {
+    if (type === 'path' || locators.length >= MAX_LOCATORS) continue;
+    if (quick && !QUICK_LOCATOR_TYPES.includes(type)) continue;
+    try {
+      const locator = LOCATOR_BUILDERS[type](el, doc, normalized, count);
+      if (locator) locators.push(locator);
+    } catch (e) {
+      // A builder failing on an odd element shouldn't lose the others
+    }
+  }
+  locators.push(LOCATOR_BUILDERS.path(el));
+
+  const frames = getFramePath(el);
+  const description = {
+    selector: locators.map(locatorToCss).find(Boolean) || locators[locators.length - 1].value,
+    locators
+  };
+  if (frames.length > 0) description.frames = frames;
+  return description;
+}
+
+function findByLocator(doc, locator) {
+  switch (locator.type) {
+    case 'testid': return deepQueryAll(doc, `[${locator.attribute}=${cssString(locator.value)}]`);
+    case 'role': return findByRole(doc, locator.role, locator.name);
+    case 'label': return findByLabel(doc, locator.value);
+    case 'placeholder': return deepQueryAll(doc, `[placeholder=${cssString(locator.value)}]`);
+    case 'id': return deepQueryAll(doc, `[id=${cssString(locator.value)}]`);
+    case 'css': return deepQueryAll(doc, locator.value);
+    case 'text': return findByText(doc, locator.value);
+    case 'path': {
+      let root = doc;
+      for (const host of locator.hosts || []) {
+        const el = queryPath(root, host)[0];
+        if (!el || !el.shadowRoot) return [];
+        root = el.shadowRoot;
+      }
+      return queryPath(root, locator.value);
+    }
+    default: return [];
+  }
+}
+
+// Candidate locators for a recorded action or sync message, in priority order. Older recordings
+// only have `selector`, `id`, label hints or the clicked text, so those become locators too.
+function getActionLocators(action, options) {
+  const { priority } = normalizeSelectorOptions(options);
+  const locators = Array.isArray(action.locators) && action.locators.length > 0 ? action.locators.slice() : [];
+  if (locators.length === 0) {
+    if (action.selector) locators.push({ type: 'css', value: action.selector });
+    if (action.id) locators.push({ type: 'id', value: action.id });
+    if (action.label) locators.push({ type: 'label', value: action.label });
+    if (action.ariaLabel) locators.push({ type: 'label', value: action.ariaLabel });
+    if (action.placeholder) locators.push({ type: 'placeholder', value: action.placeholder });
+    if (action.type === 'click' && action.text && normalizeText(action.text)) {
+      locators.push({ type: 'text', value: normalizeText(action.text) });
+    }
+  }
+  // Stable sort: recorded order breaks ties (legacy css before its id, for instance)
+  return locators
+    .map((locator, index) => ({ locator, index }))
+    .sort((a, b) => (priority.indexOf(a.locator.type) - priority.indexOf(b.locator.type)) || (a.index - b.index))
+    .map(({ locator }) => locator);
+}
+
+// The described element in this document: the first candidate with a single match, else the
+// first candidate that matched anything
+function resolveElement(description, doc, options) {
+  let root = doc;
+  for (const frame of description.frames || []) {
+    const el = root.querySelector(frame);
+    try {
+      root = el && el.contentDocument;
+    } catch (e) {
+      root = null;
+    }
+    if (!root) return null;
+  }
+
+  const locators = getActionLocators(description, options);
+  const search = () => {
+    let fallback = null;
+    for (const locator of locators) {
+      let matches = [];
+      try {
+        matches = findByLocator(root, locator);
+      } catch (e) {
+        // Selector from another layout may not parse here; try the next one
+      }
+      if (matches.length === 1) return matches[0];
+      if (!fallback && matches.length > 1) fallback = matches[0];
+    }
+    return fallback;
+  };
+
+  const found = search();
+  if (found) return found;
+  // The element may sit in a shadow root the cached host list hasn't seen yet
+  refreshShadowHosts();
+  return search();
+}
+
+// --- Playwright side (replay and export) ---
+
+function toPlaywrightLocator(page, locator, frames = []) {
+  const scope = frames.reduce((current, frame) => current.frameLocator(frame), page);
+  switch (locator.type) {
+    case 'role': return scope.getByRole(locator.role, { name: locator.name, exact: true });
+    case 'label': return scope.getByLabel(locator.value, { exact: true });
+    case 'placeholder': return scope.getByPlaceholder(locator.value, { exact: true });
+    case 'text': return scope.getByText(locator.value, { exact: true });
+    case 'path': return (locator.hosts || []).reduce((current, host) => current.locator(host), scope).locator(locator.value);
+    default: return scope.locator(locatorToCss(locator));
+  }
+}
+
+// Same locator as source code for generated specs
+function renderPlaywrightLocator(locator, frames = [], pageName = 'page') {
+  const q = (value) => JSON.stringify(value);
+  const scope = pageName + frames.map(frame => `.frameLocator(${q(frame)})`).join('');
+  switch (locator.type) {
+    case 'role': return `${scope}.getByRole(${q(locator.role)}, { name: ${q(locator.name)}, exact: true })`;
+    case 'label': return `${scope}.getByLabel(${q(locator.value)}, { exact: true })`;
+    case 'placeholder': return `${scope}.getByPlaceholder(${q(locator.value)}, { exact: true })`;
+    case 'text': return `${scope}.getByText(${q(locator.value)}, { exact: true })`;
+    case 'path': return scope + (locator.hosts || []).map(host => `.locator(${q(host)})`).join('') + `.locator(${q(locator.value)})`;
+    default: return `${scope}.locator(${q(locatorToCss(locator))})`;
+  }
+}
+
+module.exports = {
+  LOCATOR_TYPES,
+  LOCATOR_LABELS,
+  DEFAULT_SELECTOR_OPTIONS,
+  normalizeSelectorOptions,
+  parseAttributeList,
+  normalizeText,
+  describeElement,
+  resolveElement,
+  getActionLocators,
+  locatorToCss,
+  toPlaywrightLocator,
+  renderPlaywrightLocator
+};
@@ -0,0 +1,222 @@
+// store-composer.js - Turn raw store-preset captures into framed App Store / Play Store images
+
+// Exact output sizes per store device (portrait; phones and tablets flip for landscape captures)
+const STORE_TARGETS = {
+  'iPhone 6.9" (App Store)': { store: 'App Store', label: 'iPhone 6.9"', slot: 'iphone-6.9', width: 1320, height: 2868, frame: 'phone' },
+  'iPhone 6.9" @2x (App Store)': { store: 'App Store', label: 'iPhone 6.9"', slot: 'iphone-6.9', width: 1320, height: 2868, frame: 'phone' },
+  'iPhone 6.9" @3x (App Store)': { store: 'App Store', label: 'iPhone 6.9"', slot: 'iphone-6.9', width: 1320, height: 2868, frame: 'phone' },
+  'iPad 13" (App Store)': { store: 'App Store', label: 'iPad 13"', slot: 'ipad-13', width: 2064, height: 2752, frame: 'tablet' },
+  'iPad 13" @2x (App Store)': { store: 'App Store', label: 'iPad 13"', slot: 'ipad-13', width: 2064, height: 2752, frame: 'tablet' },
+  'Mac App Store': { store: 'App Store', label: 'Mac', slot: 'mac', width: 2880, height: 1800, frame: 'laptop', fixedOrientation: true },
+  'Mac App Store Retina': { store: 'App Store', label: 'Mac', slot: 'mac', width: 2880, height: 1800, frame: 'laptop', fixedOrientation: true },
+  'Android Phone (Play Store)': { store: 'Play Store', label: 'Phone', slot: 'play-phone', width: 1080, height: 1920, frame: 'phone' },
+  'Android Phone @2x (Play Store)': { store: 'Play Store', label: 'Phone', slot: 'play-phone', width: 1080, height: 1920, frame: 'phone' },
+  'Android Tablet 7" (Play Store)': { store: 'Play Store', label: '7" tablet', slot: 'play-tablet-7', width: 1080, height: 1920, frame: 'tablet' },
+  'Android Tablet 7" @2x (Play Store)': { store: 'Play Store', label: '7" tablet', slot: 'play-tablet-7', width: 1080, height: 1920, frame: 'tablet' },
+  'Android Tablet 10" (Play Store)': { store: 'Play Store', label: '10" tablet', slot: 'play-tablet-10', width: 1440, height: 2560, frame: 'tablet' },
+  'Android Tablet 10" @2x (Play Store)': { store: 'Play Store', label: '10" tablet', slot: 'play-tablet-10', width: 1440, height: 2560, frame: 'tablet' },
+  // Play Store rejects Wear OS screenshots with frames or added text
+  'Wear OS (Play Store)': { store: 'Play Store', label: 'Wear OS', slot: 'play-wear', width: 384, height: 384, frame: 'none', plain: true, fixedOrientation: true },
+  'Wear OS @2x (Play Store)': { store: 'Play Store', label: 'Wear OS', slot: 'play-wear', width: 768, height: 768, frame: 'none', plain: true, fixedOrientation: true }
+};
+
+const COMPOSER_TEMPLATES = {
+  gradient: { label: 'Gradient', background: ['#4a9eff', '#7b2ff7'], textColor: '#ffffff', textPosition: 'top' },
+  light: { label: 'Light', background: ['#f5f5f7', '#e8e8ed'], textColor: '#1d1d1f', textPosition: 'top' },
+  dark: { label: 'Dark', background: ['#1d1d1f', '#3a3a3c'], textColor: '#ffffff', textPosition: 'top' },
+  caption: { label: 'Caption below', background: ['#ffffff', '#ffffff'], textColor: '#1d1d1f', textPosition: 'bottom' }
+};
+
+// Bezel and corner radius as a fraction of the frame width
+const FRAME_STYLES = {
+  phone: { bezel: 0.035, radius: 0.13 },
+  tablet: { bezel: 0.04, radius: 0.05 },
+  laptop: { bezel: 0.025, radius: 0.02 },
+  none: { bezel: 0, radius: 0.03 }
+};
+
+function getStoreTarget(deviceName, orientation) {
+  const target = STORE_TARGETS[deviceName];
+  if (!target) return null;
+  if (orientation === 'landscape' && !target.fixedOrientation) {
+    return { ...target, width: target.height, height: target.width };
+  }
+  return target;
+}
+
+function roundedRect(ctx, x, y, width, height, radius) {
+  const r = Math.min(radius, width / 2, height / 2);
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.arcTo(x + width, y, x + width, y + height, r);
+  ctx.arcTo(x + width, y + height, x, y + height, r);
+  ctx.arcTo(x, y + height, x, y, r);
+  ctx.arcTo(x, y, x + width, y, r);
+  ctx.closePath();
+}
+
+// Greedy word wrap; returns the lines that fit in maxWidth
+function wrapText(ctx, text, maxWidth) {
+  const lines = [];
+  let line = '';
+  text.split(/\s+/).filter(Boolean).forEach(word => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(candidate).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+// Shrink the font until the text fits in maxLines
+function layoutText(ctx, text, { size, weight, maxWidth, maxLines }) {
+  let fontSize = size;
+  let lines = [];
+  do {
+    ctx.font = `${weight} ${fontSize}px "Helvetica Neue", Helvetica, Arial, sans-serif`;
+    lines = wrapText(ctx, text, maxWidth);
+    if (lines.length <= maxLines) break;
+    fontSize = Math.floor(fontSize * 0.9);
+  } while (fontSize > 8);
+  return { lines, fontSize, weight, height: lines.length * fontSize * 1.2 };
+}
+
+function drawTextBlock(ctx, block, centerX, top, color) {
+  ctx.font = `${block.weight} ${block.fontSize}px "Helvetica Neue", Helvetica, Arial, sans-serif`;
+  ctx.fillStyle = color;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'top';
+  block.lines.forEach((line, i) => ctx.fillText(line, centerX, top + i * block.fontSize * 1.2));
+}
+
+function drawBackground(ctx, width, height, colors) {
+  const gradient = ctx.createLinearGradient(0, 0, 0, height);
+  gradient.addColorStop(0, colors[0]);
+  gradient.addColorStop(1, colors[1] || colors[0]);
+  ctx.fillStyle = gradient;
+  ctx.fillRect(0, 0, width, height);
+}
+
+// Fit the framed device into the box and draw the capture on its screen
+function drawDevice(ctx, image, screenAspect, frame, box) {
+  const style = FRAME_STYLES[frame] || FRAME_STYLES.none;
+  const baseHeightRatio = frame === 'laptop' ? 0.06 : 0; // Keyboard deck under the laptop screen
+
+  // Frame size for a given screen width: bezel on all sides plus the laptop deck
+  const frameFor = (screenWidth) => {
+    const bezel = screenWidth * style.bezel;
+    const frameWidth = screenWidth + bezel * 2;
+    const screenHeight = screenWidth / screenAspect;
+    return { bezel, frameWidth, screenHeight, frameHeight: screenHeight + bezel * 2 + frameWidth * baseHeightRatio };
+  };
+
+  const unit = frameFor(1);
+  const deckOverhang = frame === 'laptop' ? 1.12 : 1; // The deck is wider than the screen
+  const screenWidth = Math.min(box.width / (unit.frameWidth * deckOverhang), box.height / unit.frameHeight);
+  const { bezel, frameWidth, screenHeight, frameHeight } = frameFor(screenWidth);
+  const x = box.x + (box.width - frameWidth) / 2;
+  const y = box.y + (box.height - frameHeight) / 2;
+  const radius = frameWidth * style.radius;
+
+  ctx.save();
+  ctx.shadowColor = 'rgba(0, 0, 0, 0.35)';
+  ctx.shadowBlur = frameWidth * 0.05;
+  ctx.shadowOffsetY = frameWidth * 0.015;
+  if (frame === 'laptop') {
+    const deckWidth = frameWidth * deckOverhang;
+    const deckHeight = frameWidth * baseHeightRatio;
+    const deckGradient = ctx.createLinearGradient(0, y + frameHeight - deckHeight, 0, y + frameHeight);
+    deckGradient.addColorStop(0, '#d9d9de');
+    deckGradient.addColorStop(1, '#9a9aa0');
+    ctx.fillStyle = deckGradient;
+    roundedRect(ctx, box.x + (box.width - deckWidth) / 2, y + frameHeight - deckHeight, deckWidth, deckHeight, deckHeight * 0.4);
+    ctx.fill();
+  }
+  if (frame !== 'none') {
+    ctx.fillStyle = '#111113';
+    roundedRect(ctx, x, y, frameWidth, screenHeight + bezel * 2, radius);
+    ctx.fill();
+    ctx.shadowColor = 'transparent';
+    ctx.strokeStyle = '#3a3a3c';
+    ctx.lineWidth = Math.max(1, frameWidth * 0.004);
+    ctx.stroke();
+  }
+  ctx.restore();
+
+  // Viewport captures match the screen; full-page captures are cropped from the top
+  const screen = { x: x + bezel, y: y + bezel, width: screenWidth, height: screenHeight };
+  const sourceHeight = Math.min(image.height, image.width / screenAspect);
+  ctx.save();
+  roundedRect(ctx, screen.x, screen.y, screen.width, screen.height, Math.max(0, radius - bezel));
+  ctx.clip();
+  ctx.drawImage(image, 0, 0, image.width, sourceHeight, screen.x, screen.y, screen.width, screen.height);
+  ctx.restore();
+}
+
+// Render one store image from a capture buffer; width/height are the capture's logical viewport
+async function composeStoreImage({ buffer, deviceName, orientation, width, height, template, headline, subtitle }) {
+  const { createCanvas, loadImage } = require('canvas');
+
+  const target = getStoreTarget(deviceName, orientation);
+  if (!target) {
+    throw new Error(`${deviceName} is not a store device`);
+  }
+
+  const options = { ...COMPOSER_TEMPLATES.gradient, ...template };
+  const image = await loadImage(buffer);
+  const canvas = createCanvas(target.width, target.height);
+  const ctx = canvas.getContext('2d');
+  const screenAspect = width && height ? width / height : image.width / image.height;
+
+  // Wear OS: just the UI, scaled to the exact size
+  if (target.plain) {
+    const sourceHeight = Math.min(image.height, image.width / screenAspect);
+    ctx.drawImage(image, 0, 0, image.width, sourceHeight, 0, 0, target.width, target.height);
+    return { buffer: canvas.toBuffer('image/png'), target };
+  }
+
+  drawBackground(ctx, target.width, target.height, options.background);
+
+  const padding = Math.round(Math.min(target.width, target.height) * 0.06);
+  const contentWidth = target.width - padding * 2;
+  const shortSide = Math.min(target.width, target.height);
+  const blocks = [];
+  if (headline) {
+    blocks.push(layoutText(ctx, headline, { size: Math.round(shortSide * 0.075), weight: 'bold', maxWidth: contentWidth, maxLines: 2 }));
+  }
+  if (subtitle) {
+    blocks.push(layoutText(ctx, subtitle, { size: Math.round(shortSide * 0.042), weight: 'normal', maxWidth: contentWidth, maxLines: 3 }));
+  }
+  const gap = blocks.length > 1 ? Math.round(shortSide * 0.02) : 0;
+  const textHeight = blocks.reduce((sum, block) => sum + block.height, 0) + gap;
+  const textArea = textHeight > 0 ? textHeight + padding : 0;
+
+  const textTop = options.textPosition === 'bottom' ? target.height - padding - textHeight : padding;
+  const deviceBox = {
+    x: padding,
+    y: options.textPosition === 'bottom' ? padding : padding + textArea,
+    width: contentWidth,
+    height: target.height - padding * 2 - textArea
+  };
+
+  drawDevice(ctx, image, screenAspect, target.frame, deviceBox);
+
+  let top = textTop;
+  blocks.forEach(block => {
+    drawTextBlock(ctx, block, target.width / 2, top, options.textColor);
+    top += block.height + gap;
+  });
+
+  return { buffer: canvas.toBuffer('image/png'), target };
+}
+
+module.exports = {
+  STORE_TARGETS,
+  COMPOSER_TEMPLATES,
+  getStoreTarget,
+  composeStoreImage
+};
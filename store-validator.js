@@ -0,0 +1,201 @@
+// store-validator.js - Check captured PNGs against App Store / Play Store screenshot requirements
+const fs = require("fs");
+const path = require("path");
+const { STORE_TARGETS } = require("./store-composer");
+
+const STORE_FILE_RULES = {
+  "App Store": { formats: ["png", "jpeg"] },
+  "Play Store": { formats: ["png", "jpeg"], maxBytes: 8 * 1024 * 1024 }
+};
+
+// Accepted sizes as listed; their rotated equivalents are accepted too unless the orientation is fixed
+const STORE_SLOTS = {
+  "iphone-6.9": { store: "App Store", label: 'iPhone 6.9" display', sizes: [[1320, 2868], [1290, 2796], [1260, 2736]] },
+  "ipad-13": { store: "App Store", label: 'iPad 13" display', sizes: [[2064, 2752], [2048, 2732]] },
+  "mac": { store: "App Store", label: "Mac", sizes: [[2880, 1800], [2560, 1600], [1440, 900], [1280, 800]], fixedOrientation: true },
+  "play-phone": { store: "Play Store", label: "Phone", minSide: 320, maxSide: 3840, maxRatio: 2, recommended: { ratio: 16 / 9, minSide: 1080 } },
+  "play-tablet-7": { store: "Play Store", label: '7" tablet', minSide: 320, maxSide: 3840, maxRatio: 2, recommended: { ratio: 16 / 9, minSide: 1080 } },
+  "play-tablet-10": { store: "Play Store", label: '10" tablet', minSide: 320, maxSide: 3840, maxRatio: 2, recommended: { ratio: 16 / 9, minSide: 1080 } },
+  "play-wear": { store: "Play Store", label: "Wear OS", minSide: 384, maxSide: 3840, square: true }
+};
+
+// Width, height, format and alpha from the PNG IHDR or JPEG SOF header
+function readImageInfo(buffer) {
+  if (buffer.length >= 26 && buffer.readUInt32BE(0) === 0x89504e47) {
+    const colorType = buffer[25];
+    return {
+      format: "png",
+      width: buffer.readUInt32BE(16),
+      height: buffer.readUInt32BE(20),
+      hasAlpha: colorType === 4 || colorType === 6
+    };
+  }
+
+  if (buffer.length >= 4 && buffer[0] === 0xff && buffer[1] === 0xd8) {
+    let offset = 2;
+    while (offset + 9 < buffer.length) {
+      const marker = buffer[offset + 1];
+      const length = buffer.readUInt16BE(offset + 2);
+      // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+      if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+        return {
+          format: "jpeg",
+          width: buffer.readUInt16BE(offset + 7),
+          height: buffer.readUInt16BE(offset + 5),
+          hasAlpha: false
+        };
+      }
+      offset += 2 + length;
+    }
+  }
+
+  return null;
+}
+
+function formatRatio(width, height) {
+  return `${(Math.max(width, height) / Math.min(width, height)).toFixed(2)}:1`;
+}
+
+// Dimension problems for an image of this size in this slot (errors fail, warnings don't)
+function checkDimensions(slot, width, height) {
+  const errors = [];
+  const warnings = [];
+  const shortSide = Math.min(width, height);
+  const longSide = Math.max(width, height);
+
+  if (slot.sizes) {
+    const accepted = slot.sizes.some(([w, h]) =>
+      (w === width && h === height) || (!slot.fixedOrientation && w === height && h === width));
+    if (!accepted) {
+      const sizes = slot.sizes.map(([w, h]) => `${w}x${h}`).join(", ");
+      errors.push(`${width}x${height} is not an accepted ${slot.label} size (${sizes}${slot.fixedOrientation ? "" : " or landscape"})`);
+    }
+    return { errors, warnings };
+  }
+
+  if (shortSide < slot.minSide) {
+    errors.push(`Shortest side is ${shortSide}px; at least ${slot.minSide}px is required`);
+  }
+  if (longSide > slot.maxSide) {
+    errors.push(`Longest side is ${longSide}px; at most ${slot.maxSide}px is allowed`);
+  }
+  if (slot.maxRatio && longSide > shortSide * slot.maxRatio) {
+    errors.push(`Aspect ratio ${formatRatio(width, height)} is longer than ${slot.maxRatio}:1`);
+  }
+  if (slot.square && width !== height) {
+    errors.push(`${slot.label} screenshots must be square (got ${width}x${height})`);
+  }
+  if (slot.recommended) {
+    if (Math.abs(longSide / shortSide - slot.recommended.ratio) > 0.01) {
+      warnings.push(`Aspect ratio ${formatRatio(width, height)} is not 16:9, so the screenshot can't be featured in promotions`);
+    }
+    if (shortSide < slot.recommended.minSide) {
+      warnings.push(`Shortest side below ${slot.recommended.minSide}px can't be featured in promotions`);
+    }
+  }
+  return { errors, warnings };
+}
+
+// Size a device entry renders at, with the capture's orientation applied
+function getOutputSize(device, orientation) {
+  const scale = device.deviceScaleFactor || 1;
+  const portrait = device.width <= device.height;
+  const flip = orientation === "landscape" ? portrait : orientation === "portrait" ? !portrait : false;
+  const width = Math.round((flip ? device.height : device.width) * scale);
+  const height = Math.round((flip ? device.width : device.height) * scale);
+  return { width, height };
+}
+
+// Library devices for the same store slot whose captures would pass
+function suggestDevices(slotId, orientation, devices) {
+  const slot = STORE_SLOTS[slotId];
+  return Object.keys(STORE_TARGETS)
+    .filter(name => STORE_TARGETS[name].slot === slotId && devices[name])
+    .map(name => ({ name, ...getOutputSize(devices[name], slot.fixedOrientation ? undefined : orientation) }))
+    .filter(({ width, height }) => checkDimensions(slot, width, height).errors.length === 0);
+}
+
+// Pass/fail report for one capture; captures from non-store devices are skipped
+function validateStoreImage(capture, devices = {}) {
+  const target = STORE_TARGETS[capture.deviceName];
+  const report = {
+    file: capture.filepath,
+    filename: path.basename(capture.filepath),
+    deviceName: capture.deviceName,
+    status: "skipped",
+    errors: [],
+    warnings: [],
+    suggestions: []
+  };
+  if (!target) {
+    return report;
+  }
+
+  const slot = STORE_SLOTS[target.slot];
+  report.store = slot.store;
+  report.slot = slot.label;
+
+  const buffer = fs.readFileSync(capture.filepath);
+  const info = readImageInfo(buffer);
+  const fileRules = STORE_FILE_RULES[slot.store];
+  if (!info) {
+    report.status = "fail";
+    report.errors.push("Not a PNG or JPEG image");
+    return report;
+  }
+  Object.assign(report, { width: info.width, height: info.height, format: info.format, bytes: buffer.length });
+
+  if (!fileRules.formats.includes(info.format)) {
+    report.errors.push(`${info.format.toUpperCase()} files are not accepted`);
+  }
+  if (fileRules.maxBytes && buffer.length > fileRules.maxBytes) {
+    report.errors.push(`File is ${(buffer.length / 1024 / 1024).toFixed(1)} MB; the limit is ${fileRules.maxBytes / 1024 / 1024} MB`);
+  }
+  if (info.hasAlpha) {
+    report.warnings.push("PNG has an alpha channel; flatten it if the store rejects the upload");
+  }
+
+  const dimensions = checkDimensions(slot, info.width, info.height);
+  report.errors.push(...dimensions.errors);
+  report.warnings.push(...dimensions.warnings);
+
+  report.status = report.errors.length > 0 ? "fail" : "pass";
+  if (report.status === "fail") {
+    report.suggestions = suggestDevices(target.slot, capture.orientation, devices)
+      .filter(suggestion => suggestion.name !== capture.deviceName)
+      .map(({ name, width, height }) => `Use "${name}" (${width}x${height})`);
+    if (capture.fullPage) {
+      report.suggestions.unshift("Capture the viewport instead of the full page");
+    }
+    if (report.suggestions.length === 0) {
+      report.suggestions.push(`Compose it with Store Screenshots (${target.width}x${target.height})`);
+    }
+  }
+  return report;
+}
+
+function validateStoreImages(captures, devices) {
+  return captures.map(capture => {
+    try {
+      return validateStoreImage(capture, devices);
+    } catch (error) {
+      return {
+        file: capture.filepath,
+        filename: path.basename(capture.filepath),
+        deviceName: capture.deviceName,
+        status: "fail",
+        errors: [error.message],
+        warnings: [],
+        suggestions: []
+      };
+    }
+  });
+}
+
+module.exports = {
+  STORE_SLOTS,
+  readImageInfo,
+  checkDimensions,
+  validateStoreImage,
+  validateStoreImages
+};
@@ -0,0 +1,32 @@
+// sync-protocol.js - Messages between the host window and the webview preload that drives sync and recording
+
+const SYNC_CHANNEL = 'freepanes:sync';
+// Bump when a payload changes shape; both sides drop messages from another version
+const PROTOCOL_VERSION = 1;
+
+// Guest -> host: the page is ready for settings, or a user action to mirror or record
+const GUEST_MESSAGES = ['ready', 'scroll', 'click', 'hover', 'input', 'key', 'focus', 'record'];
+// Host -> guest: sync toggles and recording state, or an action from another viewport to apply
+const HOST_MESSAGES = ['settings', 'apply'];
+
+function createMessage(type, payload = {}) {
+  return { version: PROTOCOL_VERSION, type, payload };
+}
+
+// The message when it's well formed and one of the expected types, otherwise null
+function parseMessage(message, types) {
+  if (!message || message.version !== PROTOCOL_VERSION || !types.includes(message.type) ||
+      !message.payload || typeof message.payload !== 'object') {
+    return null;
+  }
+  return message;
+}
+
+module.exports = {
+  SYNC_CHANNEL,
+  PROTOCOL_VERSION,
+  GUEST_MESSAGES,
+  HOST_MESSAGES,
+  createMessage,
+  parseMessage
+};
@@ -0,0 +1,60 @@
+// url-list.js - Turn pasted text, URL list files and sitemap.xml files into a list of page URLs
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeXml(value) {
+  return value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&(amp|lt|gt|quot|apos);/g, (match, name) => XML_ENTITIES[name])
+    .trim();
+}
+
+function isSitemap(text) {
+  return /<(urlset|sitemapindex)[\s>]/.test(text);
+}
+
+// <loc> entries of a sitemap; a sitemap index lists other sitemaps, not pages
+function parseSitemap(xml) {
+  if (/<sitemapindex[\s>]/.test(xml)) {
+    const sitemaps = Array.from(xml.matchAll(/<loc>([\s\S]*?)<\/loc>/g), match => decodeXml(match[1]));
+    throw new Error(`This is a sitemap index. Load one of its sitemaps instead:\n${sitemaps.join("\n")}`);
+  }
+  return Array.from(xml.matchAll(/<url>[\s\S]*?<loc>([\s\S]*?)<\/loc>[\s\S]*?<\/url>/g), match => decodeXml(match[1]));
+}
+
+// One URL per line; blank lines and # comments are ignored
+function parseLines(text) {
+  return text
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith("#"));
+}
+
+// Deduplicated http(s) URLs in their original order, plus anything that didn't parse
+function parseUrlList(text) {
+  const candidates = isSitemap(text) ? parseSitemap(text) : parseLines(text);
+  const urls = [];
+  const invalid = [];
+
+  candidates.forEach(candidate => {
+    let url;
+    try {
+      url = new URL(candidate);
+    } catch (e) {
+      invalid.push(candidate);
+      return;
+    }
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+      invalid.push(candidate);
+    } else if (!urls.includes(url.href)) {
+      urls.push(url.href);
+    }
+  });
+
+  return { urls, invalid };
+}
+
+module.exports = {
+  parseSitemap,
+  parseUrlList
+};
@@ -0,0 +1,151 @@
+// user-agents.js - Built-in user agents and Sec-CH-UA client hints per device platform
+const CHROME_VERSION = "131.0.6778.135";
+const CHROME_MAJOR = CHROME_VERSION.split(".")[0];
+
+const BRANDS = [
+  { brand: "Google Chrome", version: CHROME_MAJOR },
+  { brand: "Chromium", version: CHROME_MAJOR },
+  { brand: "Not_A Brand", version: "24" }
+];
+
+// Chrome's reduced Android UA hides the OS version and model; they only travel in client hints
+function chromeAndroidUserAgent(mobile) {
+  return `Mozilla/5.0 (Linux; Android 10; K) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_MAJOR}.0.0.0 ${mobile ? "Mobile " : ""}Safari/537.36`;
+}
+
+// Safari sends no client hints, so Apple mobile platforms have no clientHints defaults
+const PLATFORMS = {
+  ios: {
+    label: "iOS",
+    mobile: true,
+    navigatorPlatform: "iPhone",
+    userAgent: () => "Mozilla/5.0 (iPhone; CPU iPhone OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1"
+  },
+  ipados: {
+    label: "iPadOS",
+    mobile: true,
+    navigatorPlatform: "iPad",
+    userAgent: () => "Mozilla/5.0 (iPad; CPU OS 16_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/16.0 Mobile/15E148 Safari/604.1"
+  },
+  android: {
+    label: "Android",
+    mobile: true,
+    navigatorPlatform: "Linux armv81",
+    userAgent: chromeAndroidUserAgent,
+    clientHints: { platform: "Android", platformVersion: "14.0.0", architecture: "", bitness: "", model: "" }
+  },
+  wearos: {
+    label: "Wear OS",
+    mobile: true,
+    navigatorPlatform: "Linux armv81",
+    userAgent: chromeAndroidUserAgent,
+    clientHints: { platform: "Android", platformVersion: "13.0.0", architecture: "", bitness: "", model: "" }
+  },
+  macos: {
+    label: "macOS",
+    mobile: false,
+    desktop: true,
+    navigatorPlatform: "MacIntel",
+    userAgent: () => `Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_MAJOR}.0.0.0 Safari/537.36`,
+    clientHints: { platform: "macOS", platformVersion: "14.5.0", architecture: "arm", bitness: "64", model: "" }
+  },
+  windows: {
+    label: "Windows",
+    mobile: false,
+    desktop: true,
+    navigatorPlatform: "Win32",
+    userAgent: () => `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROME_MAJOR}.0.0.0 Safari/537.36`,
+    clientHints: { platform: "Windows", platformVersion: "15.0.0", architecture: "x86", bitness: "64", model: "" }
+  }
+};
+
+// Platform from an explicit `platform` field, otherwise guessed from the device name.
+// Returns null for devices that should keep the browser's own identity.
+function inferPlatform(deviceName, device) {
+  if (device && PLATFORMS[device.platform]) {
+    return device.platform;
+  }
+  if (deviceName.includes("iPhone")) {
+    return "ios";
+  } else if (deviceName.includes("iPad")) {
+    return "ipados";
+  } else if (/Wear OS|Watch/.test(deviceName)) {
+    return "wearos";
+  } else if (/Android|Galaxy|Samsung|Pixel|OnePlus|Xiaomi|Motorola|Play Store/.test(deviceName)) {
+    return "android";
+  } else if (/MacBook|iMac|Mac App Store/.test(deviceName)) {
+    return "macos";
+  }
+  return null;
+}
+
+// navigator.platform to report for a user agent string, custom ones included
+function navigatorPlatformFor(userAgent) {
+  if (!userAgent) return null;
+  if (userAgent.includes("iPhone")) return PLATFORMS.ios.navigatorPlatform;
+  if (userAgent.includes("iPad")) return PLATFORMS.ipados.navigatorPlatform;
+  if (userAgent.includes("Android")) return PLATFORMS.android.navigatorPlatform;
+  if (userAgent.includes("Macintosh")) return PLATFORMS.macos.navigatorPlatform;
+  if (userAgent.includes("Windows")) return PLATFORMS.windows.navigatorPlatform;
+  return null;
+}
+
+// User agent and CDP UserAgentMetadata for a device. Library entries can set `userAgent`,
+// `platform` and `clientHints` ({ platform, platformVersion, model, mobile, ... }) to override
+// the defaults. Returns null when the caller's default identity should be used.
+function resolveDeviceIdentity(deviceName, device = {}, { tablet = false } = {}) {
+  const platformId = inferPlatform(deviceName, device);
+  const platform = PLATFORMS[platformId];
+  const overrides = device.clientHints || {};
+
+  if (!platform && !device.userAgent) {
+    return null;
+  }
+
+  // Android tablets drop the "Mobile" token and report Sec-CH-UA-Mobile: ?0
+  const mobile = typeof overrides.mobile === "boolean"
+    ? overrides.mobile
+    : Boolean(platform && platform.mobile && !(platformId === "android" && tablet));
+  const userAgent = device.userAgent || platform.userAgent(mobile);
+
+  let clientHints = null;
+  if ((platform && platform.clientHints) || device.clientHints) {
+    clientHints = {
+      brands: BRANDS,
+      fullVersionList: BRANDS.map(({ brand, version }) => ({ brand, version: version === CHROME_MAJOR ? CHROME_VERSION : `${version}.0.0.0` })),
+      fullVersion: CHROME_VERSION,
+      platform: "",
+      platformVersion: "",
+      architecture: "",
+      bitness: "",
+      model: "",
+      ...(platform && platform.clientHints),
+      ...overrides,
+      mobile
+    };
+  }
+
+  return {
+    platform: platformId,
+    userAgent,
+    clientHints,
+    navigatorPlatform: navigatorPlatformFor(userAgent)
+  };
+}
+
+// Params for CDP Emulation.setUserAgentOverride / Network.setUserAgentOverride
+function userAgentOverrideParams(userAgent, clientHints, acceptLanguage) {
+  const params = { userAgent };
+  if (acceptLanguage) params.acceptLanguage = acceptLanguage;
+  const navigatorPlatform = navigatorPlatformFor(userAgent);
+  if (navigatorPlatform) params.platform = navigatorPlatform;
+  if (clientHints) params.userAgentMetadata = clientHints;
+  return params;
+}
+
+module.exports = {
+  PLATFORMS,
+  inferPlatform,
+  resolveDeviceIdentity,
+  userAgentOverrideParams
+};
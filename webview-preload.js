@@ -0,0 +1,484 @@
+// webview-preload.js - Sync and recording inside each previewed page, talking to the host over sendToHost.
+// Runs in an isolated world on every navigation, so pages that replace console or window globals can't break it.
+const { ipcRenderer } = require('electron');
+const { SYNC_CHANNEL, HOST_MESSAGES, createMessage, parseMessage } = require('./sync-protocol');
+const selectorEngine = require('./selector-engine');
+
+// Everything stays off until the host sends its settings
+let settings = {
+  scroll: false, scrollMode: 'percent', click: false, hover: false, input: false, keyboard: false, recording: false,
+  selectors: selectorEngine.DEFAULT_SELECTOR_OPTIONS
+};
+let isProcessingSync = false;
+let lastScrollTime = 0;
+let lastClickTime = 0;
+
+function send(type, payload) {
+  ipcRenderer.sendToHost(SYNC_CHANNEL, createMessage(type, payload));
+}
+
+// Selector, candidate locators and iframe path for an element (see selector-engine.js). Scroll
+// anchors and hovers fire many times a second, so they only get the quick locators.
+function describeElement(element, quick = false) {
+  return selectorEngine.describeElement(element, settings.selectors, { quick });
+}
+
+function resolveElement(description) {
+  return selectorEngine.resolveElement(description, document, settings.selectors);
+}
+
+// The element the user actually touched; events from open shadow roots are retargeted to the host
+function getEventTarget(e) {
+  const target = e.composedPath ? e.composedPath()[0] : e.target;
+  return target && target.nodeType === Node.ELEMENT_NODE ? target : e.target;
+}
+
+// Sections and headings that can anchor scroll sync, leaving out page-sized wrappers
+const ANCHOR_SELECTOR = 'h1, h2, h3, h4, h5, h6, section, article, [id]';
+
+function getAnchorCandidates() {
+  const pageHeight = document.documentElement.scrollHeight;
+  return Array.from(document.querySelectorAll(ANCHOR_SELECTOR)).filter(el => {
+    if (el === document.documentElement || el === document.body) return false;
+    const rect = el.getBoundingClientRect();
+    return rect.height > 0 && rect.height < pageHeight * 0.5;
+  });
+}
+
+// Top-most visible candidate: the one crossing the top edge (the smallest if nested), else the first below it
+function findScrollAnchor() {
+  let best = null;
+  let bestTop = Infinity;
+  let bestHeight = Infinity;
+  getAnchorCandidates().forEach(el => {
+    const rect = el.getBoundingClientRect();
+    if (rect.bottom <= 0 || rect.top >= window.innerHeight) return;
+    const top = Math.max(rect.top, 0);
+    if (top < bestTop || (top === bestTop && rect.height < bestHeight)) {
+      best = el;
+      bestTop = top;
+      bestHeight = rect.height;
+    }
+  });
+  return best;
+}
+
+function describeScrollAnchor(el) {
+  const rect = el.getBoundingClientRect();
+  const tagName = el.tagName.toLowerCase();
+  return {
+    ...describeElement(el, true),
+    tagName: tagName,
+    index: Array.from(document.getElementsByTagName(tagName)).indexOf(el),
+    text: (el.textContent || '').trim().substring(0, 50),
+    // How far the viewport top is into the element, or where the element sits below the top edge
+    progress: rect.top < 0 ? -rect.top / rect.height : 0,
+    offset: rect.top > 0 ? rect.top / window.innerHeight : 0
+  };
+}
+
+// Same element in this layout: its locators, else the same tag by text, then by position
+function resolveScrollAnchor(anchor) {
+  const located = resolveElement(anchor);
+  if (located) return located;
+  const sameTag = Array.from(document.getElementsByTagName(anchor.tagName));
+  const byText = anchor.text && sameTag.find(el => (el.textContent || '').trim().substring(0, 50) === anchor.text);
+  if (byText) return byText;
+  const byIndex = sameTag[anchor.index];
+  return byIndex && !anchor.text ? byIndex : null;
+}
+
+// Form fields: text inputs, textareas, selects, checkboxes/radios and contenteditable editors
+const CHECKABLE_INPUTS = ['checkbox', 'radio'];
+
+// The element that owns an input event; edits inside a rich text editor belong to its editable root
+function getField(target) {
+  if (!target || target.nodeType !== Node.ELEMENT_NODE) return null;
+  if (target.isContentEditable) {
+    let root = target;
+    while (root.parentElement && root.parentElement.isContentEditable) {
+      root = root.parentElement;
+    }
+    return root;
+  }
+  if (target.tagName === 'SELECT' || target.tagName === 'TEXTAREA') return target;
+  if (target.tagName === 'INPUT' && target.type !== 'file') return target;
+  return null;
+}
+
+function getFieldKind(el) {
+  if (el.isContentEditable) return 'contenteditable';
+  if (el.tagName === 'SELECT') return 'select';
+  if (el.tagName === 'INPUT' && CHECKABLE_INPUTS.includes(el.type)) return 'checked';
+  return 'value';
+}
+
+// Everything another viewport (or replay) needs to find the field and set the same state
+function describeField(el) {
+  const kind = getFieldKind(el);
+  const field = {
+    ...describeElement(el),
+    kind: kind,
+    tagName: el.tagName
+  };
+  if (el.id) field.id = el.id;
+
+  if (kind === 'checked') {
+    field.checked = el.checked;
+    field.value = el.value;
+  } else if (kind === 'select') {
+    field.selectedIndex = el.selectedIndex;
+    field.values = Array.from(el.selectedOptions).map(option => option.value);
+    field.value = el.value;
+  } else if (kind === 'contenteditable') {
+    field.value = el.innerText;
+    field.html = el.innerHTML;
+  } else {
+    field.value = el.value;
+  }
+  return field;
+}
+
+// Older messages may only carry the element id
+function findField(field) {
+  const el = resolveElement(field);
+  return getField(el) || (field.id && document.getElementById(field.id)) || null;
+}
+
+// Go through the prototype's setter: controlled React inputs track the instance property and
+// would otherwise swallow the change
+function setNativeValue(el, property, value) {
+  const descriptor = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(el), property);
+  if (descriptor && descriptor.set) {
+    descriptor.set.call(el, value);
+  } else {
+    el[property] = value;
+  }
+}
+
+// Set the recorded state and fire the events React and Vue listen for (input, then change)
+function applyField(el, field) {
+  const kind = getFieldKind(el);
+  if (kind === 'checked') {
+    // A real click toggles the box and fires click/input/change exactly as the user's did
+    if (el.checked !== field.checked) el.click();
+    return;
+  }
+
+  if (kind === 'select') {
+    if (el.multiple && Array.isArray(field.values)) {
+      Array.from(el.options).forEach(option => { option.selected = field.values.includes(option.value); });
+    } else if (Array.from(el.options).some(option => option.value === field.value)) {
+      setNativeValue(el, 'value', field.value);
+    } else {
+      setNativeValue(el, 'selectedIndex', field.selectedIndex);
+    }
+  } else if (kind === 'contenteditable') {
+    if (field.html !== undefined) {
+      el.innerHTML = field.html;
+    } else {
+      el.innerText = field.value || '';
+    }
+    el.dispatchEvent(new InputEvent('input', { bubbles: true, inputType: 'insertReplacementText' }));
+    return;
+  } else {
+    setNativeValue(el, 'value', field.value || '');
+  }
+  el.dispatchEvent(new Event('input', { bubbles: true }));
+  el.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// Record scrolling (throttled)
+let scrollTimeout = null;
+window.addEventListener('scroll', () => {
+  if (settings.recording && !isProcessingSync) {
+    clearTimeout(scrollTimeout);
+    scrollTimeout = setTimeout(() => {
+      send('record', {
+        type: 'scroll',
+        x: window.scrollX,
+        y: window.scrollY,
+        timestamp: Date.now()
+      });
+    }, 150);
+  }
+}, { passive: true });
+
+// Scroll sync
+window.addEventListener('scroll', () => {
+  if (!settings.scroll || isProcessingSync) return;
+
+  const now = Date.now();
+  if (now - lastScrollTime < 50) return; // Throttle
+  lastScrollTime = now;
+
+  const data = {
+    percentX: window.scrollX / Math.max(1, document.documentElement.scrollWidth - window.innerWidth),
+    percentY: window.scrollY / Math.max(1, document.documentElement.scrollHeight - window.innerHeight)
+  };
+
+  // Anchor mode sends the section in view too; percentages stay as the fallback
+  if (settings.scrollMode === 'anchor' && window.scrollY > 0) {
+    const anchor = findScrollAnchor();
+    if (anchor) data.anchor = describeScrollAnchor(anchor);
+  }
+
+  send('scroll', data);
+}, { passive: true });
+
+// Smart click sync
+function syncClick(e) {
+  if (!settings.click || isProcessingSync) return;
+
+  const now = Date.now();
+  if (now - lastClickTime < 100) return; // Prevent double clicks
+  lastClickTime = now;
+
+  const target = getEventTarget(e);
+
+  // Get click coordinates relative to viewport
+  const rect = target.getBoundingClientRect();
+
+  send('click', {
+    ...describeElement(target),
+    x: rect.x + rect.width / 2,
+    y: rect.y + rect.height / 2,
+    tagName: target.tagName,
+    href: target.href || null,
+    text: target.textContent ? target.textContent.substring(0, 30) : ''
+  });
+}
+
+// Element-based hover tracking
+let hoverTimer = null;
+let lastHoveredElement = null;
+
+function syncHover(e) {
+  if (!settings.hover || isProcessingSync) return;
+
+  const target = getEventTarget(e);
+  if (target === lastHoveredElement) return; // Same element, skip
+
+  lastHoveredElement = target;
+
+  clearTimeout(hoverTimer);
+  hoverTimer = setTimeout(() => {
+    send('hover', {
+      ...describeElement(target, true),
+      tagName: target.tagName,
+      className: target.className,
+      textContent: target.textContent ? target.textContent.substring(0, 30) : ''
+    });
+  }, 200); // Increased throttle for better reliability
+}
+
+function clearHover(e) {
+  if (!settings.hover || isProcessingSync) return;
+  if (getEventTarget(e) === lastHoveredElement) {
+    lastHoveredElement = null;
+  }
+}
+
+// Input sync: typing is debounced per field; checkboxes, radios and selects go out on change
+const inputTimers = new WeakMap();
+
+function syncFieldEvent(e) {
+  if (!settings.input || isProcessingSync) return;
+  const el = getField(getEventTarget(e));
+  if (!el) return;
+
+  const kind = getFieldKind(el);
+  const discrete = kind === 'checked' || kind === 'select';
+  if (discrete !== (e.type === 'change')) return; // Each field reports through one event type only
+
+  clearTimeout(inputTimers.get(el));
+  inputTimers.set(el, setTimeout(() => send('input', describeField(el)), discrete ? 0 : 500));
+}
+
+// Keys mirrored by keyboard sync. Text fields keep their editing keys to themselves (input sync covers the text),
+// but Tab, Enter, Escape and up/down still drive forms, dialogs and comboboxes.
+const NAVIGATION_KEYS = ['Tab', 'Enter', 'Escape', 'ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End', 'PageUp', 'PageDown', ' '];
+const TEXT_FIELD_KEYS = ['Tab', 'Enter', 'Escape', 'ArrowUp', 'ArrowDown'];
+const NON_TEXT_INPUTS = ['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'color', 'file', 'image'];
+
+function isTextField(el) {
+  return Boolean(el) && (el.isContentEditable || el.tagName === 'TEXTAREA' ||
+    (el.tagName === 'INPUT' && !NON_TEXT_INPUTS.includes(el.type)));
+}
+
+function isDocumentRoot(el) {
+  return !el || el === el.ownerDocument.body || el === el.ownerDocument.documentElement;
+}
+
+// Focused element through shadow roots and same-origin iframes
+function getFocusedElement() {
+  let el = document.activeElement;
+  while (el) {
+    let inner = null;
+    try {
+      inner = el.shadowRoot ? el.shadowRoot.activeElement : el.contentDocument && el.contentDocument.activeElement;
+    } catch (e) {
+      // Cross-origin frame; its focus stays opaque
+    }
+    if (!inner) break;
+    el = inner;
+  }
+  return el;
+}
+
+// Keyboard sync: the key with its modifiers as a Playwright-style combo, e.g. "Shift+Tab"
+function syncKey(e) {
+  if (!settings.keyboard || isProcessingSync || !e.isTrusted) return;
+  const allowed = isTextField(getEventTarget(e)) ? TEXT_FIELD_KEYS : NAVIGATION_KEYS;
+  if (!allowed.includes(e.key)) return;
+
+  const modifiers = [];
+  if (e.ctrlKey) modifiers.push('Control');
+  if (e.altKey) modifiers.push('Alt');
+  if (e.shiftKey) modifiers.push('Shift');
+  if (e.metaKey) modifiers.push('Meta');
+
+  const focused = getFocusedElement();
+  send('key', {
+    key: [...modifiers, e.key].join('+'),
+    ...(isDocumentRoot(focused) ? { selector: null } : describeElement(focused))
+  });
+}
+
+// Focus sync, so the mirrored keys land on the same element
+function syncFocus(e) {
+  const target = getEventTarget(e);
+  if (!settings.keyboard || isProcessingSync || isDocumentRoot(target)) return;
+  send('focus', describeElement(target));
+}
+
+// Apply an action mirrored from another viewport
+function applySyncAction(type, data) {
+  isProcessingSync = true;
+
+  requestAnimationFrame(() => {
+    try {
+      if (type === 'scroll' && data.percentX !== undefined) {
+        const maxX = document.documentElement.scrollWidth - window.innerWidth;
+        const maxY = document.documentElement.scrollHeight - window.innerHeight;
+        const anchor = data.anchor && resolveScrollAnchor(data.anchor);
+        let top = data.percentY * maxY;
+        if (anchor) {
+          const rect = anchor.getBoundingClientRect();
+          top = window.scrollY + rect.top + data.anchor.progress * rect.height - data.anchor.offset * window.innerHeight;
+        }
+        window.scrollTo({
+          left: data.percentX * maxX,
+          top: top,
+          behavior: 'instant'
+        });
+      } else if (type === 'click' && data.selector) {
+        // Try to find and click the element
+        try {
+          const element = resolveElement(data);
+          if (element) {
+            // Create and dispatch a click event
+            const evt = new MouseEvent('click', {
+              view: window,
+              bubbles: true,
+              cancelable: true,
+              clientX: data.x || 0,
+              clientY: data.y || 0
+            });
+            element.dispatchEvent(evt);
+          }
+        } catch (e) {
+          // If selector fails, try simpler approach
+          console.log('Click sync failed for selector:', data.selector);
+        }
+      } else if (type === 'hover' && data.selector) {
+        try {
+          const el = resolveElement(data);
+          if (el) {
+            // Dispatch mouseover event to simulate hover
+            el.dispatchEvent(new MouseEvent('mouseover', {
+              bubbles: true,
+              cancelable: true
+            }));
+
+            // Also dispatch mouseenter for compatibility
+            el.dispatchEvent(new MouseEvent('mouseenter', {
+              bubbles: true,
+              cancelable: true
+            }));
+          }
+        } catch (e) {
+          console.warn('Hover sync could not find element with selector:', data.selector);
+        }
+      } else if (type === 'focus' && data.selector) {
+        const el = resolveElement(data);
+        if (el && el !== getFocusedElement()) {
+          el.focus({ preventScroll: true });
+        }
+      } else if (type === 'input' && (data.selector || data.id)) {
+        const el = findField(data);
+        if (el) {
+          applyField(el, data);
+        }
+      }
+    } catch (e) {
+      // Silently ignore errors
+    }
+
+    setTimeout(() => { isProcessingSync = false; }, 50);
+  });
+}
+
+// Attach the document listeners to the page and to every same-origin iframe, present or added later
+const listenedDocuments = new WeakSet();
+const watchedFrames = new WeakSet();
+
+function watchFrame(frame) {
+  if (watchedFrames.has(frame)) return;
+  watchedFrames.add(frame);
+  const attach = () => {
+    try {
+      if (frame.contentDocument) listen(frame.contentDocument);
+    } catch (e) {
+      // Cross-origin frame; sync and recording stay in the top page
+    }
+  };
+  frame.addEventListener('load', attach);
+  attach();
+}
+
+function listen(doc) {
+  if (listenedDocuments.has(doc)) return;
+  listenedDocuments.add(doc);
+
+  doc.addEventListener('click', syncClick, true);
+  doc.addEventListener('mouseover', syncHover, { passive: true });
+  doc.addEventListener('mouseout', clearHover, { passive: true });
+  doc.addEventListener('input', syncFieldEvent, true);
+  doc.addEventListener('change', syncFieldEvent, true);
+  doc.addEventListener('keydown', syncKey, true);
+  doc.addEventListener('focusin', syncFocus, true);
+
+  doc.querySelectorAll('iframe').forEach(watchFrame);
+  new MutationObserver(records => records.forEach(record => record.addedNodes.forEach(node => {
+    if (node.nodeType !== Node.ELEMENT_NODE) return;
+    if (node.tagName === 'IFRAME') watchFrame(node);
+    node.querySelectorAll('iframe').forEach(watchFrame);
+  }))).observe(doc, { childList: true, subtree: true });
+}
+
+listen(document);
+
+ipcRenderer.on(SYNC_CHANNEL, (event, raw) => {
+  const message = parseMessage(raw, HOST_MESSAGES);
+  if (!message) return;
+
+  if (message.type === 'settings') {
+    settings = { ...settings, ...message.payload };
+  } else if (message.type === 'apply') {
+    applySyncAction(message.payload.type, message.payload.data || {});
+  }
+});
+
+// Ask for the current settings on every page load
+send('ready');